@@ -0,0 +1,162 @@
+const { EventEmitter } = require('events');
+
+// Turns the status changes recorded for the history (see statusHistory.js)
+// into alerts. A rule fires when a server goes from a `from` state into a
+// `to` state and is still in a `to` state `debounce` ms later, so one missed
+// poll does not raise an alert. A rule fires once per episode: it can fire
+// again only after the server has left its `to` states.
+//
+// Settings come from the `alerts` section of launchers.json:
+//   {
+//     "rules":   { "<rule id>": { enabled, notify, alarm, flash, debounce } },
+//     "servers": { "<server>": { "muted": true, "rules": { "<rule id>": false } } }
+//   }
+// Anything not given falls back to the rule's defaults.
+
+const ALERT_RULES = {
+  'queue-stopped': {
+    label: 'Queue stopped',
+    severity: 'warning',
+    from: status => status.queue === 'active',
+    to: status => ['paused', 'unreachable'].includes(status.queue)
+  },
+  'server-unreachable': {
+    label: 'HTTP server unreachable',
+    severity: 'warning',
+    from: status => status.queue !== 'unreachable',
+    to: status => status.screen === 'active' && status.queue === 'unreachable'
+  },
+  'screen-lost': {
+    label: 'Screen session ended',
+    severity: 'critical',
+    from: status => status.screen === 'active',
+    to: status => status.screen === 'inactive'
+  },
+  'ssh-down': {
+    label: 'SSH down',
+    severity: 'critical',
+    from: status => status.screen !== 'ssh-down',
+    to: status => status.screen === 'ssh-down'
+  },
+  'host-key-changed': {
+    label: 'Host key changed',
+    severity: 'critical',
+    from: status => status.screen !== 'host-key-changed',
+    to: status => status.screen === 'host-key-changed'
+  }
+};
+
+const RULE_DEFAULTS = {
+  enabled: true,
+  notify: true,
+  flash: true,
+  debounce: 5000
+};
+
+// Effective settings of one rule, for one server if given
+function ruleSettings(alertSettings, ruleId, serverName = null) {
+  const settings = alertSettings || {};
+  const rule = ALERT_RULES[ruleId];
+  const effective = {
+    ...RULE_DEFAULTS,
+    alarm: rule.severity === 'critical',
+    ...((settings.rules || {})[ruleId] || {})
+  };
+  if (serverName) {
+    const server = (settings.servers || {})[serverName] || {};
+    if (server.rules && server.rules[ruleId] === false) effective.enabled = false;
+    effective.muted = !!server.muted;
+  }
+  return effective;
+}
+
+function describeStatus(status) {
+  return `screen ${status.screen}, queue ${status.queue}`;
+}
+
+class AlertMonitor extends EventEmitter {
+  // `getSettings()` returns the current `alerts` section of the config
+  constructor({ getSettings = () => ({}) } = {}) {
+    super();
+    this.getSettings = getSettings;
+    this.servers = new Map(); // server -> { status, rules: Map(ruleId -> { pending, fired }) }
+    this.alertId = 0;
+  }
+
+  // Feed a status change of a server
+  update(serverName, status) {
+    let server = this.servers.get(serverName);
+    if (!server) {
+      // The first status seen is the baseline, not a transition
+      this.servers.set(serverName, { status, rules: new Map() });
+      return;
+    }
+    const previous = server.status;
+    server.status = status;
+
+    for (const [ruleId, rule] of Object.entries(ALERT_RULES)) {
+      let state = server.rules.get(ruleId);
+      if (!state) {
+        state = { pending: null, fired: false };
+        server.rules.set(ruleId, state);
+      }
+      if (!rule.to(status)) {
+        // Left the alert condition: cancel a pending alert, re-arm the rule
+        clearTimeout(state.pending);
+        state.pending = null;
+        state.fired = false;
+        continue;
+      }
+      if (state.pending || state.fired || rule.to(previous) || !rule.from(previous)) continue;
+
+      const settings = ruleSettings(this.getSettings(), ruleId, serverName);
+      if (!settings.enabled) continue;
+      state.pending = setTimeout(() => {
+        state.pending = null;
+        const current = this.servers.get(serverName);
+        if (!current || !rule.to(current.status)) return;
+        state.fired = true;
+        this.fire(serverName, ruleId, previous, current.status);
+      }, Math.max(0, settings.debounce));
+    }
+  }
+
+  fire(serverName, ruleId, from, to) {
+    const rule = ALERT_RULES[ruleId];
+    const settings = ruleSettings(this.getSettings(), ruleId, serverName);
+    if (!settings.enabled) return;
+    const alert = {
+      id: ++this.alertId,
+      time: Date.now(),
+      server: serverName,
+      rule: ruleId,
+      label: rule.label,
+      severity: rule.severity,
+      from,
+      to,
+      message: `${serverName}: ${rule.label} (was ${describeStatus(from)}, now ${describeStatus(to)})`,
+      notify: settings.notify,
+      alarm: settings.alarm,
+      flash: settings.flash,
+      muted: settings.muted
+    };
+    console.warn(`ALERT ${alert.message}${alert.muted ? ' [muted]' : ''}`);
+    this.emit('alert', alert);
+  }
+
+  // Forget a server (removed from the config)
+  forget(serverName) {
+    const server = this.servers.get(serverName);
+    if (!server) return;
+    server.rules.forEach(state => clearTimeout(state.pending));
+    this.servers.delete(serverName);
+  }
+
+  stop() {
+    Array.from(this.servers.keys()).forEach(name => this.forget(name));
+  }
+}
+
+module.exports = AlertMonitor;
+module.exports.ALERT_RULES = ALERT_RULES;
+module.exports.ruleSettings = ruleSettings;
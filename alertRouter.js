@@ -0,0 +1,243 @@
+const os = require('os');
+const { sendMail } = require('./smtpClient');
+
+// Sends alerts from alertMonitor.js to people who are not watching the board:
+// webhooks (Slack, Mattermost or anything that takes JSON) and email. Which
+// alerts go where is decided by `routes`; each route can be silenced during
+// quiet hours, and each channel sends at most `rateLimit.max` alerts per
+// `rateLimit.per` ms, so a flapping server cannot flood anyone.
+//
+// Settings come from the `alerts` section of launchers.json:
+//   {
+//     "channels": {
+//       "ops-chat": { "type": "webhook", "url": "https://...", "template": { "text": "{{message}}" } },
+//       "on-call":  { "type": "email", "host": "smtp.example.org", "from": "...", "to": ["..."] }
+//     },
+//     "routes": [
+//       { "channels": ["on-call"], "severities": ["critical"], "servers": ["robot"],
+//         "quietHours": { "start": "22:00", "end": "07:00" } }
+//     ]
+//   }
+// A route without `servers`, `severities` or `rules` matches every alert.
+
+const DEFAULT_RATE_LIMIT = { max: 10, per: 60 * 60 * 1000 };
+const REQUEST_TIMEOUT = 10000;
+
+// Understood by both Slack and Mattermost incoming webhooks
+const DEFAULT_WEBHOOK_TEMPLATE = {
+  username: 'AFL Andon',
+  text: '{{icon}} *{{label}}* on *{{server}}* ({{severity}})\n{{message}}'
+};
+const DEFAULT_EMAIL_SUBJECT = '[AFL Andon] {{severity}}: {{label}} on {{server}}';
+
+const SEVERITY_ICONS = { critical: ':rotating_light:', warning: ':warning:' };
+
+function describeStatus(status) {
+  return status ? `screen ${status.screen}, queue ${status.queue}` : '';
+}
+
+// Values available to templates as {{name}}
+function templateFields(alert) {
+  const note = alert.suppressed
+    ? ` (${alert.suppressed} earlier alert${alert.suppressed === 1 ? '' : 's'} held back by the rate limit)`
+    : '';
+  return {
+    server: alert.server,
+    rule: alert.rule,
+    label: alert.label,
+    severity: alert.severity,
+    icon: SEVERITY_ICONS[alert.severity] || '',
+    message: `${alert.message}${note}`,
+    from: describeStatus(alert.from),
+    to: describeStatus(alert.to),
+    time: new Date(alert.time).toISOString(),
+    host: os.hostname(),
+    suppressed: String(alert.suppressed || 0)
+  };
+}
+
+// Fill in {{name}} placeholders in every string of a JSON template
+function renderTemplate(template, fields) {
+  if (typeof template === 'string') {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+      Object.prototype.hasOwnProperty.call(fields, name) ? fields[name] : match);
+  }
+  if (Array.isArray(template)) return template.map(item => renderTemplate(item, fields));
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, fields)]));
+  }
+  return template;
+}
+
+// "HH:MM" -> minutes after midnight
+function parseClock(value) {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Quiet hours may span midnight ("22:00" to "07:00")
+function inQuietHours(quietHours, date = new Date()) {
+  if (!quietHours) return false;
+  const now = date.getHours() * 60 + date.getMinutes();
+  const start = parseClock(quietHours.start);
+  const end = parseClock(quietHours.end);
+  return start <= end ? now >= start && now < end : now >= start || now < end;
+}
+
+function routeMatches(route, alert) {
+  return (!route.servers || route.servers.includes(alert.server)) &&
+    (!route.severities || route.severities.includes(alert.severity)) &&
+    (!route.rules || route.rules.includes(alert.rule));
+}
+
+// Where a channel delivers to, for display (no credentials)
+function describeChannel(channel) {
+  if (channel.type === 'email') return `${channel.to.join(', ')} via ${channel.host}`;
+  try {
+    const url = new URL(channel.url);
+    return `${url.protocol}//${url.host}`;
+  } catch (_) {
+    return channel.url;
+  }
+}
+
+class AlertRouter {
+  // `getSettings()` returns the current `alerts` section of the config
+  constructor({ getSettings = () => ({}) } = {}) {
+    this.getSettings = getSettings;
+    this.sent = new Map(); // channel -> times (ms) of recent deliveries
+    this.suppressed = new Map(); // channel -> alerts held back since the last delivery
+  }
+
+  channels() {
+    return (this.getSettings() || {}).channels || {};
+  }
+
+  // Deliver an alert to every channel a matching route names. Resolves with
+  // [{ channel, success, error }] once all deliveries are done.
+  async route(alert) {
+    if (alert.muted) return [];
+    const settings = this.getSettings() || {};
+    const channels = settings.channels || {};
+    const targets = new Set();
+    for (const route of settings.routes || []) {
+      if (!routeMatches(route, alert)) continue;
+      if (inQuietHours(route.quietHours)) {
+        console.log(`Alert for ${alert.server} not sent to ${route.channels.join(', ')}: quiet hours`);
+        continue;
+      }
+      route.channels.forEach(name => targets.add(name));
+    }
+
+    const deliveries = Array.from(targets).map(async (name) => {
+      const channel = channels[name];
+      if (!channel) {
+        return { channel: name, success: false, error: `Unknown alert channel "${name}"` };
+      }
+      if (!this.allow(name, channel)) {
+        this.suppressed.set(name, (this.suppressed.get(name) || 0) + 1);
+        console.warn(`Alert for ${alert.server} not sent to ${name}: rate limit reached`);
+        return { channel: name, success: false, error: 'Rate limit reached' };
+      }
+      const suppressed = this.suppressed.get(name) || 0;
+      this.suppressed.delete(name);
+      return this.deliver(name, channel, { ...alert, suppressed });
+    });
+    return Promise.all(deliveries);
+  }
+
+  // Take a slot in the channel's rate limit window, if one is free
+  allow(name, channel) {
+    const { max, per } = { ...DEFAULT_RATE_LIMIT, ...channel.rateLimit };
+    const now = Date.now();
+    const recent = (this.sent.get(name) || []).filter(time => time > now - per);
+    if (recent.length >= max) {
+      this.sent.set(name, recent);
+      return false;
+    }
+    recent.push(now);
+    this.sent.set(name, recent);
+    return true;
+  }
+
+  // Send a made-up alert to one channel, or all of them, regardless of
+  // routes, quiet hours and rate limits
+  async sendTest(channelName = null) {
+    const channels = this.channels();
+    const names = channelName ? [channelName] : Object.keys(channels);
+    const alert = {
+      id: 0,
+      time: Date.now(),
+      server: 'test',
+      rule: 'test',
+      label: 'Test alert',
+      severity: 'warning',
+      from: null,
+      to: null,
+      message: `Test alert from AFL Andon on ${os.hostname()}`
+    };
+    return Promise.all(names.map((name) => {
+      if (!channels[name]) {
+        return { channel: name, success: false, error: `Unknown alert channel "${name}"` };
+      }
+      return this.deliver(name, channels[name], alert);
+    }));
+  }
+
+  async deliver(name, channel, alert) {
+    const fields = templateFields(alert);
+    try {
+      if (channel.type === 'email') {
+        await this.sendEmail(channel, fields);
+      } else {
+        await this.postWebhook(channel, fields);
+      }
+      console.log(`Alert for ${alert.server} sent to ${name}`);
+      return { channel: name, success: true };
+    } catch (error) {
+      console.error(`Failed to send alert to ${name}:`, error.message);
+      return { channel: name, success: false, error: error.message };
+    }
+  }
+
+  async postWebhook(channel, fields) {
+    const body = renderTemplate(channel.template || DEFAULT_WEBHOOK_TEMPLATE, fields);
+    const response = await fetch(channel.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...channel.headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new Error(`HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+    }
+  }
+
+  async sendEmail(channel, fields) {
+    await sendMail({
+      host: channel.host,
+      port: channel.port,
+      secure: channel.secure,
+      starttls: channel.starttls,
+      username: channel.username,
+      password: channel.password,
+      from: channel.from,
+      to: channel.to,
+      subject: renderTemplate(channel.subject || DEFAULT_EMAIL_SUBJECT, fields),
+      text: [
+        fields.message,
+        '',
+        `Server:   ${fields.server}`,
+        `Alert:    ${fields.label} (${fields.severity})`,
+        `Was:      ${fields.from || '-'}`,
+        `Now:      ${fields.to || '-'}`,
+        `Time:     ${fields.time}`,
+        `Reported: ${fields.host}`
+      ].join('\n')
+    });
+  }
+}
+
+module.exports = AlertRouter;
+module.exports.describeChannel = describeChannel;
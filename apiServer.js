@@ -0,0 +1,308 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const SettingsServer = require('./settingsServer');
+const { acceptWebSocket } = require('./webSocket');
+const { classifyStatus } = require('./statusHistory');
+const { DEFAULT_BACKEND } = require('./sessionBackends');
+
+// Optional HTTP server in the main process, for andon displays that do not
+// run the app: a read-only web version of the board, the servers and their
+// status as JSON, and live status changes over a WebSocket. Configured by
+// the `api` section of launchers.json:
+//   "api": {
+//     "enabled": true,
+//     "host": "0.0.0.0", "port": 8686,
+//     "tls": { "cert": "/path/cert.pem", "key": "/path/key.pem" },
+//     "control": { "enabled": true, "token": "<at least 16 characters>" }
+//   }
+// Without `tls` it speaks plain HTTP. Starting, stopping and restarting
+// servers is only possible with `control` enabled, with the token sent as
+// "Authorization: Bearer <token>". Browsers on pages from elsewhere may
+// only open /api/live with the token, as that header or ?token=<token>.
+//
+//   GET  /                             the read-only board (web/)
+//   GET  /api/servers                  { servers: [server] }
+//   GET  /api/servers/<name>           server
+//   GET  /api/status                   { time, servers: { name: status } }
+//   GET  /api/servers/<name>/queue     { ok, state }, asked of the server now
+//   GET  /api/servers/<name>/timeline  { since, until, segments, uptime }
+//   GET  /api/history                  { entries }, ?server=&since=&until=
+//   POST /api/servers/<name>/start|stop|restart
+//   WS   /api/live                     { type: 'snapshot', servers: [server] },
+//                                      then { type: 'status', server, status }
+// where server is { name, host, screen_name, backend, device, active, tags,
+// icon, status } and status is { screen, queue, state, since } as the board
+// last saw it (see statusHistory.js).
+
+const API_DEFAULTS = {
+  enabled: false,
+  host: '127.0.0.1',
+  port: 8686,
+  tls: null,
+  control: { enabled: false, token: null }
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Files of the read-only board
+const WEB_FILES = {
+  '/': { file: 'index.html', type: 'text/html; charset=utf-8' },
+  '/andon.js': { file: 'andon.js', type: 'text/javascript; charset=utf-8' },
+  '/andon.css': { file: 'andon.css', type: 'text/css; charset=utf-8' }
+};
+const WEB_CSP = "default-src 'self'; connect-src 'self' ws: wss:; img-src 'self' data:; frame-ancestors 'none'";
+
+const CONTROL_ACTIONS = { start: 'startServer', stop: 'stopServer', restart: 'restartServer' };
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function apiSettings(value = {}) {
+  return {
+    ...API_DEFAULTS,
+    ...value,
+    control: { ...API_DEFAULTS.control, ...(value.control || {}) }
+  };
+}
+
+function bearerToken(request) {
+  const auth = request.headers.authorization || '';
+  return auth.startsWith('Bearer ') ? auth.slice('Bearer '.length).trim() : null;
+}
+
+// Compare without giving away how much of the token was right
+function tokenMatches(given, expected) {
+  if (typeof given !== 'string' || typeof expected !== 'string') return false;
+  const digest = text => crypto.createHash('sha256').update(text).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+class ApiServer extends SettingsServer {
+  // `beforeAction(action, name)` is called before a server is started,
+  // stopped or restarted through the API (e.g. to tell the watchdog)
+  constructor({ sshOps, statusHistory, beforeAction = () => {}, webRoot = path.join(__dirname, 'web') }) {
+    super({ label: 'Display API' });
+    this.sshOps = sshOps;
+    this.statusHistory = statusHistory;
+    this.beforeAction = beforeAction;
+    this.webRoot = webRoot;
+    this.clients = new Set();
+  }
+
+  settings() {
+    return apiSettings(this.sshOps.configSettings.api);
+  }
+
+  started(settings) {
+    if (settings.control.enabled && !settings.tls && !['127.0.0.1', 'localhost', '::1'].includes(settings.host)) {
+      console.warn('Display API: control is enabled without TLS; the token is sent in the clear');
+    }
+  }
+
+  async listen(settings) {
+    await super.listen(settings);
+    this.server.on('upgrade', (request, socket, head) => this.upgrade(request, socket, head));
+  }
+
+  async stop() {
+    this.clients.forEach(client => client.close(1001));
+    this.clients.clear();
+    await super.stop();
+  }
+
+  status() {
+    return { ...super.status(), clients: this.clients.size };
+  }
+
+  serverStatus(name) {
+    const latest = this.statusHistory.latest(name);
+    if (!latest) return { screen: null, queue: null, state: 'unknown', since: null };
+    return { screen: latest.screen, queue: latest.queue, state: classifyStatus(latest), since: latest.time };
+  }
+
+  describeServer(name) {
+    const serverConfig = this.sshOps.config[name];
+    return {
+      name,
+      host: serverConfig.host,
+      screen_name: serverConfig.screen_name,
+      backend: serverConfig.backend || DEFAULT_BACKEND,
+      device: !!serverConfig.device,
+      active: serverConfig.active !== false,
+      tags: serverConfig.tags || [],
+      icon: serverConfig.icon || null,
+      status: this.serverStatus(name)
+    };
+  }
+
+  snapshot() {
+    return Object.keys(this.sshOps.config).map(name => this.describeServer(name));
+  }
+
+  // A status change seen by the board
+  publishStatus(serverName) {
+    if (!this.sshOps.config[serverName]) return;
+    this.broadcast({ type: 'status', server: serverName, status: this.serverStatus(serverName) });
+  }
+
+  // Servers were added, removed or changed
+  publishServers() {
+    this.broadcast({ type: 'snapshot', servers: this.snapshot() });
+  }
+
+  broadcast(message) {
+    if (!this.clients.size) return;
+    const text = JSON.stringify(message);
+    this.clients.forEach(client => client.send(text));
+  }
+
+  upgrade(request, socket, head) {
+    const url = new URL(request.url, 'http://localhost');
+    if (url.pathname !== '/api/live') {
+      socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+      return;
+    }
+    if (!this.originAllowed(request, url)) {
+      console.warn(`Display API: refused live updates to ${request.headers.origin} from ${request.socket.remoteAddress}`);
+      socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+      return;
+    }
+    const client = acceptWebSocket(request, socket, head);
+    if (!client) return;
+    this.clients.add(client);
+    client.on('close', () => this.clients.delete(client));
+    client.send(JSON.stringify({ type: 'snapshot', servers: this.snapshot() }));
+  }
+
+  // WebSockets are not bound by the same-origin policy, so any page a
+  // browser on the network has open could read the live updates. Browsers
+  // say which page asked in `Origin`; other clients send none.
+  originAllowed(request, url) {
+    const { origin } = request.headers;
+    if (!origin) return true;
+    try {
+      if (new URL(origin).host === request.headers.host) return true;
+    } catch (_) {
+      // Not a URL, e.g. "null" from a sandboxed page
+    }
+    const token = bearerToken(request) || url.searchParams.get('token');
+    return tokenMatches(token, this.settings().control.token);
+  }
+
+  handle(request, response) {
+    this.route(request, response).catch((error) => {
+      if (!(error instanceof HttpError)) console.error('Display API error:', error);
+      this.sendJson(response, error.status || 500, { error: error instanceof HttpError ? error.message : 'Internal error' });
+    });
+  }
+
+  async route(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+    let parts;
+    try {
+      parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (_) {
+      throw new HttpError(400, 'Bad request');
+    }
+
+    if (request.method === 'GET' && WEB_FILES[url.pathname]) {
+      return this.sendFile(response, WEB_FILES[url.pathname]);
+    }
+    if (parts[0] !== 'api') throw new HttpError(404, 'Not found');
+
+    if (request.method === 'POST') {
+      if (parts[1] === 'servers' && parts.length === 4 && CONTROL_ACTIONS[parts[3]]) {
+        return this.control(request, response, parts[2], parts[3]);
+      }
+      throw new HttpError(404, 'Not found');
+    }
+    if (request.method !== 'GET') throw new HttpError(405, 'Method not allowed');
+
+    if (parts[1] === 'servers' && parts.length === 2) {
+      return this.sendJson(response, 200, { servers: this.snapshot() });
+    }
+    if (parts[1] === 'status' && parts.length === 2) {
+      const servers = {};
+      Object.keys(this.sshOps.config).forEach((name) => {
+        servers[name] = this.serverStatus(name);
+      });
+      return this.sendJson(response, 200, { time: Date.now(), servers });
+    }
+    if (parts[1] === 'history' && parts.length === 2) {
+      const server = url.searchParams.get('server');
+      const since = Number(url.searchParams.get('since')) || Date.now() - DAY;
+      const until = Number(url.searchParams.get('until')) || Date.now();
+      return this.sendJson(response, 200, { entries: this.statusHistory.query({ server, since, until }) });
+    }
+    if (parts[1] === 'servers' && parts.length >= 3) {
+      const name = parts[2];
+      if (!this.sshOps.config[name]) throw new HttpError(404, `Unknown server ${name}`);
+      if (parts.length === 3) return this.sendJson(response, 200, this.describeServer(name));
+      if (parts[3] === 'queue' && parts.length === 4) {
+        return this.sendJson(response, 200, await this.sshOps.fetchQueueState(name));
+      }
+      if (parts[3] === 'timeline' && parts.length === 4) {
+        const until = Number(url.searchParams.get('until')) || Date.now();
+        const since = Number(url.searchParams.get('since')) || until - DAY;
+        return this.sendJson(response, 200, {
+          since,
+          until,
+          segments: this.statusHistory.timeline(name, since, until),
+          uptime: this.statusHistory.uptime(name, since, until)
+        });
+      }
+    }
+    throw new HttpError(404, 'Not found');
+  }
+
+  async control(request, response, name, action) {
+    const { control } = this.settings();
+    if (!control.enabled) throw new HttpError(403, 'Control through the API is disabled');
+    if (!tokenMatches(bearerToken(request), control.token)) {
+      response.setHeader('WWW-Authenticate', 'Bearer');
+      throw new HttpError(401, 'Missing or wrong token');
+    }
+    if (!this.sshOps.config[name]) throw new HttpError(404, `Unknown server ${name}`);
+
+    console.log(`Display API: ${action} ${name} requested by ${request.socket.remoteAddress}`);
+    this.beforeAction(action, name);
+    const result = await this.sshOps[CONTROL_ACTIONS[action]](name);
+    let status = 200;
+    if (!result.success) {
+      if (result.invalidConfig) status = 422;
+      else if (result.sshDown || result.hostKeyChanged) status = 502;
+      else status = 500;
+    }
+    const { output, ...body } = result;
+    return this.sendJson(response, status, body);
+  }
+
+  sendJson(response, status, body) {
+    if (response.headersSent) return;
+    response.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    response.end(JSON.stringify(body));
+  }
+
+  async sendFile(response, { file, type }) {
+    const content = await fs.readFile(path.join(this.webRoot, file));
+    response.writeHead(200, {
+      'Content-Type': type,
+      'Content-Security-Policy': WEB_CSP,
+      'X-Content-Type-Options': 'nosniff'
+    });
+    response.end(content);
+  }
+}
+
+module.exports = ApiServer;
+module.exports.API_DEFAULTS = API_DEFAULTS;
+module.exports.apiSettings = apiSettings;
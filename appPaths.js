@@ -0,0 +1,28 @@
+const os = require('os');
+const path = require('path');
+
+// Where launchers.json and the SSH key are, for the app and the command line
+// alike: ~/.afl/launchers.json and ~/.ssh/id_rsa, unless overridden by
+// SERVER_CONTROL_CONFIG_PATH / SERVER_CONTROL_SSH_KEY_PATH, which in turn
+// give way to --config / --ssh-key (as `--config=PATH` or `--config PATH`).
+
+function argValue(argv, name) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith(`${name}=`)) return argv[i].slice(name.length + 1);
+    if (argv[i] === name && i + 1 < argv.length) return argv[i + 1];
+  }
+  return null;
+}
+
+function resolvePaths({ home = os.homedir(), env = process.env, argv = process.argv } = {}) {
+  return {
+    configPath: argValue(argv, '--config') ||
+      env.SERVER_CONTROL_CONFIG_PATH ||
+      path.join(home, '.afl', 'launchers.json'),
+    sshKeyPath: argValue(argv, '--ssh-key') ||
+      env.SERVER_CONTROL_SSH_KEY_PATH ||
+      path.join(home, '.ssh', 'id_rsa')
+  };
+}
+
+module.exports = { resolvePaths };
@@ -0,0 +1,42 @@
+// asciicast v2, the format of asciinema recordings: a JSON header on the
+// first line, then one event per line as [seconds since start, code, data]:
+//   "o" - output shown in the terminal
+//   "i" - input typed by the user
+//   "r" - the terminal was resized to "<cols>x<rows>"
+// See https://docs.asciinema.org/manual/asciicast/v2/
+
+function castHeader({ width, height, timestamp, title }) {
+  return `${JSON.stringify({ version: 2, width, height, timestamp, title, env: { TERM: 'xterm-256color' } })}\n`;
+}
+
+function castEvent(time, code, data) {
+  return `${JSON.stringify([Math.round(time * 1e6) / 1e6, code, data])}\n`;
+}
+
+// { header, events: [{ time, code, data }] }. Lines that cannot be read
+// (e.g. the last one of a recording cut short) are skipped.
+function parseCast(text) {
+  const lines = text.split('\n');
+  let header;
+  try {
+    header = JSON.parse(lines[0]);
+  } catch (_) {
+    throw new Error('not an asciicast file');
+  }
+  if (!header || header.version !== 2) throw new Error('not an asciicast v2 file');
+  const events = [];
+  for (const line of lines.slice(1)) {
+    if (!line.trim()) continue;
+    try {
+      const [time, code, data] = JSON.parse(line);
+      if (typeof time === 'number' && typeof code === 'string' && typeof data === 'string') {
+        events.push({ time, code, data });
+      }
+    } catch (_) {
+      // skip
+    }
+  }
+  return { header, events };
+}
+
+module.exports = { castHeader, castEvent, parseCast };
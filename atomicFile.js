@@ -0,0 +1,36 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Replace `filePath` with `data` so that readers (and a crash at any point)
+// see either the old or the new contents, never a partial file: the data is
+// written and flushed to a temporary file in the same directory, which is
+// then renamed over the original. An existing file's permissions are kept.
+async function writeFileAtomic(filePath, data, { mode = 0o644 } = {}) {
+  const dir = path.dirname(filePath);
+  const tempPath = path.join(
+    dir,
+    `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`
+  );
+  try {
+    mode = (await fs.stat(filePath)).mode & 0o777;
+  } catch (_) {
+    // new file
+  }
+
+  let handle;
+  try {
+    handle = await fs.open(tempPath, 'wx', mode);
+    await handle.writeFile(data);
+    await handle.sync();
+    await handle.close();
+    handle = null;
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    if (handle) await handle.close().catch(() => {});
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+module.exports = { writeFileAtomic };
@@ -0,0 +1,426 @@
+#!/usr/bin/env node
+// Command-line counterpart of the app, for cron jobs, scripts and notebooks.
+// It reads the same launchers.json and SSH key (see appPaths.js) and runs
+// everything through SSHOperations, so servers behave exactly as on the board.
+//
+//   afl-andon status [server...] [--tag T] [--watch [--interval S]]
+//   afl-andon start|stop|restart <server...> | --tag T | --all
+//   afl-andon log <server> [--lines N] [--follow]
+//   afl-andon config [check|show|paths]
+//
+// --json prints JSON instead of text (one line per round with --watch).
+// Messages from the SSH layer are hidden unless --verbose is given.
+const { parseArgs } = require('util');
+const readline = require('readline');
+const SSHOperations = require('../sshOperations');
+const { resolvePaths } = require('../appPaths');
+const { DEFAULT_BACKEND } = require('../sessionBackends');
+
+// Exit codes; when several servers are involved the most serious wins, in
+// the order of EXIT_PRIORITY
+const EXIT = {
+  OK: 0,
+  FAILED: 1,           // a command failed on the host, or any other error
+  USAGE: 2,            // bad arguments or unknown server
+  SERVER_DOWN: 3,      // session not running, or its HTTP server not answering
+  SSH_DOWN: 4,         // the host could not be reached
+  HOST_KEY_CHANGED: 5, // the host presented a different key; nothing was run
+  INVALID_CONFIG: 6    // the server definition (or launchers.json) has errors
+};
+const EXIT_PRIORITY = [EXIT.HOST_KEY_CHANGED, EXIT.SSH_DOWN, EXIT.INVALID_CONFIG, EXIT.FAILED, EXIT.SERVER_DOWN];
+
+const USAGE = `Usage: afl-andon <command> [options]
+
+Commands:
+  status [server...]          session and queue state (default: all active servers)
+  start|stop|restart <server...>
+  log <server>                print the end of the server's log
+  config [check|show|paths]   problems in launchers.json (default), its contents,
+                              or the paths in use
+
+Options:
+  --config PATH      launchers.json to use (or SERVER_CONTROL_CONFIG_PATH)
+  --ssh-key PATH     SSH key to use (or SERVER_CONTROL_SSH_KEY_PATH)
+  --tag T            servers with this tag (can be repeated)
+  --all              all active servers
+  --watch            status: repeat until interrupted
+  --interval S       status --watch: seconds between rounds (default 5)
+  --lines N, -n N    log: how many lines (default 200)
+  --follow, -f       log: keep printing what is appended
+  --json             machine-readable output
+  --verbose          show messages from the SSH layer on stderr
+
+Exit codes: 0 ok, 1 failed, 2 usage, 3 server down, 4 SSH down,
+5 host key changed, 6 invalid definition`;
+
+class UsageError extends Error {}
+
+// Our own output; the global console is left to the SSH layer
+const out = new console.Console({ stdout: process.stdout, stderr: process.stderr });
+
+function routeLibraryLogs(verbose) {
+  for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+    console[method] = verbose ? (...args) => out.error(...args) : () => {};
+  }
+}
+
+function worstExit(codes) {
+  return EXIT_PRIORITY.find(code => codes.includes(code)) || EXIT.OK;
+}
+
+// Exit code for a { success, sshDown, hostKeyChanged, invalidConfig } result
+function resultExit(result) {
+  if (result.success) return EXIT.OK;
+  if (result.hostKeyChanged) return EXIT.HOST_KEY_CHANGED;
+  if (result.invalidConfig) return EXIT.INVALID_CONFIG;
+  if (result.sshDown) return EXIT.SSH_DOWN;
+  return EXIT.FAILED;
+}
+
+function resultError(result) {
+  return result.error || (result.sshDown ? 'SSH down' : 'failed');
+}
+
+// Prompts go to stderr and only happen on a terminal; one at a time, as
+// several hosts may be contacted at once
+let prompting = Promise.resolve();
+
+function prompt(ask) {
+  const answer = prompting.then(ask);
+  prompting = answer.catch(() => {});
+  return answer;
+}
+
+function askQuestion(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+// Read a line without echoing it; null on Ctrl-C or Ctrl-D
+function askHidden(question) {
+  return new Promise((resolve) => {
+    const stdin = process.stdin;
+    let value = '';
+    const finish = (result) => {
+      stdin.removeListener('data', onData);
+      stdin.setRawMode(false);
+      stdin.pause();
+      process.stderr.write('\n');
+      resolve(result);
+    };
+    const onData = (chunk) => {
+      for (const ch of chunk) {
+        if (ch === '\r' || ch === '\n') return finish(value);
+        if (ch === '\u0003' || ch === '\u0004') return finish(null);
+        value = ch === '\u007f' || ch === '\b' ? value.slice(0, -1) : value + ch;
+      }
+      return undefined;
+    };
+    process.stderr.write(question);
+    stdin.setEncoding('utf8');
+    stdin.setRawMode(true);
+    stdin.resume();
+    stdin.on('data', onData);
+  });
+}
+
+function setUpPrompts(sshOps) {
+  if (!process.stdin.isTTY) return; // unknown hosts are refused, encrypted keys skipped
+  sshOps.setPassphraseProvider((keyPath, { error }) => prompt(() =>
+    askHidden(`${error ? `${error}. ` : ''}Passphrase for ${keyPath}: `)));
+  sshOps.setHostKeyPrompt(({ host, port, keyType, fingerprint }) => prompt(async () => {
+    const where = port === 22 ? host : `${host}:${port}`;
+    const answer = await askQuestion(`The authenticity of ${where} can't be established.\n` +
+      `${keyType} key fingerprint is ${fingerprint}.\nTrust it and continue? [y/N] `);
+    return /^y(es)?$/i.test(answer.trim());
+  }));
+}
+
+// Servers named on the command line, or those with one of the tags, or
+// (with --all, or for status without either) all active servers
+function selectServers(sshOps, names, { tags = [], all = false, defaultAll = false } = {}) {
+  const unknown = names.find(name => !sshOps.config[name]);
+  if (unknown) throw new UsageError(`Unknown server ${unknown}`);
+  const selected = new Set(names);
+  for (const [name, serverConfig] of Object.entries(sshOps.config)) {
+    if ((serverConfig.tags || []).some(tag => tags.includes(tag))) selected.add(name);
+    if ((all || (defaultAll && !names.length && !tags.length)) && serverConfig.active) selected.add(name);
+  }
+  if (!selected.size) {
+    throw new UsageError(names.length || tags.length ? 'No matching servers' : 'Name at least one server, or use --tag or --all');
+  }
+  return Array.from(selected);
+}
+
+// [{ server, host, backend, session, queue, error }] where session is
+// active | inactive | ssh-down | host-key-changed | invalid, and queue is the
+// queue state (lower case), "up" for a device server, or "unreachable"
+async function collectStatus(sshOps, serverNames) {
+  const rows = serverNames.map(server => ({
+    server,
+    host: sshOps.config[server].host,
+    backend: sshOps.config[server].backend || DEFAULT_BACKEND,
+    session: null,
+    queue: null,
+    error: null
+  }));
+  const hosts = new Map();
+  for (const row of rows) {
+    const errors = sshOps.getServerErrors(row.server);
+    if (errors.length) {
+      row.session = 'invalid';
+      row.error = sshOps.invalidConfigResult(errors).error;
+      continue;
+    }
+    if (!hosts.has(row.host)) hosts.set(row.host, []);
+    hosts.get(row.host).push(row);
+  }
+
+  await Promise.all(Array.from(hosts, async ([host, hostRows]) => {
+    const batch = await sshOps.getBatchServerStatus(host);
+    await Promise.all(hostRows.map(async (row) => {
+      if (batch.success) {
+        row.session = batch.running.includes(row.server) ? 'active' : 'inactive';
+      } else {
+        row.session = batch.hostKeyChanged ? 'host-key-changed' : 'ssh-down';
+        row.error = resultError(batch);
+      }
+      const queue = await sshOps.fetchQueueState(row.server);
+      row.queue = queue.ok
+        ? (sshOps.config[row.server].device ? 'up' : (queue.state || 'unknown').toLowerCase())
+        : 'unreachable';
+    }));
+  }));
+  return rows;
+}
+
+function statusExit(rows) {
+  return worstExit(rows.map((row) => {
+    if (row.session === 'host-key-changed') return EXIT.HOST_KEY_CHANGED;
+    if (row.session === 'ssh-down') return EXIT.SSH_DOWN;
+    if (row.session === 'invalid') return EXIT.INVALID_CONFIG;
+    if (row.session === 'inactive' || row.queue === 'unreachable') return EXIT.SERVER_DOWN;
+    return EXIT.OK;
+  }));
+}
+
+function formatTable(headers, rows) {
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => String(row[i]).length)));
+  const line = cells => cells.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+  return [line(headers), ...rows.map(line)].join('\n');
+}
+
+function printStatus(rows) {
+  out.log(formatTable(
+    ['SERVER', 'HOST', 'BACKEND', 'SESSION', 'QUEUE'],
+    rows.map(row => [row.server, row.host, row.backend, row.session, row.queue || '-'])
+  ));
+  rows.filter(row => row.error).forEach(row => out.log(`${row.server}: ${row.error}`));
+}
+
+async function statusCommand(sshOps, names, options) {
+  const serverNames = selectServers(sshOps, names, { tags: options.tag, all: options.all, defaultAll: true });
+  if (!options.watch) {
+    const rows = await collectStatus(sshOps, serverNames);
+    if (options.json) out.log(JSON.stringify({ time: Date.now(), servers: rows }));
+    else printStatus(rows);
+    return statusExit(rows);
+  }
+
+  const interval = Number(options.interval);
+  if (!(interval > 0)) throw new UsageError('--interval must be a positive number of seconds');
+  let stopped = false;
+  let wake = () => {};
+  process.once('SIGINT', () => {
+    stopped = true;
+    wake();
+  });
+  let code = EXIT.OK;
+  while (!stopped) {
+    const rows = await collectStatus(sshOps, serverNames);
+    code = statusExit(rows);
+    if (options.json) {
+      out.log(JSON.stringify({ time: Date.now(), servers: rows }));
+    } else {
+      if (process.stdout.isTTY) process.stdout.write('\x1b[2J\x1b[H');
+      out.log(`${new Date().toLocaleString()}  (every ${interval} s, Ctrl-C to stop)\n`);
+      printStatus(rows);
+      if (!process.stdout.isTTY) out.log('');
+    }
+    if (stopped) break;
+    await new Promise((resolve) => {
+      const timer = setTimeout(resolve, interval * 1000);
+      wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+  return code;
+}
+
+const ACTIONS = { start: 'startServer', stop: 'stopServer', restart: 'restartServer' };
+const ACTION_DONE = { start: 'started', stop: 'stopped', restart: 'restarted' };
+
+async function controlCommand(sshOps, action, names, options) {
+  const serverNames = selectServers(sshOps, names, { tags: options.tag, all: options.all });
+  const results = [];
+  for (const server of serverNames) {
+    const result = await sshOps[ACTIONS[action]](server);
+    const entry = { server, action, success: !!result.success, error: result.success ? null : resultError(result), exit: resultExit(result) };
+    results.push(entry);
+    if (!options.json) out.log(`${server}: ${entry.success ? ACTION_DONE[action] : `${action} failed: ${entry.error}`}`);
+  }
+  if (options.json) out.log(JSON.stringify({ results: results.map(({ exit, ...entry }) => entry) }));
+  return worstExit(results.map(entry => entry.exit));
+}
+
+async function logCommand(sshOps, names, options) {
+  if (names.length !== 1) throw new UsageError('log takes exactly one server');
+  const [server] = selectServers(sshOps, names);
+  const lines = Number(options.lines);
+  if (!Number.isInteger(lines) || lines < 1) throw new UsageError('--lines must be a positive whole number');
+  const errors = sshOps.getServerErrors(server);
+  if (errors.length) {
+    out.error(`${server}: ${sshOps.invalidConfigResult(errors).error}`);
+    return EXIT.INVALID_CONFIG;
+  }
+
+  if (!options.follow) {
+    const result = await sshOps.getServerLog(server, lines);
+    if (!result.success) {
+      out.error(`${server}: ${resultError(result)}`);
+      return resultExit(result);
+    }
+    if (options.json) out.log(JSON.stringify({ server, lines: result.output.replace(/\n$/, '').split('\n') }));
+    else process.stdout.write(result.output);
+    return EXIT.OK;
+  }
+
+  let logStream;
+  try {
+    logStream = await sshOps.openLogStream(server, lines);
+  } catch (error) {
+    out.error(`${server}: ${error.message}`);
+    return /host key/i.test(error.message) ? EXIT.HOST_KEY_CHANGED : EXIT.SSH_DOWN;
+  }
+  const { stream, release } = logStream;
+  process.once('SIGINT', () => stream.close());
+  if (options.json) {
+    // One JSON string per line of the log
+    let partial = '';
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => {
+      const parts = (partial + chunk).split(/\r?\n/);
+      partial = parts.pop();
+      parts.forEach(line => out.log(JSON.stringify(line)));
+    });
+  } else {
+    stream.pipe(process.stdout);
+  }
+  await new Promise(resolve => stream.on('close', resolve));
+  release();
+  return EXIT.OK;
+}
+
+function configCommand(sshOps, paths, names, options) {
+  const what = names[0] || 'check';
+  if (what === 'paths') {
+    if (options.json) out.log(JSON.stringify(paths));
+    else out.log(`config:  ${paths.configPath}\nssh key: ${paths.sshKeyPath}`);
+    return EXIT.OK;
+  }
+  if (what === 'show') {
+    if (sshOps.configLoadError) {
+      out.error(sshOps.configLoadError);
+      return EXIT.FAILED;
+    }
+    // As loaded, with defaults filled in
+    out.log(JSON.stringify(sshOps.configDocument(), null, options.json ? 0 : 2));
+    return EXIT.OK;
+  }
+  if (what !== 'check') throw new UsageError(`Unknown config command "${what}"`);
+
+  const problems = sshOps.configProblems;
+  if (options.json) {
+    out.log(JSON.stringify({ path: paths.configPath, problems }));
+  } else if (!problems.length) {
+    out.log(`${paths.configPath}: no problems`);
+  } else {
+    problems.forEach(({ server, message, level }) => out.log(`${level}${server ? ` in ${server}` : ''}: ${message}`));
+  }
+  if (sshOps.configLoadError) return EXIT.FAILED;
+  return problems.some(p => p.level === 'error') ? EXIT.INVALID_CONFIG : EXIT.OK;
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        config: { type: 'string' },
+        'ssh-key': { type: 'string' },
+        tag: { type: 'string', multiple: true, default: [] },
+        all: { type: 'boolean', default: false },
+        watch: { type: 'boolean', default: false },
+        interval: { type: 'string', default: '5' },
+        lines: { type: 'string', short: 'n', default: '200' },
+        follow: { type: 'boolean', short: 'f', default: false },
+        json: { type: 'boolean', default: false },
+        verbose: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    out.error(`${error.message}\n\n${USAGE}`);
+    return EXIT.USAGE;
+  }
+  const { values: options, positionals } = parsed;
+  const [command, ...names] = positionals;
+  if (options.help || !command) {
+    (options.help ? out.log : out.error)(USAGE);
+    return options.help ? EXIT.OK : EXIT.USAGE;
+  }
+  if (!['status', 'log', 'config', ...Object.keys(ACTIONS)].includes(command)) {
+    out.error(`Unknown command "${command}"\n\n${USAGE}`);
+    return EXIT.USAGE;
+  }
+
+  routeLibraryLogs(options.verbose);
+  const paths = resolvePaths({ argv });
+  const sshOps = new SSHOperations(paths.configPath, paths.sshKeyPath);
+  setUpPrompts(sshOps);
+  try {
+    // status, log and config only read launchers.json: an older layout is
+    // migrated in memory, and only a start, stop or restart writes it back
+    await sshOps.initialize({ writeMigrated: Object.keys(ACTIONS).includes(command) });
+    if (command === 'config') return configCommand(sshOps, paths, names, options);
+    if (sshOps.configLoadError) {
+      out.error(sshOps.configLoadError);
+      return EXIT.FAILED;
+    }
+    if (command === 'status') return await statusCommand(sshOps, names, options);
+    if (command === 'log') return await logCommand(sshOps, names, options);
+    return await controlCommand(sshOps, command, names, options);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    out.error(error.message);
+    return EXIT.USAGE;
+  } finally {
+    sshOps.close();
+  }
+}
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+}, (error) => {
+  out.error(error.stack || error.message);
+  process.exitCode = EXIT.FAILED;
+});
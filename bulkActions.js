@@ -0,0 +1,99 @@
+const { EventEmitter } = require('events');
+
+// Start, stop or restart many servers in one go, a few at a time. How many
+// run at once comes from the `bulk` section of launchers.json:
+//   "bulk": { "concurrency": 4 }
+
+const DEFAULT_CONCURRENCY = 4;
+
+const BULK_ACTIONS = {
+  start: 'startServer',
+  stop: 'stopServer',
+  restart: 'restartServer'
+};
+
+// Call `worker(item)` for every item, with at most `limit` calls in flight
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(lanes);
+  return results;
+}
+
+// Progress is emitted as 'progress' with a snapshot of the run:
+//   { id, action, status, concurrency, results: [{ server, state, error }] }
+// status: running | done; state: pending | running | ok | failed
+class BulkRunner extends EventEmitter {
+  // `beforeAction(action, name)` is called before each server is acted on
+  constructor({ sshOps, beforeAction = () => {} }) {
+    super();
+    this.sshOps = sshOps;
+    this.beforeAction = beforeAction;
+    this.run = null;
+    this.runId = 0;
+  }
+
+  concurrency() {
+    const settings = this.sshOps.configSettings.bulk || {};
+    return settings.concurrency || DEFAULT_CONCURRENCY;
+  }
+
+  isRunning() {
+    return !!(this.run && this.run.status === 'running');
+  }
+
+  snapshot() {
+    return this.run && { ...this.run, results: this.run.results.map(result => ({ ...result })) };
+  }
+
+  // Resolves with the finished run
+  async execute(action, serverNames) {
+    const method = BULK_ACTIONS[action];
+    if (!method) throw new Error(`Unknown bulk action "${action}"`);
+    if (this.isRunning()) throw new Error(`A bulk ${this.run.action} is still running`);
+    const unknown = serverNames.find(name => !this.sshOps.config[name]);
+    if (unknown) throw new Error(`Unknown server ${unknown}`);
+
+    const run = {
+      id: ++this.runId,
+      action,
+      status: 'running',
+      concurrency: this.concurrency(),
+      results: serverNames.map(server => ({ server, state: 'pending', error: null }))
+    };
+    this.run = run;
+    this.emit('progress', this.snapshot());
+
+    await mapWithConcurrency(run.results, run.concurrency, async (result) => {
+      result.state = 'running';
+      this.emit('progress', this.snapshot());
+      let outcome;
+      try {
+        this.beforeAction(action, result.server);
+        outcome = await this.sshOps[method](result.server);
+      } catch (error) {
+        outcome = { success: false, error: error.message };
+      }
+      result.state = outcome.success ? 'ok' : 'failed';
+      if (!outcome.success) {
+        result.error = outcome.error || (outcome.sshDown ? 'SSH down' : `${action} failed`);
+      }
+      this.emit('progress', this.snapshot());
+    });
+
+    run.status = 'done';
+    const failed = run.results.filter(result => result.state === 'failed').length;
+    console.log(`Bulk ${action} of ${run.results.length} servers: ${failed} failed`);
+    this.emit('progress', this.snapshot());
+    return this.snapshot();
+  }
+}
+
+module.exports = BulkRunner;
+module.exports.DEFAULT_CONCURRENCY = DEFAULT_CONCURRENCY;
@@ -0,0 +1,101 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('./atomicFile');
+
+const DEFAULT_BACKUP_COUNT = 10;
+
+// Rolling timestamped copies of a config file, kept next to it as
+// <name>.<timestamp>.bak. A copy is taken before every write so that any
+// earlier version can be restored; only the newest `keep` are kept.
+class ConfigBackups {
+  constructor(filePath, { keep = DEFAULT_BACKUP_COUNT } = {}) {
+    this.filePath = filePath;
+    this.keep = keep;
+  }
+
+  setPath(filePath) {
+    this.filePath = filePath;
+  }
+
+  setKeep(keep) {
+    this.keep = keep;
+  }
+
+  // "launchers.json.2026-01-31T12-00-00-000Z.bak" -> Date, or null if the
+  // name is not one of our backups
+  parseName(name) {
+    const prefix = `${path.basename(this.filePath)}.`;
+    if (!name.startsWith(prefix) || !name.endsWith('.bak')) return null;
+    const stamp = name.slice(prefix.length, -'.bak'.length);
+    const match = stamp.match(/^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/);
+    if (!match) return null;
+    return new Date(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`);
+  }
+
+  // Backups, newest first, as [{ name, time, size }]
+  async list() {
+    const dir = path.dirname(this.filePath);
+    let names;
+    try {
+      names = await fs.readdir(dir);
+    } catch (_) {
+      return [];
+    }
+    const backups = [];
+    for (const name of names) {
+      const time = this.parseName(name);
+      if (!time) continue;
+      try {
+        const { size } = await fs.stat(path.join(dir, name));
+        backups.push({ name, time: time.toISOString(), size });
+      } catch (_) {
+        // removed while listing
+      }
+    }
+    return backups.sort((a, b) => b.name.localeCompare(a.name));
+  }
+
+  async read(name) {
+    if (!this.parseName(name) || path.basename(name) !== name) {
+      throw new Error(`Not a backup of ${path.basename(this.filePath)}: ${name}`);
+    }
+    return fs.readFile(path.join(path.dirname(this.filePath), name), 'utf8');
+  }
+
+  // Copy the current file to a new backup (unless it is missing or identical
+  // to the newest backup) and drop the oldest ones beyond `keep`
+  async create() {
+    let text;
+    try {
+      text = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    const [newest] = await this.list();
+    if (newest && await this.read(newest.name).catch(() => null) === text) {
+      return newest.name;
+    }
+
+    let time = Date.now();
+    // Keep names unique (and ordered) when saving several times a millisecond
+    if (newest) time = Math.max(time, new Date(newest.time).getTime() + 1);
+    const stamp = new Date(time).toISOString().replace(/:/g, '-').replace('.', '-');
+    const name = `${path.basename(this.filePath)}.${stamp}.bak`;
+    await writeFileAtomic(path.join(path.dirname(this.filePath), name), text);
+    await this.prune();
+    return name;
+  }
+
+  async prune() {
+    const backups = await this.list();
+    for (const { name } of backups.slice(Math.max(this.keep, 0))) {
+      await fs.unlink(path.join(path.dirname(this.filePath), name)).catch((error) => {
+        console.warn(`Unable to remove old config backup ${name}:`, error.message);
+      });
+    }
+  }
+}
+
+module.exports = ConfigBackups;
+module.exports.DEFAULT_BACKUP_COUNT = DEFAULT_BACKUP_COUNT;
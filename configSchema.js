@@ -0,0 +1,553 @@
+// Schema and migrations for launchers.json.
+//
+// Layouts:
+//   1 - the original flat map of server name -> server definition
+//   2 - { "version": 2, "servers": { name -> definition }, ...settings },
+//       where settings are the other top-level sections (SETTINGS_FIELDS)
+//
+// Problems are reported as { server, field, message, level } where `server`
+// is null for file-level problems and `level` is 'error' or 'warning'.
+// Servers with errors are still loaded (so they can be fixed in the UI) but
+// no commands are run for them.
+
+const { validateServerCommands } = require('./remoteCommand');
+const { SESSION_BACKENDS } = require('./sessionBackends');
+const { ALERT_RULES } = require('./alertMonitor');
+const { profileOrder } = require('./startupProfiles');
+
+const CURRENT_CONFIG_VERSION = 2;
+
+// Tab ids used by the sidebar, so they cannot double as server names
+const RESERVED_SERVER_NAMES = ['andon', 'settings'];
+
+const SERVER_DEFAULTS = {
+  httpPort: 5000,
+  shell: 'bash',
+  active: true,
+  device: false
+};
+
+const checkString = value =>
+  typeof value === 'string' && value.trim() !== '' ? null : 'must be a non-empty string';
+
+const checkHost = value =>
+  checkString(value) || (/^[^\s@/]+$/.test(value) ? null : 'must be a host name or address');
+
+const checkUsername = value =>
+  checkString(value) || (/^[^\s@:]+$/.test(value) ? null : 'must be a user name without spaces, "@" or ":"');
+
+const checkBoolean = value =>
+  typeof value === 'boolean' ? null : 'must be true or false';
+
+const checkPort = value =>
+  Number.isInteger(value) && value >= 1 && value <= 65535 ? null : 'must be a port number between 1 and 65535';
+
+function checkUrl(value) {
+  const problem = checkString(value);
+  if (problem) return problem;
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) ? null : 'must be an http:// or https:// URL';
+  } catch (_) {
+    return 'must be a valid URL';
+  }
+}
+
+const JUMP_HOST_FIELDS = {
+  host: { check: checkHost, required: true },
+  port: { check: checkPort },
+  username: { check: checkUsername },
+  identity_file: { check: checkString },
+  jump_host: { check: checkJumpHost }
+};
+
+// `jump_host` is a hop, a list of hops, or a hop with its own `jump_host`
+function checkJumpHost(value) {
+  const hops = Array.isArray(value) ? value : [value];
+  if (hops.length === 0) return 'must list at least one host';
+  for (const hop of hops) {
+    if (!hop || typeof hop !== 'object' || Array.isArray(hop)) {
+      return 'must be { host, port, username } or a list of them';
+    }
+    for (const [field, spec] of Object.entries(JUMP_HOST_FIELDS)) {
+      if (hop[field] === undefined) {
+        if (spec.required) return `every hop needs a ${field}`;
+        continue;
+      }
+      const problem = spec.check(hop[field]);
+      if (problem) return `${field} of hop ${JSON.stringify(hop.host)} ${problem}`;
+    }
+  }
+  return null;
+}
+
+const WATCHDOG_FIELDS = {
+  enabled: checkBoolean,
+  grace: value => (Number.isInteger(value) && value >= 0 ? null : 'must be a number of milliseconds'),
+  backoff: value => (Number.isInteger(value) && value > 0 ? null : 'must be a number of milliseconds'),
+  maxBackoff: value => (Number.isInteger(value) && value > 0 ? null : 'must be a number of milliseconds'),
+  maxRestartsPerHour: value => (Number.isInteger(value) && value > 0 ? null : 'must be a whole number above 0')
+};
+
+// `watchdog` is true/false or an object of WATCHDOG_FIELDS (see watchdog.js)
+function checkWatchdog(value) {
+  if (typeof value === 'boolean') return null;
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return 'must be true, false or an object of watchdog settings';
+  }
+  for (const [key, item] of Object.entries(value)) {
+    if (!WATCHDOG_FIELDS[key]) return `unknown setting "${key}"`;
+    const message = WATCHDOG_FIELDS[key](item);
+    if (message) return `${key} ${message}`;
+  }
+  return null;
+}
+
+// How Join attaches to the screen session: typing into it, or watching only
+const checkJoinMode = value =>
+  ['control', 'observe'].includes(value) ? null : 'must be "control" or "observe"';
+
+// Which program keeps the server running, see sessionBackends.js
+const checkBackend = value =>
+  Object.prototype.hasOwnProperty.call(SESSION_BACKENDS, value)
+    ? null : `must be one of ${Object.keys(SESSION_BACKENDS).map(name => `"${name}"`).join(', ')}`;
+
+const checkTags = value =>
+  Array.isArray(value) && value.every(tag => !checkString(tag) && !/[,\s]/.test(tag))
+    ? null : 'must be a list of names without spaces or commas';
+
+const SERVER_FIELDS = {
+  host: { check: checkHost, required: true },
+  username: { check: checkUsername },
+  identity_file: { check: checkString },
+  port: { check: checkPort },
+  jump_host: { check: checkJumpHost },
+  httpPort: { check: checkPort },
+  screen_name: { check: checkString, required: true },
+  backend: { check: checkBackend },
+  server_script: { check: checkString },
+  server_module: { check: checkString },
+  shell: { check: checkString },
+  conda_env: { check: checkString },
+  device: { check: checkBoolean },
+  active: { check: checkBoolean },
+  watchdog: { check: checkWatchdog },
+  record: { check: checkBoolean },
+  join_mode: { check: checkJoinMode },
+  status_url: { check: checkUrl },
+  webview_url: { check: checkUrl },
+  icon: { check: checkString },
+  tags: { check: checkTags }
+};
+
+function checkBulk(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object like { "concurrency": 4 }';
+  if (value.concurrency !== undefined && !(Number.isInteger(value.concurrency) && value.concurrency >= 1 && value.concurrency <= 64)) {
+    return 'concurrency must be a whole number between 1 and 64';
+  }
+  return null;
+}
+
+function checkLogs(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return 'must be an object like { "keep": 5, "rotateOnStart": true }';
+  }
+  if (value.keep !== undefined && !(Number.isInteger(value.keep) && value.keep >= 1 && value.keep <= 100)) {
+    return 'keep must be a whole number between 1 and 100';
+  }
+  if (value.rotateOnStart !== undefined && typeof value.rotateOnStart !== 'boolean') {
+    return 'rotateOnStart must be true or false';
+  }
+  return null;
+}
+
+// The display API, see apiServer.js
+function checkApi(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return 'must be an object like { "enabled": true, "host": "0.0.0.0", "port": 8686 }';
+  }
+  if (value.enabled !== undefined && typeof value.enabled !== 'boolean') return 'enabled must be true or false';
+  if (value.host !== undefined && checkHost(value.host)) return 'host must be a listen address such as "0.0.0.0"';
+  if (value.port !== undefined && checkPort(value.port)) return 'port must be a whole number between 1 and 65535';
+  if (value.tls !== undefined && value.tls !== null) {
+    if (typeof value.tls !== 'object' || checkString(value.tls.cert) || checkString(value.tls.key)) {
+      return 'tls must be { "cert": "<path>", "key": "<path>" }';
+    }
+  }
+  if (value.control !== undefined) {
+    const control = value.control;
+    if (!control || typeof control !== 'object' || Array.isArray(control)) {
+      return 'control must be an object like { "enabled": false, "token": "..." }';
+    }
+    if (control.enabled !== undefined && typeof control.enabled !== 'boolean') return 'control.enabled must be true or false';
+    if (control.token !== undefined && control.token !== null && (typeof control.token !== 'string' || control.token.length < 16)) {
+      return 'control.token must be at least 16 characters';
+    }
+    if (control.enabled && !control.token) return 'control.token is required when control is enabled';
+  }
+  return null;
+}
+
+// The metrics exporter, see metricsExporter.js
+function checkMetrics(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return 'must be an object like { "enabled": true, "host": "0.0.0.0", "port": 9464 }';
+  }
+  if (value.enabled !== undefined && typeof value.enabled !== 'boolean') return 'enabled must be true or false';
+  if (value.host !== undefined && checkHost(value.host)) return 'host must be a listen address such as "0.0.0.0"';
+  if (value.port !== undefined && checkPort(value.port)) return 'port must be a whole number between 1 and 65535';
+  return null;
+}
+
+function checkBackups(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object like { "keep": 10 }';
+  if (value.keep !== undefined && !(Number.isInteger(value.keep) && value.keep >= 0 && value.keep <= 1000)) {
+    return 'keep must be a whole number between 0 and 1000';
+  }
+  return null;
+}
+
+const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+function checkAlertRule(ruleId, settings) {
+  if (!ALERT_RULES[ruleId]) return `unknown alert rule "${ruleId}"`;
+  if (!isObject(settings)) return `rule "${ruleId}" must be an object`;
+  for (const [key, value] of Object.entries(settings)) {
+    if (['enabled', 'notify', 'alarm', 'flash'].includes(key)) {
+      if (typeof value !== 'boolean') return `${key} of rule "${ruleId}" must be true or false`;
+    } else if (key === 'debounce') {
+      if (!Number.isInteger(value) || value < 0) return `debounce of rule "${ruleId}" must be a number of milliseconds`;
+    } else {
+      return `unknown setting "${key}" in rule "${ruleId}"`;
+    }
+  }
+  return null;
+}
+
+const checkEmail = value => (typeof value === 'string' && /^[^\s@<>,]+@[^\s@<>,]+$/.test(value) ? null : 'must be an email address');
+
+const ALERT_CHANNEL_FIELDS = {
+  webhook: {
+    url: { check: checkUrl, required: true },
+    template: { check: value => (value !== null && typeof value === 'object' ? null : 'must be a JSON object or array') },
+    headers: {
+      check: value => (isObject(value) && Object.values(value).every(v => typeof v === 'string')
+        ? null : 'must be an object of header names and values')
+    },
+    rateLimit: { check: checkRateLimit }
+  },
+  email: {
+    host: { check: checkHost, required: true },
+    port: { check: checkPort },
+    secure: { check: checkBoolean },
+    starttls: { check: checkBoolean },
+    username: { check: checkString },
+    password: { check: value => (typeof value === 'string' ? null : 'must be a string') },
+    from: { check: checkEmail, required: true },
+    to: {
+      check: value => (Array.isArray(value) && value.length && value.every(to => !checkEmail(to))
+        ? null : 'must be a list of email addresses'),
+      required: true
+    },
+    subject: { check: checkString },
+    rateLimit: { check: checkRateLimit }
+  }
+};
+
+function checkRateLimit(value) {
+  if (!isObject(value)) return 'must be an object like { "max": 10, "per": 3600000 }';
+  if (value.max !== undefined && !(Number.isInteger(value.max) && value.max > 0)) return 'max must be a whole number above 0';
+  if (value.per !== undefined && !(Number.isInteger(value.per) && value.per > 0)) return 'per must be a number of milliseconds';
+  return null;
+}
+
+function checkAlertChannel(name, channel) {
+  if (!isObject(channel)) return `channel "${name}" must be an object`;
+  const fields = ALERT_CHANNEL_FIELDS[channel.type];
+  if (!fields) return `channel "${name}" needs a type of ${Object.keys(ALERT_CHANNEL_FIELDS).join(' or ')}`;
+  for (const [key, value] of Object.entries(channel)) {
+    if (key === 'type') continue;
+    if (!fields[key]) return `unknown setting "${key}" in channel "${name}"`;
+    const message = fields[key].check(value);
+    if (message) return `${key} of channel "${name}" ${message}`;
+  }
+  for (const [key, spec] of Object.entries(fields)) {
+    if (spec.required && channel[key] === undefined) return `channel "${name}" needs a ${key}`;
+  }
+  return null;
+}
+
+const CLOCK_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function checkAlertRoute(route, index, channels) {
+  const where = `route ${index + 1}`;
+  if (!isObject(route)) return `${where} must be an object`;
+  const isList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+  for (const key of Object.keys(route)) {
+    if (!['channels', 'servers', 'severities', 'rules', 'quietHours'].includes(key)) {
+      return `unknown setting "${key}" in ${where}`;
+    }
+  }
+  if (!isList(route.channels) || !route.channels.length) return `${where} needs a list of channels`;
+  const unknown = route.channels.find(name => !channels[name]);
+  if (unknown) return `${where} names unknown channel "${unknown}"`;
+  for (const key of ['servers', 'severities', 'rules']) {
+    if (route[key] !== undefined && !isList(route[key])) return `${key} of ${where} must be a list of names`;
+  }
+  const badSeverity = (route.severities || []).find(severity => !['warning', 'critical'].includes(severity));
+  if (badSeverity) return `${where} has unknown severity "${badSeverity}"`;
+  const badRule = (route.rules || []).find(ruleId => !ALERT_RULES[ruleId]);
+  if (badRule) return `${where} has unknown alert rule "${badRule}"`;
+  if (route.quietHours !== undefined) {
+    const { start, end } = route.quietHours || {};
+    if (!CLOCK_PATTERN.test(start) || !CLOCK_PATTERN.test(end)) {
+      return `quietHours of ${where} must be like { "start": "22:00", "end": "07:00" }`;
+    }
+  }
+  return null;
+}
+
+function checkAlerts(value) {
+  if (!isObject(value)) return 'must be an object';
+  if (value.rules !== undefined) {
+    if (!isObject(value.rules)) return 'rules must be an object keyed by rule id';
+    for (const [ruleId, settings] of Object.entries(value.rules)) {
+      const message = checkAlertRule(ruleId, settings);
+      if (message) return message;
+    }
+  }
+  if (value.servers !== undefined) {
+    if (!isObject(value.servers)) return 'servers must be an object keyed by server name';
+    for (const [serverName, settings] of Object.entries(value.servers)) {
+      if (!isObject(settings)) return `settings for "${serverName}" must be an object`;
+      if (settings.muted !== undefined && typeof settings.muted !== 'boolean') {
+        return `muted for "${serverName}" must be true or false`;
+      }
+      for (const [ruleId, enabled] of Object.entries(settings.rules || {})) {
+        if (!ALERT_RULES[ruleId]) return `unknown alert rule "${ruleId}" for "${serverName}"`;
+        if (typeof enabled !== 'boolean') return `rule "${ruleId}" for "${serverName}" must be true or false`;
+      }
+    }
+  }
+  if (value.channels !== undefined) {
+    if (!isObject(value.channels)) return 'channels must be an object keyed by channel name';
+    for (const [name, channel] of Object.entries(value.channels)) {
+      const message = checkAlertChannel(name, channel);
+      if (message) return message;
+    }
+  }
+  if (value.routes !== undefined) {
+    if (!Array.isArray(value.routes)) return 'routes must be a list';
+    for (const [index, route] of value.routes.entries()) {
+      const message = checkAlertRoute(route, index, value.channels || {});
+      if (message) return message;
+    }
+  }
+  return null;
+}
+
+function checkReady(value) {
+  if (value === 'screen' || value === 'http') return null;
+  if (isObject(value) && Object.keys(value).length === 1) {
+    const states = Array.isArray(value.queue) ? value.queue : [value.queue];
+    if (states.length && states.every(state => !checkString(state))) return null;
+  }
+  return 'must be "screen", "http" or { "queue": "<state>" }';
+}
+
+// Profile entries: server name -> { depends_on, ready, timeout }
+function checkProfile(name, profile) {
+  if (!isObject(profile) || !isObject(profile.servers)) {
+    return `profile "${name}" must be like { "servers": { "<server>": { ... } } }`;
+  }
+  for (const key of Object.keys(profile)) {
+    if (!['servers', 'description'].includes(key)) return `unknown setting "${key}" in profile "${name}"`;
+  }
+  if (profile.description !== undefined && typeof profile.description !== 'string') {
+    return `description of profile "${name}" must be a string`;
+  }
+  for (const [serverName, settings] of Object.entries(profile.servers)) {
+    const where = `"${serverName}" in profile "${name}"`;
+    if (!isObject(settings)) return `${where} must be an object`;
+    for (const [key, value] of Object.entries(settings)) {
+      let message = null;
+      if (key === 'depends_on') {
+        message = Array.isArray(value) && value.every(item => typeof item === 'string') ? null : 'must be a list of server names';
+      } else if (key === 'ready') {
+        message = checkReady(value);
+      } else if (key === 'timeout') {
+        message = Number.isInteger(value) && value > 0 ? null : 'must be a number of milliseconds';
+      } else {
+        message = 'is not a profile setting';
+      }
+      if (message) return `${key} of ${where} ${message}`;
+    }
+  }
+  try {
+    profileOrder(profile);
+  } catch (error) {
+    return `profile "${name}": ${error.message}`;
+  }
+  return null;
+}
+
+function checkProfiles(value) {
+  if (!isObject(value)) return 'must be an object keyed by profile name';
+  for (const [name, profile] of Object.entries(value)) {
+    const message = checkProfile(name, profile);
+    if (message) return message;
+  }
+  return null;
+}
+
+// Top-level sections of the file besides `version` and `servers`
+const SETTINGS_FIELDS = {
+  backups: { check: checkBackups },
+  alerts: { check: checkAlerts },
+  profiles: { check: checkProfiles },
+  bulk: { check: checkBulk },
+  logs: { check: checkLogs },
+  api: { check: checkApi },
+  metrics: { check: checkMetrics }
+};
+
+function problem(server, field, message, level = 'error') {
+  return { server, field, message: field ? `${field}: ${message}` : message, level };
+}
+
+// Problems with one server definition. Fields set to undefined count as
+// absent, as they are dropped when the file is written.
+function validateServer(serverConfig, serverName = null) {
+  if (!serverConfig || typeof serverConfig !== 'object' || Array.isArray(serverConfig)) {
+    return [problem(serverName, null, 'Server definition must be an object')];
+  }
+
+  const problems = [];
+  for (const [field, value] of Object.entries(serverConfig)) {
+    if (value === undefined) continue;
+    const spec = SERVER_FIELDS[field];
+    if (!spec) {
+      problems.push(problem(serverName, field, 'unknown field (misspelt?)', 'warning'));
+      continue;
+    }
+    const message = spec.check(value);
+    if (message) problems.push(problem(serverName, field, message));
+  }
+  for (const [field, spec] of Object.entries(SERVER_FIELDS)) {
+    if (spec.required && serverConfig[field] === undefined) {
+      problems.push(problem(serverName, field, 'is required'));
+    }
+  }
+  if (serverConfig.server_script !== undefined && serverConfig.server_module !== undefined) {
+    problems.push(problem(serverName, 'server_module', 'both server_script and server_module are set; server_module is used', 'warning'));
+  }
+
+  // Only check the remote commands once the basic types are right, so a
+  // field is not reported twice
+  const badFields = new Set(problems.filter(p => p.level === 'error').map(p => p.field));
+  for (const { field, message } of validateServerCommands(serverConfig)) {
+    if (!badFields.has(field)) {
+      problems.push({ server: serverName, field, message, level: 'error' });
+    }
+  }
+  return problems;
+}
+
+// Problems with a server name; `existingNames` are the other servers
+function validateServerName(serverName, existingNames = []) {
+  if (typeof serverName !== 'string' || !serverName.trim()) {
+    return [problem(serverName, 'name', 'must be a non-empty string')];
+  }
+  if (/["\\]/.test(serverName)) {
+    return [problem(serverName, 'name', 'may not contain " or \\')];
+  }
+  if (RESERVED_SERVER_NAMES.includes(serverName.toLowerCase())) {
+    return [problem(serverName, 'name', `"${serverName}" is reserved`)];
+  }
+  if (existingNames.includes(serverName)) {
+    return [problem(serverName, 'name', 'a server with this name already exists')];
+  }
+  return [];
+}
+
+// Problems with one top-level settings section
+function validateSetting(key, value) {
+  const spec = SETTINGS_FIELDS[key];
+  if (!spec) return [problem(null, key, 'unknown top-level setting (misspelt?)', 'warning')];
+  const message = spec.check(value);
+  return message ? [problem(null, key, message)] : [];
+}
+
+// Problems with a whole (current layout) config document
+function validateConfig(document) {
+  const problems = [];
+  for (const [key, value] of Object.entries(document)) {
+    if (['version', 'servers'].includes(key) || value === undefined) continue;
+    problems.push(...validateSetting(key, value));
+  }
+  if (!document.servers || typeof document.servers !== 'object' || Array.isArray(document.servers)) {
+    problems.push(problem(null, 'servers', 'must be an object of server definitions'));
+    return problems;
+  }
+  for (const [serverName, serverConfig] of Object.entries(document.servers)) {
+    problems.push(...validateServerName(serverName));
+    problems.push(...validateServer(serverConfig, serverName));
+  }
+  // e.g. a server removed from the list but not from a profile
+  for (const [profileName, profile] of Object.entries(isObject(document.profiles) ? document.profiles : {})) {
+    for (const serverName of Object.keys(profile && isObject(profile.servers) ? profile.servers : {})) {
+      if (!document.servers[serverName]) {
+        problems.push(problem(null, 'profiles', `profile "${profileName}" names unknown server "${serverName}"`, 'warning'));
+      }
+    }
+  }
+  return problems;
+}
+
+function configVersion(data) {
+  return Number.isInteger(data.version) && typeof data.servers === 'object' ? data.version : 1;
+}
+
+// Ordered steps, each taking a document of version `from` to `from + 1`
+const MIGRATIONS = [
+  {
+    from: 1,
+    migrate: servers => ({ version: 2, servers })
+  }
+];
+
+// Bring a parsed launchers.json up to the current layout. Returns
+// { document, fromVersion }; the input is not modified. Documents from a
+// newer version of the app are returned unchanged.
+function migrateConfig(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('launchers.json must contain a JSON object');
+  }
+  const fromVersion = configVersion(data);
+  let document = JSON.parse(JSON.stringify(data));
+  for (const step of MIGRATIONS) {
+    if (configVersion(document) === step.from) {
+      document = step.migrate(document);
+    }
+  }
+  return { document, fromVersion };
+}
+
+// Fill in the defaults for optional settings, in place
+function applyServerDefaults(serverConfig) {
+  if (!serverConfig || typeof serverConfig !== 'object') return serverConfig;
+  for (const [field, value] of Object.entries(SERVER_DEFAULTS)) {
+    if (serverConfig[field] === undefined) serverConfig[field] = value;
+  }
+  return serverConfig;
+}
+
+module.exports = {
+  CURRENT_CONFIG_VERSION,
+  validateServer,
+  validateServerName,
+  validateSetting,
+  validateConfig,
+  migrateConfig,
+  applyServerDefaults
+};
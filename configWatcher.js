@@ -0,0 +1,83 @@
+const fsSync = require('fs');
+const path = require('path');
+
+const noop = () => {};
+
+// Watches one file for changes made outside the app and calls `onChange()`
+// once things have settled. The containing directory is watched rather than
+// the file itself, because editors and sync tools usually replace the file
+// (write a new one and rename it over the old), which ends a watch on the
+// file. Where directory watching is unavailable the file is polled instead.
+class ConfigWatcher {
+  constructor(filePath, { onChange = noop, debounce = 300, pollInterval = 2000, debug = noop } = {}) {
+    this.filePath = filePath;
+    this.onChange = onChange;
+    this.debounce = debounce;
+    this.pollInterval = pollInterval;
+    this.debug = debug;
+    this.watcher = null;
+    this.polling = false;
+    this.timer = null;
+  }
+
+  start() {
+    this.stop();
+    const dir = path.dirname(this.filePath);
+    const name = path.basename(this.filePath);
+    try {
+      this.watcher = fsSync.watch(dir, (eventType, filename) => {
+        // Some platforms do not report the file name
+        if (!filename || filename.toString() === name) this.schedule();
+      });
+      this.watcher.on('error', (error) => {
+        console.warn(`Config watcher error for ${dir}:`, error.message);
+        this.startPolling();
+      });
+      this.debug(`Watching ${dir} for changes to ${name}`);
+    } catch (error) {
+      console.warn(`Unable to watch ${dir} (${error.message}); polling ${this.filePath} instead`);
+      this.startPolling();
+    }
+  }
+
+  startPolling() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    if (this.polling) return;
+    this.polling = true;
+    fsSync.watchFile(this.filePath, { interval: this.pollInterval }, () => this.schedule());
+  }
+
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      Promise.resolve(this.onChange()).catch((error) => {
+        console.error('Error handling config change:', error);
+      });
+    }, this.debounce);
+  }
+
+  setPath(filePath) {
+    this.stop();
+    this.filePath = filePath;
+    this.start();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    if (this.polling) {
+      fsSync.unwatchFile(this.filePath);
+      this.polling = false;
+    }
+  }
+}
+
+module.exports = ConfigWatcher;
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { wildcardMatches } = require('./sshClientConfig');
+
+const noop = () => {};
+
+// Host key verification against OpenSSH known_hosts files plus an
+// app-managed trust store (also in known_hosts format, so it can be inspected
+// or edited with the usual tools). Unknown hosts are passed to
+// `confirmNewHost(info)` for trust-on-first-use; a key that differs from the
+// recorded one is always refused and remembered so the UI can report it.
+class HostKeyStore {
+  constructor({
+    knownHostsPaths = [path.join(os.homedir(), '.ssh', 'known_hosts')],
+    trustStorePath = path.join(os.homedir(), '.afl', 'known_hosts'),
+    confirmNewHost = null,
+    debug = noop
+  } = {}) {
+    this.knownHostsPaths = knownHostsPaths;
+    this.trustStorePath = trustStorePath;
+    this.confirmNewHost = confirmNewHost;
+    this.debug = debug;
+    this.files = new Map();     // path -> { mtimeMs, entries }
+    this.changed = new Map();   // host id -> { host, port, fingerprint, keyType }
+    this.rejected = new Set();  // host ids the user declined this session
+    this.pendingPrompts = new Map();
+  }
+
+  setConfirmNewHost(confirmNewHost) {
+    this.confirmNewHost = confirmNewHost;
+  }
+
+  // ssh2 `hostVerifier` for a connection to host:port
+  verifier(host, port = 22) {
+    return (key, callback) => {
+      this.verify(host, port, key).then(callback, (err) => {
+        console.error(`Host key verification error for ${host}:`, err.message);
+        callback(false);
+      });
+    };
+  }
+
+  async verify(host, port, key) {
+    const id = hostId(host, port);
+    const keyType = parseKeyType(key);
+    const fingerprint = fingerprintOf(key);
+    const status = await this.lookup(host, port, key, keyType);
+    this.debug(`Host key for ${id}: ${keyType} ${fingerprint} -> ${status}`);
+
+    if (status === 'trusted') {
+      this.changed.delete(id);
+      return true;
+    }
+    if (status === 'changed' || status === 'revoked') {
+      if (!this.changed.has(id)) {
+        console.error(
+          `HOST KEY CHANGED for ${id}: server presented ${keyType} ${fingerprint}, ` +
+          'which does not match the recorded key. Refusing to connect.'
+        );
+      }
+      this.changed.set(id, { host, port, fingerprint, keyType, revoked: status === 'revoked' });
+      return false;
+    }
+
+    // Unknown host: trust on first use, asking only once per host at a time
+    if (this.rejected.has(id) || !this.confirmNewHost) return false;
+    if (!this.pendingPrompts.has(id)) {
+      const prompt = (async () => {
+        const accepted = await this.confirmNewHost({ host, port, keyType, fingerprint });
+        if (accepted) {
+          await this.trust(host, port, key, keyType);
+        } else {
+          this.rejected.add(id);
+        }
+        return !!accepted;
+      })().finally(() => this.pendingPrompts.delete(id));
+      this.pendingPrompts.set(id, prompt);
+    }
+    return this.pendingPrompts.get(id);
+  }
+
+  // 'trusted', 'changed' (same key type, different key), 'revoked' or 'unknown'
+  async lookup(host, port, key, keyType) {
+    const encoded = key.toString('base64');
+    let status = 'unknown';
+    for (const filePath of [...this.knownHostsPaths, this.trustStorePath]) {
+      for (const entry of await this.entriesFor(filePath)) {
+        if (!entryMatches(entry, host, port)) continue;
+        if (entry.marker === 'revoked') {
+          if (entry.key === encoded) return 'revoked';
+          continue;
+        }
+        if (entry.key === encoded) return 'trusted';
+        if (entry.keyType === keyType) status = 'changed';
+      }
+    }
+    return status;
+  }
+
+  // Parsed entries of a known_hosts file, re-read whenever it changes on disk
+  async entriesFor(filePath) {
+    const cached = this.files.get(filePath);
+    let stat;
+    try {
+      stat = await fs.stat(filePath);
+    } catch (_) {
+      if (cached) this.forgetResolved(cached.entries, []);
+      this.files.delete(filePath);
+      return [];
+    }
+    if (cached && cached.mtimeMs === stat.mtimeMs) return cached.entries;
+    const entries = parseKnownHosts(await fs.readFile(filePath, 'utf8'));
+    this.files.set(filePath, { mtimeMs: stat.mtimeMs, entries });
+    this.forgetResolved(cached ? cached.entries : [], entries);
+    return entries;
+  }
+
+  // An edit may have resolved a mismatch: hosts whose entries in the file
+  // are not what they were are re-checked on their next connect. Others (an
+  // unrelated host trusted, say) keep their HOST KEY CHANGED state.
+  forgetResolved(oldEntries, newEntries) {
+    for (const [id, { host, port }] of this.changed) {
+      const matching = entries => JSON.stringify(entries.filter(entry => entryMatches(entry, host, port)));
+      if (matching(oldEntries) !== matching(newEntries)) this.changed.delete(id);
+    }
+  }
+
+  async trust(host, port, key, keyType) {
+    const line = `${hostId(host, port)} ${keyType} ${key.toString('base64')}\n`;
+    await fs.mkdir(path.dirname(this.trustStorePath), { recursive: true });
+    await fs.appendFile(this.trustStorePath, line, { mode: 0o600 });
+    console.log(`Trusted host key for ${hostId(host, port)} (${fingerprintOf(key)})`);
+  }
+
+  // Details of the mismatch if host:port last presented a changed key
+  getChangedKey(host, port = 22) {
+    return this.changed.get(hostId(host, port)) || null;
+  }
+}
+
+// known_hosts host names carry the port only when it isn't 22
+function hostId(host, port = 22) {
+  return Number(port) === 22 ? host : `[${host}]:${port}`;
+}
+
+function fingerprintOf(key) {
+  const digest = crypto.createHash('sha256').update(key).digest('base64');
+  return `SHA256:${digest.replace(/=+$/, '')}`;
+}
+
+// The key type is the first length-prefixed string of the key blob
+function parseKeyType(key) {
+  if (key.length < 4) return 'unknown';
+  const len = key.readUInt32BE(0);
+  return key.toString('ascii', 4, 4 + len);
+}
+
+function parseKnownHosts(text) {
+  const entries = [];
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+    const fields = line.split(/\s+/);
+    let marker = null;
+    if (fields[0].startsWith('@')) {
+      marker = fields.shift().slice(1);
+    }
+    if (fields.length < 3 || marker === 'cert-authority') continue;
+    entries.push({
+      marker,
+      patterns: fields[0].split(','),
+      keyType: fields[1],
+      key: fields[2]
+    });
+  }
+  return entries;
+}
+
+function entryMatches(entry, host, port) {
+  const name = hostId(host, port);
+  let matched = false;
+  for (const pattern of entry.patterns) {
+    if (pattern.startsWith('|1|')) {
+      if (hashedPatternMatches(pattern, name)) matched = true;
+    } else if (pattern.startsWith('!')) {
+      if (wildcardMatches(pattern.slice(1), name)) return false;
+    } else if (wildcardMatches(pattern, name)) {
+      matched = true;
+    }
+  }
+  return matched;
+}
+
+// |1|<base64 salt>|<base64 HMAC-SHA1(salt, host)>
+function hashedPatternMatches(pattern, name) {
+  const [, , salt, hash] = pattern.split('|');
+  if (!salt || !hash) return false;
+  const digest = crypto.createHmac('sha1', Buffer.from(salt, 'base64')).update(name).digest('base64');
+  return digest === hash;
+}
+
+module.exports = HostKeyStore;
@@ -0,0 +1,158 @@
+// The lines of a followed server log, kept to a fixed number so that a log
+// watched for hours cannot use up the renderer's memory. Text arrives in
+// arbitrary chunks; only complete lines are stored, the unfinished last line
+// is kept aside as `partial`. Each line is classed for highlighting:
+//   'traceback' - a Python traceback, from "Traceback (most recent call last):"
+//                 to the exception line
+//   'error' / 'warning' - a line mentioning ERROR/CRITICAL/Exception or WARNING
+// Lines keep their ANSI escape codes; see parseAnsi() for display.
+
+const DEFAULT_MAX_LINES = 20000;
+// A "line" this long without a newline is cut, so `partial` stays bounded
+const MAX_LINE_LENGTH = 64 * 1024;
+
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[A-Za-z]|\x1b\][^\x07\x1b]*(\x07|\x1b\\)|\x1b[()][A-Za-z0-9]|\x1b[=>]/g;
+
+function stripAnsi(text) {
+  return text.replace(ANSI_PATTERN, '');
+}
+
+const ERROR_PATTERN = /\b(ERROR|CRITICAL|FATAL|Exception)\b|\bError:/;
+const WARNING_PATTERN = /\bWARN(ING)?\b/;
+
+class LogBuffer {
+  constructor({ maxLines = DEFAULT_MAX_LINES } = {}) {
+    this.maxLines = maxLines;
+    this.clear();
+  }
+
+  clear() {
+    this.lines = []; // [{ n, text, plain, level }]
+    this.partial = '';
+    this.nextNumber = 1;
+    this.dropped = 0; // lines discarded from the start
+    this.inTraceback = false;
+  }
+
+  // Add a chunk of output. Returns { added, dropped }: the new complete
+  // lines, and how many old lines were discarded to make room.
+  push(chunk) {
+    let text = this.partial + chunk;
+    const added = [];
+    let index;
+    while ((index = text.indexOf('\n')) !== -1 || text.length > MAX_LINE_LENGTH) {
+      const end = index === -1 ? MAX_LINE_LENGTH : index;
+      added.push(this.makeLine(text.slice(0, end)));
+      text = text.slice(index === -1 ? end : end + 1);
+    }
+    this.partial = text;
+
+    this.lines.push(...added);
+    const dropped = Math.max(0, this.lines.length - this.maxLines);
+    if (dropped) {
+      this.lines.splice(0, dropped);
+      this.dropped += dropped;
+    }
+    return { added: added.slice(-this.maxLines), dropped };
+  }
+
+  makeLine(raw) {
+    // Progress bars redraw a line with \r: keep what was drawn last
+    let text = raw.replace(/\r+$/, '');
+    const carriage = text.lastIndexOf('\r');
+    if (carriage !== -1) text = text.slice(carriage + 1);
+    const plain = stripAnsi(text);
+    return { n: this.nextNumber++, text, plain, level: this.classify(plain) };
+  }
+
+  classify(plain) {
+    if (plain.startsWith('Traceback (most recent call last)')) {
+      this.inTraceback = true;
+      return 'traceback';
+    }
+    if (this.inTraceback) {
+      // Frames and source lines are indented; the exception line ends it
+      if (!/^\s/.test(plain) && plain.trim() !== '') this.inTraceback = false;
+      return 'traceback';
+    }
+    if (ERROR_PATTERN.test(plain)) return 'error';
+    if (WARNING_PATTERN.test(plain)) return 'warning';
+    return null;
+  }
+}
+
+// 16 basic colours, then the xterm 256-colour cube and greys
+const BASIC_COLORS = [
+  '#000000', '#cd3131', '#0dbc79', '#e5e510', '#2472c8', '#bc3fbc', '#11a8cd', '#e5e5e5',
+  '#666666', '#f14c4c', '#23d18b', '#f5f543', '#3b8eea', '#d670d6', '#29b8db', '#ffffff'
+];
+
+function color256(n) {
+  if (n < 16) return BASIC_COLORS[n];
+  if (n < 232) {
+    const i = n - 16;
+    const level = v => (v === 0 ? 0 : 55 + v * 40);
+    return `rgb(${level(Math.floor(i / 36))}, ${level(Math.floor(i / 6) % 6)}, ${level(i % 6)})`;
+  }
+  const grey = 8 + (n - 232) * 10;
+  return `rgb(${grey}, ${grey}, ${grey})`;
+}
+
+// Apply one SGR ("select graphic rendition") code list to a style
+function applySgr(style, codes) {
+  for (let i = 0; i < codes.length; i++) {
+    const code = codes[i];
+    if (code === 0) {
+      Object.keys(style).forEach(key => delete style[key]);
+    } else if (code === 1) style.bold = true;
+    else if (code === 3) style.italic = true;
+    else if (code === 4) style.underline = true;
+    else if (code === 22) delete style.bold;
+    else if (code === 23) delete style.italic;
+    else if (code === 24) delete style.underline;
+    else if (code >= 30 && code <= 37) style.color = BASIC_COLORS[code - 30];
+    else if (code >= 90 && code <= 97) style.color = BASIC_COLORS[code - 90 + 8];
+    else if (code === 39) delete style.color;
+    else if (code >= 40 && code <= 47) style.background = BASIC_COLORS[code - 40];
+    else if (code >= 100 && code <= 107) style.background = BASIC_COLORS[code - 100 + 8];
+    else if (code === 49) delete style.background;
+    else if (code === 38 || code === 48) {
+      const key = code === 38 ? 'color' : 'background';
+      if (codes[i + 1] === 5 && codes[i + 2] !== undefined) {
+        style[key] = color256(codes[i + 2]);
+        i += 2;
+      } else if (codes[i + 1] === 2 && codes[i + 4] !== undefined) {
+        style[key] = `rgb(${codes[i + 2]}, ${codes[i + 3]}, ${codes[i + 4]})`;
+        i += 4;
+      }
+    }
+  }
+}
+
+// Split a line into [{ text, style }] runs, where style may have color,
+// background, bold, italic and underline. Escape codes other than colours
+// are dropped. The runs' text joined together equals stripAnsi(line).
+function parseAnsi(line) {
+  const runs = [];
+  const style = {};
+  let last = 0;
+  ANSI_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = ANSI_PATTERN.exec(line)) !== null) {
+    if (match.index > last) runs.push({ text: line.slice(last, match.index), style: { ...style } });
+    last = ANSI_PATTERN.lastIndex;
+    const sgr = match[0].match(/^\x1b\[([0-9;]*)m$/);
+    if (sgr) applySgr(style, sgr[1] === '' ? [0] : sgr[1].split(';').map(Number));
+  }
+  if (last < line.length) runs.push({ text: line.slice(last), style: { ...style } });
+  return runs;
+}
+
+// index.html also loads this file as a plain script, for the renderer, which
+// then uses LogBuffer, parseAnsi and stripAnsi as globals
+if (typeof module !== 'undefined') {
+  module.exports = LogBuffer;
+  module.exports.parseAnsi = parseAnsi;
+  module.exports.stripAnsi = stripAnsi;
+  module.exports.DEFAULT_MAX_LINES = DEFAULT_MAX_LINES;
+}
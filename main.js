@@ -1,36 +1,48 @@
 // main.js
 const { app, BrowserWindow, ipcMain, dialog } = require('electron');
 
-const { Client } = require('ssh2');  // Correct import for ssh2
 const path = require('path');
 const fs = require('fs').promises;
+const { StringDecoder } = require('string_decoder');
 const SSHOperations = require('./sshOperations');
+const { ConfigConflictError } = require('./sshOperations');
+const ConfigWatcher = require('./configWatcher');
+const StatusHistory = require('./statusHistory');
+const { classifyStatus } = require('./statusHistory');
+const AlertMonitor = require('./alertMonitor');
+const { ALERT_RULES, ruleSettings } = require('./alertMonitor');
+const AlertRouter = require('./alertRouter');
+const { describeChannel } = require('./alertRouter');
+const Watchdog = require('./watchdog');
+const ProfileRunner = require('./startupProfiles');
+const BulkRunner = require('./bulkActions');
+const SessionRecorder = require('./sessionRecorder');
+const ApiServer = require('./apiServer');
+const MetricsExporter = require('./metricsExporter');
+const { profileOrder, describeReadiness } = require('./startupProfiles');
+const { buildAttachCommand } = require('./sessionBackends');
+const { resolvePaths } = require('./appPaths');
+const { validateServer, validateServerName, validateSetting } = require('./configSchema');
 
 let mainWindow;
 let sshOps;
-
-// Set default paths
-let configPath = path.join(app.getPath('home'), '.afl', 'launchers.json');
-let sshKeyPath = path.join(app.getPath('home'), '.ssh', 'id_rsa');
-
-// Override with environment variables if set
-if (process.env.SERVER_CONTROL_CONFIG_PATH) {
-  configPath = process.env.SERVER_CONTROL_CONFIG_PATH;
-}
-if (process.env.SERVER_CONTROL_SSH_KEY_PATH) {
-  sshKeyPath = process.env.SERVER_CONTROL_SSH_KEY_PATH;
-}
-
-// Override with command-line arguments if provided
-const argConfigPath = process.argv.find(arg => arg.startsWith('--config='));
-const argSshKeyPath = process.argv.find(arg => arg.startsWith('--ssh-key='));
-
-if (argConfigPath) {
-  configPath = argConfigPath.split('=')[1];
-}
-if (argSshKeyPath) {
-  sshKeyPath = argSshKeyPath.split('=')[1];
-}
+let configWatcher;
+let statusHistory;
+let alertMonitor;
+let alertRouter;
+let watchdog;
+let profileRunner;
+let bulkRunner;
+let recorder;
+let apiServer;
+let metricsExporter;
+
+// ~/.afl/launchers.json and ~/.ssh/id_rsa unless overridden by the
+// environment or --config= / --ssh-key= (see appPaths.js)
+let { configPath, sshKeyPath } = resolvePaths({ home: app.getPath('home') });
+
+// How long the board waits for a server's queue_state
+const QUEUE_POLL_TIMEOUT = 500;
 
 async function createWindow() {
   mainWindow = new BrowserWindow({
@@ -38,42 +50,247 @@ async function createWindow() {
     height: 600,
     icon: path.join(__dirname, 'assets', 'icons', 'png', '256x256.png'), // Use PNG for all platforms in dev
       webPreferences: {
-        nodeIntegration: true,
-        contextIsolation: false,
-        webviewTag: true
+        preload: path.join(__dirname, 'preload.js'),
+        nodeIntegration: false,
+        contextIsolation: true,
+        sandbox: true,
+        webviewTag: true,
+        // The alert alarm has to sound without a click first
+        autoplayPolicy: 'no-user-gesture-required'
       }
   });
+  // The window only ever shows index.html; a dropped file or a stray link
+  // must not replace it
+  mainWindow.webContents.on('will-navigate', event => event.preventDefault());
+  mainWindow.webContents.setWindowOpenHandler(() => ({ action: 'deny' }));
 
   await mainWindow.loadFile('index.html');
 }
 
+// Server web UIs are shown in a <webview>, and can be any page at all: they
+// get no preload, no Node and a sandbox, whatever the page asks for, and
+// may only load http(s) pages. Their popups open with the same settings.
+const WEBVIEW_PREFERENCES = {
+  nodeIntegration: false,
+  nodeIntegrationInSubFrames: false,
+  contextIsolation: true,
+  sandbox: true,
+  webviewTag: false,
+  javascript: true,
+  webSecurity: true,
+  allowRunningInsecureContent: false
+};
+
+function isWebUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch (_) {
+    return false;
+  }
+}
+
+app.on('web-contents-created', (event, contents) => {
+  contents.on('will-attach-webview', (attachEvent, webPreferences, params) => {
+    delete webPreferences.preload;
+    Object.assign(webPreferences, WEBVIEW_PREFERENCES);
+    if (params.src && params.src !== 'about:blank' && !isWebUrl(params.src)) {
+      console.warn(`Refused to open ${params.src} in a webview`);
+      attachEvent.preventDefault();
+    }
+  });
+  if (contents.getType() !== 'webview') return;
+  contents.on('will-navigate', (navigateEvent, url) => {
+    if (!isWebUrl(url)) navigateEvent.preventDefault();
+  });
+  // will-navigate misses pages loaded by setting the webview's src
+  contents.on('did-start-navigation', ({ url, isMainFrame }) => {
+    if (isMainFrame && url !== 'about:blank' && !isWebUrl(url)) contents.stop();
+  });
+  contents.setWindowOpenHandler(({ url }) => (isWebUrl(url)
+    ? { action: 'allow', overrideBrowserWindowOptions: { webPreferences: WEBVIEW_PREFERENCES } }
+    : { action: 'deny' }));
+});
+
+// Passphrase prompts for encrypted SSH keys are answered by the renderer
+const pendingPassphrases = new Map();
+let passphraseRequestId = 0;
+
+function requestPassphrase(keyPath, { attempt, error }) {
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    return Promise.resolve(null);
+  }
+  return new Promise((resolve) => {
+    const id = ++passphraseRequestId;
+    pendingPassphrases.set(id, resolve);
+    mainWindow.webContents.send('passphrase-request', { id, keyPath, attempt, error });
+  });
+}
+
+ipcMain.on('passphrase-response', (event, { id, passphrase }) => {
+  const resolve = pendingPassphrases.get(id);
+  if (resolve) {
+    pendingPassphrases.delete(id);
+    resolve(passphrase);
+  }
+});
+
+// Trust-on-first-use prompt for hosts with no recorded host key
+async function confirmHostKey({ host, port, keyType, fingerprint }) {
+  const where = port === 22 ? host : `${host}:${port}`;
+  const options = {
+    type: 'warning',
+    buttons: ['Trust and Connect', 'Cancel'],
+    defaultId: 1,
+    cancelId: 1,
+    title: 'Unknown Host',
+    message: `The authenticity of host "${where}" can't be established.`,
+    detail: `${keyType} key fingerprint is ${fingerprint}.\n\n` +
+            'Only continue if this matches the fingerprint of the real machine. ' +
+            'The key will be saved to ~/.afl/known_hosts.'
+  };
+  const { response } = mainWindow && !mainWindow.isDestroyed()
+    ? await dialog.showMessageBox(mainWindow, options)
+    : await dialog.showMessageBox(options);
+  return response === 0;
+}
+
 app.whenReady().then(async () => {
   sshOps = new SSHOperations(configPath, sshKeyPath);
+  sshOps.setPassphraseProvider(requestPassphrase);
+  sshOps.setHostKeyPrompt(confirmHostKey);
   await sshOps.initialize();
+  statusHistory = new StatusHistory({
+    filePath: path.join(app.getPath('home'), '.afl', 'status-history.jsonl')
+  });
+  await statusHistory.load();
+  alertMonitor = new AlertMonitor({ getSettings: () => sshOps.configSettings.alerts });
+  alertRouter = new AlertRouter({ getSettings: () => sshOps.configSettings.alerts });
+  alertMonitor.on('alert', onAlert);
+  alertMonitor.on('alert', alert => alertRouter.route(alert));
+  watchdog = new Watchdog({
+    sshOps,
+    getServer: serverName => sshOps.config[serverName],
+    filePath: path.join(app.getPath('home'), '.afl', 'watchdog.jsonl')
+  });
+  watchdog.on('state', state => sendToRenderer('watchdog-state', state));
+  profileRunner = new ProfileRunner({
+    sshOps,
+    beforeStart: serverName => watchdog.reset(serverName),
+    beforeStop: serverName => watchdog.suspend(serverName)
+  });
+  profileRunner.on('progress', run => sendToRenderer('profile-run', run));
+  bulkRunner = new BulkRunner({
+    sshOps,
+    beforeAction: (action, serverName) => (action === 'stop' ? watchdog.suspend(serverName) : watchdog.reset(serverName))
+  });
+  bulkRunner.on('progress', run => sendToRenderer('bulk-progress', run));
+  recorder = new SessionRecorder({ dir: path.join(app.getPath('home'), '.afl', 'recordings') });
+  recorder.on('state', state => sendToRenderer('recording-state', state));
+  apiServer = new ApiServer({
+    sshOps,
+    statusHistory,
+    beforeAction: (action, serverName) => (action === 'stop' ? watchdog.suspend(serverName) : watchdog.reset(serverName))
+  });
+  await apiServer.apply();
+  metricsExporter = new MetricsExporter({ sshOps, statusHistory });
+  sshOps.setMetrics(metricsExporter);
+  await metricsExporter.apply();
+  configWatcher = new ConfigWatcher(configPath, { onChange: onConfigFileChanged });
+  configWatcher.start();
   await createWindow();
 });
+
+function sendToRenderer(channel, payload) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send(channel, payload);
+  }
+}
+
+// launchers.json was touched on disk: reload it, or ask the user which
+// version to keep if the app has changes of its own
+async function onConfigFileChanged() {
+  const { changed, conflict } = await sshOps.handleExternalConfigChange();
+  if (conflict) {
+    sendToRenderer('config-conflict', conflict);
+  } else if (changed) {
+    sendToRenderer('config-updated');
+    await apiServer.apply();
+    apiServer.publishServers();
+    await metricsExporter.apply();
+  }
+}
+
+// Save the in-memory config. A conflicting edit on disk is put to the user
+// instead of being overwritten.
+async function saveConfigOrReport() {
+  try {
+    await sshOps.saveConfig();
+    apiServer.publishServers();
+    return { success: true };
+  } catch (error) {
+    if (error instanceof ConfigConflictError) {
+      sendToRenderer('config-conflict', error.conflict);
+      return { success: false, conflict: true, error: error.message };
+    }
+    console.error('Error saving config:', error);
+    return { success: false, error: error.message };
+  }
+}
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
     app.quit();
   }
 });
 
+app.on('before-quit', () => {
+  if (configWatcher) {
+    configWatcher.stop();
+  }
+  if (statusHistory) {
+    statusHistory.close();
+  }
+  if (alertMonitor) {
+    alertMonitor.stop();
+  }
+  if (watchdog) {
+    watchdog.stop();
+  }
+  Array.from(logStreams.keys()).forEach(stopLogStream);
+  if (recorder) {
+    recorder.stopAll();
+  }
+  if (apiServer) {
+    apiServer.stop();
+  }
+  if (metricsExporter) {
+    metricsExporter.stop();
+  }
+  if (sshOps) {
+    sshOps.close();
+  }
+});
+
 app.on('activate', () => {
   if (BrowserWindow.getAllWindows().length === 0) {
     createWindow();
   }
 });
+
+// Starting or stopping a server by hand overrides the watchdog
 ipcMain.handle('start-server', async (event, serverName) => {
+  watchdog.reset(serverName);
   const result = await sshOps.startServer(serverName);
   return result.sshDown ? { success: false, sshDown: true } : result;
 });
 
 ipcMain.handle('stop-server', async (event, serverName) => {
+  watchdog.suspend(serverName);
   const result = await sshOps.stopServer(serverName);
   return result.sshDown ? { success: false, sshDown: true } : result;
 });
 
 ipcMain.handle('restart-server', async (event, serverName) => {
+  watchdog.reset(serverName);
   const result = await sshOps.restartServer(serverName);
   return result.sshDown ? { success: false, sshDown: true } : result;
 });
@@ -86,6 +303,178 @@ ipcMain.handle('get-batch-server-status', async (event, host) => {
   return await sshOps.getBatchServerStatus(host);
 });
 
+// The board polls often, so it gives up sooner than other callers
+ipcMain.handle('fetch-queue-state', async (event, serverName) => {
+  return await sshOps.fetchQueueState(serverName, QUEUE_POLL_TIMEOUT);
+});
+
+// Status as shown on the board; the history keeps only the changes
+ipcMain.on('record-status', (event, { serverName, screen, queue }) => {
+  const entry = statusHistory.record(serverName, { screen, queue });
+  if (entry) {
+    console.log(`Status of ${serverName}: screen ${screen}, queue ${queue}`);
+    alertMonitor.update(serverName, { screen, queue });
+    watchdog.update(serverName, { screen, queue });
+    apiServer.publishStatus(serverName);
+  }
+});
+
+// Profiles with their servers in start order, and the latest run
+ipcMain.handle('get-profiles', () => {
+  const profiles = Object.entries(sshOps.configSettings.profiles || {}).map(([name, profile]) => {
+    let order = [];
+    let error = null;
+    try {
+      order = profileOrder(profile);
+    } catch (err) {
+      error = err.message;
+    }
+    return {
+      name,
+      description: profile.description || '',
+      error,
+      servers: order.map(server => ({
+        server,
+        dependsOn: profile.servers[server].depends_on || [],
+        ready: describeReadiness(profile.servers[server].ready)
+      }))
+    };
+  });
+  return { profiles, run: profileRunner.snapshot() };
+});
+
+ipcMain.handle('start-profile', (event, profileName) => {
+  try {
+    return { success: true, run: profileRunner.start(profileName) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('stop-profile', (event, profileName) => {
+  try {
+    return { success: true, run: profileRunner.stop(profileName) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Start/stop/restart several servers; resolves once all are done
+ipcMain.handle('bulk-action', async (event, { action, servers }) => {
+  try {
+    return { success: true, run: await bulkRunner.execute(action, servers) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-bulk-concurrency', () => bulkRunner.concurrency());
+
+ipcMain.handle('set-bulk-concurrency', async (event, concurrency) => {
+  const bulk = { ...sshOps.configSettings.bulk, concurrency };
+  const errors = validateSetting('bulk', bulk);
+  if (errors.length) {
+    return { success: false, error: errors.map(e => e.message).join('\n') };
+  }
+  sshOps.configSettings.bulk = bulk;
+  return saveConfigOrReport();
+});
+
+ipcMain.handle('cancel-profile-run', () => {
+  profileRunner.cancel();
+  return { success: true };
+});
+
+ipcMain.handle('get-watchdog-states', () => {
+  const states = {};
+  Object.keys(sshOps.config).forEach(serverName => {
+    states[serverName] = watchdog.describe(serverName);
+  });
+  return states;
+});
+
+// Local alerting: the renderer shows the notification and sounds the alarm,
+// the taskbar entry flashes until the alerts are acknowledged
+function onAlert(alert) {
+  if (alert.muted) return;
+  sendToRenderer('andon-alert', alert);
+  if (alert.flash && mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.flashFrame(true);
+  }
+}
+
+ipcMain.on('acknowledge-alerts', () => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.flashFrame(false);
+  }
+});
+
+ipcMain.on('show-window', () => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.show();
+    mainWindow.focus();
+  }
+});
+
+// Alert rules with their effective settings, plus the per-server overrides
+ipcMain.handle('get-alert-settings', () => {
+  const alerts = sshOps.configSettings.alerts || {};
+  return {
+    rules: Object.entries(ALERT_RULES).map(([id, rule]) => ({
+      id,
+      label: rule.label,
+      severity: rule.severity,
+      ...ruleSettings(alerts, id)
+    })),
+    servers: alerts.servers || {},
+    channels: Object.entries(alerts.channels || {}).map(([name, channel]) => ({
+      name,
+      type: channel.type,
+      target: describeChannel(channel)
+    }))
+  };
+});
+
+// Send a test alert to one channel, or all if none is given
+ipcMain.handle('send-test-alert', (event, channelName) => alertRouter.sendTest(channelName));
+
+// `changes` replaces the given parts (rules, servers) of the alerts section
+ipcMain.handle('set-alert-settings', async (event, changes) => {
+  const alerts = { ...sshOps.configSettings.alerts, ...changes };
+  const errors = validateSetting('alerts', alerts);
+  if (errors.length) {
+    return { success: false, error: errors.map(e => e.message).join('\n') };
+  }
+  sshOps.configSettings.alerts = alerts;
+  return saveConfigOrReport();
+});
+
+// Timeline segments and uptime of every server over [since, until]
+ipcMain.handle('get-status-summary', (event, { since, until = Date.now() }) => {
+  const summary = {};
+  Object.keys(sshOps.config).forEach(serverName => {
+    summary[serverName] = {
+      segments: statusHistory.timeline(serverName, since, until),
+      uptime: statusHistory.uptime(serverName, since, until)
+    };
+  });
+  return summary;
+});
+
+ipcMain.handle('get-status-history', async (event, { server = null, since = 0, until = Date.now() }) => {
+  const names = server ? [server] : Object.keys(sshOps.config);
+  const uptime = {};
+  names.forEach(name => {
+    uptime[name] = statusHistory.uptime(name, since, until);
+  });
+  return {
+    entries: statusHistory.query({ server, since, until })
+      .map(entry => (entry.event ? entry : { ...entry, state: classifyStatus(entry) })),
+    watchdog: await watchdog.history({ server, since, until }),
+    uptime
+  };
+});
+
 ipcMain.handle('get-servers-by-host', (event) => {
   return sshOps.getServersByHost();
 });
@@ -95,6 +484,72 @@ ipcMain.handle('get-server-log', async (event, serverName) => {
   return result.sshDown ? { success: false, sshDown: true } : result;
 });
 
+// Log manager: the whole screen log and its rotated predecessors, read on
+// the host a page at a time
+ipcMain.handle('list-logs', (event, serverName) => sshOps.listLogs(serverName));
+
+ipcMain.handle('read-log-page', (event, { serverName, generation, offset, length }) =>
+  sshOps.readLogPage(serverName, generation, offset, length));
+
+ipcMain.handle('grep-log', (event, { serverName, generation, pattern, ignoreCase }) =>
+  sshOps.grepLog(serverName, generation, pattern, { ignoreCase }));
+
+ipcMain.handle('rotate-log', (event, serverName) => sshOps.rotateLog(serverName));
+
+ipcMain.handle('download-log', async (event, { serverName, generation, name }) => {
+  const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+    title: `Save log of ${serverName}`,
+    defaultPath: path.join(app.getPath('downloads'), name)
+  });
+  if (canceled || !filePath) return { success: false, canceled: true };
+  return sshOps.downloadLog(serverName, generation, filePath, (transferred, total) => {
+    sendToRenderer('log-download-progress', { serverName, generation, transferred, total });
+  });
+});
+
+ipcMain.handle('get-log-settings', () => sshOps.logSettings());
+
+ipcMain.handle('set-log-settings', async (event, settings) => {
+  const logs = { ...sshOps.configSettings.logs, ...settings };
+  const errors = validateSetting('logs', logs);
+  if (errors.length) {
+    return { success: false, error: errors.map(e => e.message).join('\n') };
+  }
+  sshOps.configSettings.logs = logs;
+  return saveConfigOrReport();
+});
+
+ipcMain.handle('get-api-settings', () => {
+  return { settings: apiServer.settings(), status: apiServer.status() };
+});
+
+// Saved first, then the server is restarted on the new address if need be
+ipcMain.handle('set-api-settings', async (event, settings) => {
+  const api = { ...sshOps.configSettings.api, ...settings };
+  const errors = validateSetting('api', api);
+  if (errors.length) {
+    return { success: false, error: errors.map(e => e.message).join('\n') };
+  }
+  sshOps.configSettings.api = api;
+  const result = await saveConfigOrReport();
+  return { ...result, status: await apiServer.apply() };
+});
+
+ipcMain.handle('get-metrics-settings', () => {
+  return { settings: metricsExporter.settings(), status: metricsExporter.status() };
+});
+
+ipcMain.handle('set-metrics-settings', async (event, settings) => {
+  const metrics = { ...sshOps.configSettings.metrics, ...settings };
+  const errors = validateSetting('metrics', metrics);
+  if (errors.length) {
+    return { success: false, error: errors.map(e => e.message).join('\n') };
+  }
+  sshOps.configSettings.metrics = metrics;
+  const result = await saveConfigOrReport();
+  return { ...result, status: await metricsExporter.apply() };
+});
+
 ipcMain.handle('join-server', async (event, serverName) => {
   const result = await sshOps.joinServer(serverName);
   return result.sshDown ? { success: false, sshDown: true } : result;
@@ -112,8 +567,7 @@ ipcMain.handle('import-config', async () => {
     }
 
     const sourcePath = result.filePaths[0];
-    await fs.copyFile(sourcePath, configPath);
-    sshOps.loadConfig(configPath);
+    await sshOps.importConfig(sourcePath);
     return { success: true, message: 'Config file imported successfully.' };
   } catch (error) {
     console.error('Error importing config:', error);
@@ -141,88 +595,169 @@ ipcMain.handle('import-ssh-key', async () => {
     return { success: false, error: error.message };
   }
 });
-ipcMain.handle('get-config', async () => {
-  await sshOps.loadConfig();  // Reload config before sending
+// The config is kept current by the file watcher
+ipcMain.handle('get-config', () => {
   return sshOps.config;
 });
+ipcMain.handle('get-connection-info', async () => {
+  return await sshOps.getConnectionInfo();
+});
+ipcMain.handle('get-config-problems', () => {
+  return sshOps.configProblems;
+});
+
+// Only errors block saving; warnings are shown in the Settings tab
+const blockingProblems = problems => problems.filter(p => p.level === 'error');
+
+async function saveServerChange(errors, apply) {
+  if (errors.length) {
+    return { success: false, errors };
+  }
+  apply();
+  const result = await saveConfigOrReport();
+  if (!result.success) {
+    result.errors = [{ server: null, field: null, message: result.error, level: 'error' }];
+  }
+  return result;
+}
+
 ipcMain.handle('add-server', async (event, { serverName, serverConfig }) => {
-  sshOps.addServer(serverName, serverConfig);
-  await sshOps.saveConfig();
-  return { success: true };
+  const errors = blockingProblems([
+    ...validateServerName(serverName, Object.keys(sshOps.config)),
+    ...validateServer({ ...serverConfig }, serverName)
+  ]);
+  return saveServerChange(errors, () => sshOps.addServer(serverName, serverConfig));
 });
 
 ipcMain.handle('update-server', async (event, { serverName, serverConfig }) => {
-  sshOps.updateServer(serverName, serverConfig);
-  await sshOps.saveConfig();
-  return { success: true };
+  const errors = blockingProblems(validateServer({ ...sshOps.config[serverName], ...serverConfig }, serverName));
+  return saveServerChange(errors, () => sshOps.updateServer(serverName, serverConfig));
 });
 
 ipcMain.handle('remove-server', async (event, serverName) => {
   sshOps.removeServer(serverName);
-  await sshOps.saveConfig();
-  return { success: true };
+  alertMonitor.forget(serverName);
+  watchdog.forget(serverName);
+  return saveConfigOrReport();
 });
 
 ipcMain.handle('toggle-server-active', async (event, serverName) => {
   sshOps.toggleServerActive(serverName);
-  await sshOps.saveConfig();
-  return { success: true };
+  return saveConfigOrReport();
 });
 
 ipcMain.handle('save-config', async () => {
+  return saveConfigOrReport();
+});
+
+ipcMain.handle('get-config-backups', async () => {
+  return { keep: sshOps.backups.keep, backups: await sshOps.listConfigBackups() };
+});
+
+ipcMain.handle('preview-config-backup', async (event, name) => {
   try {
-    await sshOps.saveConfig();
+    return { success: true, ...await sshOps.previewConfigBackup(name) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('restore-config-backup', async (event, name) => {
+  try {
+    await sshOps.restoreConfigBackup(name);
     return { success: true };
   } catch (error) {
-    console.error('Error saving config:', error);
+    console.error(`Error restoring config backup ${name}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('set-config-backup-count', async (event, keep) => {
+  try {
+    await sshOps.setBackupCount(keep);
+    return { success: true };
+  } catch (error) {
+    if (error instanceof ConfigConflictError) {
+      sendToRenderer('config-conflict', error.conflict);
+    }
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-config-undo', () => {
+  return sshOps.getUndoLabel();
+});
+
+ipcMain.handle('undo-config-change', async () => {
+  try {
+    const label = await sshOps.undoConfigChange();
+    return { success: true, label };
+  } catch (error) {
+    if (error instanceof ConfigConflictError) {
+      sendToRenderer('config-conflict', error.conflict);
+      return { success: false, conflict: true, error: error.message };
+    }
+    return { success: false, error: error.message };
+  }
+});
+
+// The user's answer to a 'config-conflict': 'disk' discards the app's
+// changes, 'app' overwrites the file with them
+ipcMain.handle('resolve-config-conflict', async (event, choice) => {
+  try {
+    if (choice === 'app') {
+      await sshOps.saveConfig({ force: true });
+    } else {
+      await sshOps.loadConfig();
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Error resolving config conflict:', error);
     return { success: false, error: error.message };
   }
 });
 const sshConnections = {};
 
-ipcMain.handle('start-ssh-session', async (event, serverName) => {
+// With `readOnly` (observe mode) keystrokes from the terminal are dropped
+// here, so nothing typed can reach the server until control is taken
+ipcMain.handle('start-ssh-session', async (event, serverName, { readOnly = false } = {}) => {
   // Close existing connection if any
   if (sshConnections[serverName]) {
     await closeSSHConnection(serverName);
   }
 
   const serverConfig = sshOps.config[serverName];
-  const conn = new Client();
 
   try {
-    await new Promise((resolve, reject) => {
-      conn.on('ready', resolve);
-      conn.on('error', reject);
-      conn.connect({
-        host: serverConfig.host,
-        port: 22,
-        username: serverConfig.username,
-        privateKey: require('fs').readFileSync(sshKeyPath),
-        pty: {
-          term: 'xterm'
-        }
-      });
-    });
+    // Build the attach command first so an invalid definition never reaches the host
+    const attachCommand = buildAttachCommand(serverConfig);
 
-    const stream = await new Promise((resolve, reject) => {
-      conn.shell((err, stream) => {
-        if (err) reject(err);
-        else resolve(stream);
-      });
-    });
+    // The shell runs on the pooled connection, so jump hosts are handled there
+    const { stream, release } = await sshOps.openShell(serverName);
 
-    sshConnections[serverName] = { conn, stream };
+    sshConnections[serverName] = { stream, release, cols: 80, rows: 24, readOnly };
+    if (serverConfig.record) {
+      await startRecording(serverName);
+    }
+    // Chunks can end in the middle of a multi-byte character
+    const decoder = new StringDecoder('utf8');
 
     stream.on('data', (data) => {
-      mainWindow.webContents.send('ssh-data', { serverName, data: data.toString() });
+      const text = decoder.write(data);
+      recorder.output(serverName, text);
+      sendToRenderer('ssh-data', { serverName, data: text });
     });
 
     stream.on('close', () => {
-      closeSSHConnection(serverName);
+      // Don't tear down a newer session that replaced this one
+      if (sshConnections[serverName] && sshConnections[serverName].stream === stream) {
+        closeSSHConnection(serverName);
+        sendToRenderer('ssh-session-closed', { serverName });
+      }
     });
 
-    // Send the 'screen -x' command
-    stream.write(`screen -x ${serverConfig.screen_name}\n`);
+    // Attach to the server's session (screen -x, tmux attach, ...)
+    stream.write(`${attachCommand}\n`);
 
     return { success: true };
   } catch (error) {
@@ -242,32 +777,149 @@ async function closeSSHConnection(serverName) {
     if (connection.stream) {
       connection.stream.end();
     }
-    if (connection.conn) {
-      connection.conn.end();
+    if (connection.release) {
+      connection.release();
     }
     delete sshConnections[serverName];
     console.log(`Closed SSH connection for ${serverName}`);
   }
+  await recorder.stop(serverName);
 }
 
 ipcMain.on('ssh-data', (event, { serverName, data }) => {
   const connection = sshConnections[serverName];
-  if (connection && connection.stream) {
+  if (connection && connection.stream && !connection.readOnly) {
+    recorder.input(serverName, data);
     connection.stream.write(data);
   }
 });
 
+// Resizing the pty resizes the session for everyone attached to it, so an
+// observer's size is only kept until control is taken
 ipcMain.on('resize-pty', (event, { serverName, cols, rows }) => {
   const connection = sshConnections[serverName];
   if (connection && connection.stream) {
-    connection.stream.setWindow(rows, cols);
+    connection.cols = cols;
+    connection.rows = rows;
+    if (!connection.readOnly) resizeSession(serverName);
+  }
+});
+
+function resizeSession(serverName) {
+  const { stream, cols, rows } = sshConnections[serverName];
+  recorder.resize(serverName, cols, rows);
+  stream.setWindow(rows, cols);
+}
+
+ipcMain.handle('set-session-read-only', (event, { serverName, readOnly }) => {
+  const connection = sshConnections[serverName];
+  if (!connection) {
+    return { success: false, error: `${serverName} has no open terminal session` };
+  }
+  connection.readOnly = !!readOnly;
+  if (!readOnly && connection.stream) resizeSession(serverName);
+  console.log(`Terminal session of ${serverName}: ${readOnly ? 'observing' : 'in control'}`);
+  return { success: true };
+});
+
+// Terminal recordings (see sessionRecorder.js)
+async function startRecording(serverName) {
+  const connection = sshConnections[serverName];
+  if (!connection) {
+    return { success: false, error: `${serverName} has no open terminal session` };
+  }
+  try {
+    const name = await recorder.start(serverName, { cols: connection.cols, rows: connection.rows });
+    return { success: true, name };
+  } catch (error) {
+    console.error(`Error starting recording of ${serverName}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+ipcMain.handle('start-recording', (event, serverName) => startRecording(serverName));
+
+ipcMain.handle('stop-recording', async (event, serverName) => {
+  await recorder.stop(serverName);
+  return { success: true };
+});
+
+ipcMain.handle('get-recording-servers', () => recorder.recordingServers());
+
+ipcMain.handle('list-recordings', (event, serverName) => recorder.list(serverName));
+
+ipcMain.handle('read-recording', async (event, { server, name }) => {
+  try {
+    return { success: true, cast: await recorder.read(server, name) };
+  } catch (error) {
+    console.error(`Error reading recording ${name} of ${server}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('delete-recording', async (event, { server, name }) => {
+  try {
+    await recorder.remove(server, name);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
 });
 
+// Live log viewers, by id. Several can follow the same server.
+const logStreams = new Map();
+let logStreamId = 0;
+
+ipcMain.handle('start-log-stream', async (event, { serverName, lines }) => {
+  try {
+    const { stream, release } = await sshOps.openLogStream(serverName, lines);
+    const id = ++logStreamId;
+    // Chunks can end in the middle of a multi-byte character
+    const decoder = new StringDecoder('utf8');
+    logStreams.set(id, { stream, release });
+
+    stream.on('data', (data) => {
+      sendToRenderer('log-data', { id, data: decoder.write(data) });
+    });
+    stream.stderr.on('data', (data) => {
+      sendToRenderer('log-data', { id, data: data.toString() });
+    });
+    stream.on('close', (code) => {
+      // Closed from this end (the viewer went away) or by the host
+      if (!logStreams.has(id)) return;
+      stopLogStream(id);
+      sendToRenderer('log-ended', {
+        id,
+        error: code ? `tail exited with code ${code}` : null
+      });
+    });
+
+    console.log(`Following log of ${serverName} (stream ${id})`);
+    return { success: true, id };
+  } catch (error) {
+    console.error(`Error following log of ${serverName}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('stop-log-stream', (event, id) => {
+  stopLogStream(id);
+  return { success: true };
+});
+
+function stopLogStream(id) {
+  const logStream = logStreams.get(id);
+  if (!logStream) return;
+  logStreams.delete(id);
+  logStream.stream.close();
+  logStream.release();
+}
+
 ipcMain.handle('set-config-path', async (event, newPath) => {
   configPath = newPath;
   sshOps.setConfigPath(newPath);
   await sshOps.loadConfig();
+  configWatcher.setPath(newPath);
   return { success: true };
 });
 
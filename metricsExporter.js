@@ -0,0 +1,217 @@
+const SettingsServer = require('./settingsServer');
+
+// Prometheus metrics, served from the main process at /metrics when the
+// `metrics` section of launchers.json turns them on:
+//   "metrics": { "enabled": true, "host": "0.0.0.0", "port": 9464 }
+//
+// Per server, from the status the board last saw (see statusHistory.js):
+//   afl_server_screen_active       1 while its session runs
+//   afl_server_http_reachable      1 while its queue_state (or status_url) answers
+//   afl_server_ssh_reachable       1 while its host answers over SSH
+//   afl_server_queue_state{state}  1 for the current queue state, 0 for the others
+// and as counted since the app started:
+//   afl_server_actions_total{action,result}  start, stop and restart requests
+//   afl_queue_state_duration_seconds         queue_state requests (histogram)
+//   afl_ssh_failures_total{host,reason}      SSH commands, shells, log streams
+//                                            and SFTP sessions that could not open
+//   afl_ssh_command_duration_seconds{host}   SSH commands (histogram)
+// Per-server series are labelled server, host, screen_name and device.
+// Servers the board has no status for (not polled yet, inactive or with an
+// invalid definition) have no status series.
+
+const METRICS_DEFAULTS = {
+  enabled: false,
+  host: '127.0.0.1',
+  port: 9464
+};
+
+// Queue states always reported, so a state that is not current reads 0
+// rather than being absent
+const QUEUE_STATES = ['ready', 'active', 'paused', 'up', 'unknown', 'unreachable'];
+const SSH_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const QUEUE_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2];
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function metricsSettings(value = {}) {
+  return { ...METRICS_DEFAULTS, ...value };
+}
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+const header = (name, help, type) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+
+// A counter, one series per set of labels
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.series = new Map(); // formatted labels -> value
+  }
+
+  inc(labels, by = 1) {
+    const key = formatLabels(labels);
+    this.series.set(key, (this.series.get(key) || 0) + by);
+  }
+
+  render() {
+    return [
+      ...header(this.name, this.help, 'counter'),
+      ...Array.from(this.series, ([labels, value]) => `${this.name}${labels} ${value}`)
+    ];
+  }
+}
+
+// A histogram with fixed bucket bounds (in seconds), one series per set of
+// labels. Bucket counts are kept cumulative, as they are reported.
+class Histogram {
+  constructor(name, help, buckets) {
+    this.name = name;
+    this.help = help;
+    this.buckets = buckets;
+    this.series = new Map(); // formatted labels -> { labels, counts, sum, count }
+  }
+
+  observe(labels, value) {
+    const key = formatLabels(labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = header(this.name, this.help, 'histogram');
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsExporter extends SettingsServer {
+  constructor({ sshOps, statusHistory }) {
+    super({ label: 'Metrics exporter', path: '/metrics' });
+    this.sshOps = sshOps;
+    this.statusHistory = statusHistory;
+    this.actions = new Counter('afl_server_actions_total', 'Start, stop and restart requests, by result.');
+    this.sshFailures = new Counter('afl_ssh_failures_total', 'SSH commands, shells, log streams and SFTP sessions that could not open, by reason.');
+    this.sshLatency = new Histogram('afl_ssh_command_duration_seconds', 'Time taken by SSH commands.', SSH_BUCKETS);
+    this.queueLatency = new Histogram('afl_queue_state_duration_seconds', 'Time taken by queue_state requests.', QUEUE_BUCKETS);
+  }
+
+  settings() {
+    return metricsSettings(this.sshOps.configSettings.metrics);
+  }
+
+  // Reported by SSHOperations (see setMetrics)
+  sshCommand(serverName, seconds) {
+    this.sshLatency.observe({ host: this.serverLabels(serverName).host }, seconds);
+  }
+
+  // `reason` is "connect", "timeout" or "host-key-changed"
+  sshFailure(host, reason) {
+    this.sshFailures.inc({ host, reason });
+  }
+
+  queueState(serverName, seconds) {
+    this.queueLatency.observe(this.serverLabels(serverName), seconds);
+  }
+
+  serverAction(serverName, action, result) {
+    this.actions.inc({
+      ...this.serverLabels(serverName),
+      action,
+      result: result.success ? 'success' : 'failure'
+    });
+  }
+
+  serverLabels(serverName) {
+    const serverConfig = this.sshOps.config[serverName] || {};
+    return {
+      server: serverName,
+      host: serverConfig.host || '',
+      screen_name: serverConfig.screen_name || '',
+      device: serverConfig.device ? 'true' : 'false'
+    };
+  }
+
+  statusLines() {
+    const screen = [];
+    const httpUp = [];
+    const sshUp = [];
+    const queue = [];
+    for (const name of Object.keys(this.sshOps.config)) {
+      const latest = this.statusHistory.latest(name);
+      if (!latest || latest.screen === 'config-error') continue;
+      const labels = formatLabels(this.serverLabels(name));
+      const reachable = latest.screen !== 'ssh-down' && latest.screen !== 'host-key-changed';
+      sshUp.push(`afl_server_ssh_reachable${labels} ${reachable ? 1 : 0}`);
+      // Whether the session runs is not known while SSH is down
+      if (reachable) screen.push(`afl_server_screen_active${labels} ${latest.screen === 'active' ? 1 : 0}`);
+      httpUp.push(`afl_server_http_reachable${labels} ${latest.queue !== 'unreachable' ? 1 : 0}`);
+      const states = QUEUE_STATES.includes(latest.queue) ? QUEUE_STATES : [...QUEUE_STATES, latest.queue];
+      states.forEach((state) => {
+        const stateLabels = formatLabels({ ...this.serverLabels(name), state });
+        queue.push(`afl_server_queue_state${stateLabels} ${state === latest.queue ? 1 : 0}`);
+      });
+    }
+    return [
+      ...header('afl_server_screen_active', 'Whether the server\'s session (screen, tmux or systemd) is running.', 'gauge'),
+      ...screen,
+      ...header('afl_server_http_reachable', 'Whether the server\'s queue_state or status_url answers.', 'gauge'),
+      ...httpUp,
+      ...header('afl_server_ssh_reachable', 'Whether the server\'s host answers over SSH.', 'gauge'),
+      ...sshUp,
+      ...header('afl_server_queue_state', 'The server\'s queue state: 1 for the current one.', 'gauge'),
+      ...queue
+    ];
+  }
+
+  render() {
+    return [
+      ...this.statusLines(),
+      ...this.actions.render(),
+      ...this.queueLatency.render(),
+      ...this.sshFailures.render(),
+      ...this.sshLatency.render(),
+      ''
+    ].join('\n');
+  }
+
+  handle(request, response) {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    if (pathname !== '/metrics') {
+      response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      response.end('Not found\n');
+      return;
+    }
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      response.writeHead(405, { 'Content-Type': 'text/plain; charset=utf-8', Allow: 'GET, HEAD' });
+      response.end('Method not allowed\n');
+      return;
+    }
+    response.writeHead(200, { 'Content-Type': CONTENT_TYPE, 'Cache-Control': 'no-store' });
+    response.end(request.method === 'HEAD' ? undefined : this.render());
+  }
+}
+
+module.exports = MetricsExporter;
+module.exports.METRICS_DEFAULTS = METRICS_DEFAULTS;
+module.exports.metricsSettings = metricsSettings;
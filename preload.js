@@ -0,0 +1,253 @@
+// preload.js
+const { contextBridge, ipcRenderer } = require('electron');
+
+// The renderer runs sandboxed with context isolation, so this is all it can
+// ask of the main process: `window.serverControl`, one method per channel of
+// main.js, taking the same arguments. Arguments are checked here, before
+// they leave the renderer; anything else is refused with a TypeError.
+// Events from the main process are subscribed to with `on<Event>(callback)`,
+// which returns a function that unsubscribes. The callback gets the payload
+// only, never the IPC event.
+//
+// Sandboxed preloads can only require electron, so the checks are written
+// out here rather than shared with configSchema.js.
+
+function fail(what, expected) {
+  throw new TypeError(`${what} must be ${expected}`);
+}
+
+const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+function name(value, what = 'server name') {
+  return typeof value === 'string' && value ? value : fail(what, 'a non-empty string');
+}
+
+function optionalName(value, what) {
+  return value === undefined || value === null ? null : name(value, what);
+}
+
+function text(value, what) {
+  return typeof value === 'string' ? value : fail(what, 'a string');
+}
+
+function integer(value, what) {
+  return Number.isInteger(value) && value >= 0 ? value : fail(what, 'a whole number');
+}
+
+function optionalInteger(value, what) {
+  return value === undefined ? undefined : integer(value, what);
+}
+
+function time(value, what) {
+  return Number.isFinite(value) ? value : fail(what, 'a time in ms');
+}
+
+function optionalTime(value, what) {
+  return value === undefined ? undefined : time(value, what);
+}
+
+function flag(value, what) {
+  return typeof value === 'boolean' ? value : fail(what, 'true or false');
+}
+
+function object(value, what) {
+  return isObject(value) ? value : fail(what, 'an object');
+}
+
+function oneOf(value, values, what) {
+  return values.includes(value) ? value : fail(what, `one of ${values.join(', ')}`);
+}
+
+function serverNames(value) {
+  if (!Array.isArray(value)) fail('servers', 'a list of server names');
+  return value.map(entry => name(entry));
+}
+
+const invoke = (channel, ...args) => ipcRenderer.invoke(channel, ...args);
+const send = (channel, payload) => ipcRenderer.send(channel, payload);
+
+function subscribe(channel) {
+  return (callback) => {
+    if (typeof callback !== 'function') fail('callback', 'a function');
+    const listener = (event, payload) => callback(payload);
+    ipcRenderer.on(channel, listener);
+    return () => ipcRenderer.removeListener(channel, listener);
+  };
+}
+
+const serverControl = {
+  // Servers
+  startServer: serverName => invoke('start-server', name(serverName)),
+  stopServer: serverName => invoke('stop-server', name(serverName)),
+  restartServer: serverName => invoke('restart-server', name(serverName)),
+  getServerStatus: serverName => invoke('get-server-status', name(serverName)),
+  getBatchServerStatus: host => invoke('get-batch-server-status', name(host, 'host')),
+  fetchQueueState: serverName => invoke('fetch-queue-state', name(serverName)),
+  getServersByHost: () => invoke('get-servers-by-host'),
+  joinServer: serverName => invoke('join-server', name(serverName)),
+  recordStatus: ({ serverName, screen, queue }) => send('record-status', {
+    serverName: name(serverName),
+    screen: text(screen, 'screen'),
+    queue: text(queue, 'queue')
+  }),
+
+  // Profiles and bulk actions
+  getProfiles: () => invoke('get-profiles'),
+  startProfile: profileName => invoke('start-profile', name(profileName, 'profile name')),
+  stopProfile: profileName => invoke('stop-profile', name(profileName, 'profile name')),
+  cancelProfileRun: () => invoke('cancel-profile-run'),
+  bulkAction: ({ action, servers }) => invoke('bulk-action', {
+    action: oneOf(action, ['start', 'stop', 'restart'], 'action'),
+    servers: serverNames(servers)
+  }),
+  getBulkConcurrency: () => invoke('get-bulk-concurrency'),
+  setBulkConcurrency: concurrency => invoke('set-bulk-concurrency', integer(concurrency, 'concurrency')),
+
+  // Status history, watchdog and alerts
+  getStatusSummary: ({ since, until }) => invoke('get-status-summary', {
+    since: time(since, 'since'),
+    until: optionalTime(until, 'until')
+  }),
+  getStatusHistory: ({ server, since, until }) => invoke('get-status-history', {
+    server: optionalName(server, 'server'),
+    since: optionalTime(since, 'since'),
+    until: optionalTime(until, 'until')
+  }),
+  getWatchdogStates: () => invoke('get-watchdog-states'),
+  getAlertSettings: () => invoke('get-alert-settings'),
+  setAlertSettings: changes => invoke('set-alert-settings', object(changes, 'alert settings')),
+  sendTestAlert: channelName => invoke('send-test-alert', optionalName(channelName, 'channel name')),
+  acknowledgeAlerts: () => send('acknowledge-alerts'),
+  showWindow: () => send('show-window'),
+
+  // Logs
+  getServerLog: serverName => invoke('get-server-log', name(serverName)),
+  listLogs: serverName => invoke('list-logs', name(serverName)),
+  readLogPage: ({ serverName, generation, offset, length }) => invoke('read-log-page', {
+    serverName: name(serverName),
+    generation: integer(generation, 'generation'),
+    offset: integer(offset, 'offset'),
+    length: optionalInteger(length, 'length')
+  }),
+  grepLog: ({ serverName, generation, pattern, ignoreCase = false }) => invoke('grep-log', {
+    serverName: name(serverName),
+    generation: integer(generation, 'generation'),
+    pattern: text(pattern, 'pattern'),
+    ignoreCase: flag(ignoreCase, 'ignoreCase')
+  }),
+  rotateLog: serverName => invoke('rotate-log', name(serverName)),
+  downloadLog: ({ serverName, generation, name: fileName }) => invoke('download-log', {
+    serverName: name(serverName),
+    generation: integer(generation, 'generation'),
+    name: name(fileName, 'file name')
+  }),
+  startLogStream: ({ serverName, lines }) => invoke('start-log-stream', {
+    serverName: name(serverName),
+    lines: optionalInteger(lines, 'lines')
+  }),
+  stopLogStream: id => invoke('stop-log-stream', integer(id, 'stream id')),
+
+  // Settings sections, each checked in full by the main process
+  getLogSettings: () => invoke('get-log-settings'),
+  setLogSettings: settings => invoke('set-log-settings', object(settings, 'log settings')),
+  getApiSettings: () => invoke('get-api-settings'),
+  setApiSettings: settings => invoke('set-api-settings', object(settings, 'display API settings')),
+  getMetricsSettings: () => invoke('get-metrics-settings'),
+  setMetricsSettings: settings => invoke('set-metrics-settings', object(settings, 'metrics settings')),
+
+  // launchers.json
+  getConfig: () => invoke('get-config'),
+  getConnectionInfo: () => invoke('get-connection-info'),
+  getConfigProblems: () => invoke('get-config-problems'),
+  addServer: ({ serverName, serverConfig }) => invoke('add-server', {
+    serverName: name(serverName),
+    serverConfig: object(serverConfig, 'server definition')
+  }),
+  updateServer: ({ serverName, serverConfig }) => invoke('update-server', {
+    serverName: name(serverName),
+    serverConfig: object(serverConfig, 'server definition')
+  }),
+  removeServer: serverName => invoke('remove-server', name(serverName)),
+  toggleServerActive: serverName => invoke('toggle-server-active', name(serverName)),
+  saveConfig: () => invoke('save-config'),
+  importConfig: () => invoke('import-config'),
+  importSshKey: () => invoke('import-ssh-key'),
+  getConfigBackups: () => invoke('get-config-backups'),
+  previewConfigBackup: backupName => invoke('preview-config-backup', name(backupName, 'backup name')),
+  restoreConfigBackup: backupName => invoke('restore-config-backup', name(backupName, 'backup name')),
+  setConfigBackupCount: keep => invoke('set-config-backup-count', integer(keep, 'keep')),
+  getConfigUndo: () => invoke('get-config-undo'),
+  undoConfigChange: () => invoke('undo-config-change'),
+  resolveConfigConflict: choice => invoke('resolve-config-conflict', oneOf(choice, ['app', 'disk'], 'choice')),
+  getPaths: () => invoke('get-paths'),
+  setConfigPath: newPath => invoke('set-config-path', name(newPath, 'path')),
+  setSshKeyPath: newPath => invoke('set-ssh-key-path', name(newPath, 'path')),
+  // Only ever a dialog for picking one existing file
+  showOpenDialog: ({ filters = [] } = {}) => {
+    if (!Array.isArray(filters)) fail('filters', 'a list');
+    return invoke('show-open-dialog', {
+      properties: ['openFile'],
+      filters: filters.map(filter => ({
+        name: text(object(filter, 'filter').name, 'filter name'),
+        extensions: Array.isArray(filter.extensions)
+          ? filter.extensions.map(extension => text(extension, 'extension'))
+          : fail('extensions', 'a list')
+      }))
+    });
+  },
+
+  // AFL settings, local (host null) or on a host
+  getAflConfig: host => invoke('get-afl-config', optionalName(host, 'host')),
+  saveAflConfig: (host, aflConfig) => invoke('save-afl-config', optionalName(host, 'host'), object(aflConfig, 'AFL config')),
+
+  // Terminals and recordings
+  startSshSession: (serverName, { readOnly = false } = {}) => invoke('start-ssh-session', name(serverName), {
+    readOnly: flag(readOnly, 'readOnly')
+  }),
+  closeSshSession: serverName => invoke('close-ssh-session', name(serverName)),
+  sendSshData: ({ serverName, data }) => send('ssh-data', { serverName: name(serverName), data: text(data, 'data') }),
+  resizePty: ({ serverName, cols, rows }) => send('resize-pty', {
+    serverName: name(serverName),
+    cols: integer(cols, 'cols'),
+    rows: integer(rows, 'rows')
+  }),
+  setSessionReadOnly: ({ serverName, readOnly }) => invoke('set-session-read-only', {
+    serverName: name(serverName),
+    readOnly: flag(readOnly, 'readOnly')
+  }),
+  startRecording: serverName => invoke('start-recording', name(serverName)),
+  stopRecording: serverName => invoke('stop-recording', name(serverName)),
+  getRecordingServers: () => invoke('get-recording-servers'),
+  listRecordings: serverName => invoke('list-recordings', optionalName(serverName, 'server name')),
+  readRecording: ({ server, name: recordingName }) => invoke('read-recording', {
+    server: name(server),
+    name: name(recordingName, 'recording name')
+  }),
+  deleteRecording: ({ server, name: recordingName }) => invoke('delete-recording', {
+    server: name(server),
+    name: name(recordingName, 'recording name')
+  }),
+
+  // Encrypted SSH keys
+  answerPassphrase: ({ id, passphrase }) => send('passphrase-response', {
+    id: integer(id, 'id'),
+    passphrase: passphrase === null ? null : text(passphrase, 'passphrase')
+  }),
+
+  // Events
+  onConfigUpdated: subscribe('config-updated'),
+  onConfigConflict: subscribe('config-conflict'),
+  onPassphraseRequest: subscribe('passphrase-request'),
+  onAlert: subscribe('andon-alert'),
+  onWatchdogState: subscribe('watchdog-state'),
+  onProfileRun: subscribe('profile-run'),
+  onBulkProgress: subscribe('bulk-progress'),
+  onSshData: subscribe('ssh-data'),
+  onSshSessionClosed: subscribe('ssh-session-closed'),
+  onRecordingState: subscribe('recording-state'),
+  onLogData: subscribe('log-data'),
+  onLogEnded: subscribe('log-ended'),
+  onLogDownloadProgress: subscribe('log-download-progress')
+};
+
+contextBridge.exposeInMainWorld('serverControl', serverControl);
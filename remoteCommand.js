@@ -0,0 +1,232 @@
+// Builds the shell commands sent to server hosts. Every value taken from
+// launchers.json is validated and POSIX-quoted, so a name with a space or a
+// quote cannot break the command line and a config file cannot smuggle in
+// extra commands. The commands that start, stop and attach to a server's
+// session depend on its backend and are in sessionBackends.js.
+
+const SAFE_NAME = /^[A-Za-z0-9_][A-Za-z0-9_.-]*$/;
+const SAFE_PATH = /^[A-Za-z0-9_./-]+$/;
+const PYTHON_MODULE = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+// Words that need no quoting at all
+const PLAIN_WORD = /^[A-Za-z0-9_@%+=:,./-]+$/;
+// Characters that would make the shell do more than run one command
+const UNQUOTED_SPECIALS = /[;&|<>()$`\\"'*?[\]{}!#~\n\r\t]/;
+
+class InvalidServerConfigError extends Error {
+  constructor(field, message) {
+    super(`${field}: ${message}`);
+    this.name = 'InvalidServerConfigError';
+    this.field = field;
+  }
+}
+
+function shellQuote(value) {
+  const str = String(value);
+  if (PLAIN_WORD.test(str)) return str;
+  return `'${str.replace(/'/g, `'\\''`)}'`;
+}
+
+function requireMatch(serverConfig, field, pattern, description) {
+  const value = serverConfig[field];
+  if (typeof value !== 'string' || !pattern.test(value)) {
+    throw new InvalidServerConfigError(field, `must be ${description}, got ${JSON.stringify(value)}`);
+  }
+  return value;
+}
+
+function screenName(serverConfig) {
+  return requireMatch(serverConfig, 'screen_name', SAFE_NAME, 'letters, digits, ".", "_" or "-"');
+}
+
+// Split `server_script` into words the way a shell would for a plain command
+// line, as `{ text, home }`. Single and double quotes are understood, and a
+// word starting with an unquoted `~/` (or a lone `~`) is a path below the
+// home directory: `home` is set and `text` is the rest. Anything else that
+// would make the shell do more than run one command (;, |, $, redirections,
+// globs, ~user, ...) is rejected.
+function splitCommandLine(text, field = 'command') {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new InvalidServerConfigError(field, 'must be a non-empty command');
+  }
+  const words = [];
+  let word = null;
+  let home = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === ' ') {
+      if (word !== null) words.push({ text: word, home });
+      word = null;
+      home = false;
+    } else if (ch === '~' && word === null && [undefined, ' ', '/'].includes(text[i + 1])) {
+      word = '';
+      home = true;
+      if (text[i + 1] === '/') i++;
+    } else if (ch === "'") {
+      const end = text.indexOf("'", i + 1);
+      if (end === -1) throw new InvalidServerConfigError(field, 'has an unterminated quote');
+      word = (word || '') + text.slice(i + 1, end);
+      i = end;
+    } else if (ch === '"') {
+      const end = text.indexOf('"', i + 1);
+      if (end === -1) throw new InvalidServerConfigError(field, 'has an unterminated quote');
+      const quoted = text.slice(i + 1, end);
+      if (/[$`\\]/.test(quoted)) {
+        throw new InvalidServerConfigError(field, 'may not use $, ` or \\ inside double quotes');
+      }
+      word = (word || '') + quoted;
+      i = end;
+    } else if (UNQUOTED_SPECIALS.test(ch)) {
+      throw new InvalidServerConfigError(field, `may not contain ${JSON.stringify(ch)} outside quotes`);
+    } else {
+      word = (word || '') + ch;
+    }
+  }
+  if (word !== null) words.push({ text: word, home });
+  return words;
+}
+
+// A path below the remote home directory, for use as one shell word
+function homePath(relativePath) {
+  return relativePath ? `"$HOME"/${shellQuote(relativePath)}` : '"$HOME"';
+}
+
+function screenLogPath(serverConfig) {
+  return `.afl/${screenName(serverConfig)}.screenlog`;
+}
+
+// The command the server session runs: either `server_script` or
+// `<shell> -ci "[conda activate <env>;] python -m <module>"`
+function serverCommand(serverConfig) {
+  if (serverConfig.server_module) {
+    const module = requireMatch(serverConfig, 'server_module', PYTHON_MODULE, 'a dotted Python module name');
+    const shell = requireMatch(serverConfig, 'shell', SAFE_PATH, 'a shell name or path');
+    let command = `python -m ${shellQuote(module)}`;
+    if (serverConfig.conda_env) {
+      const env = requireMatch(serverConfig, 'conda_env', SAFE_PATH, 'a conda environment name or path');
+      command = `conda activate ${shellQuote(env)};${command}`;
+    }
+    return `${shellQuote(shell)} -ci ${shellQuote(command)}`;
+  }
+  if (serverConfig.server_script) {
+    return splitCommandLine(serverConfig.server_script, 'server_script')
+      .map(word => (word.home ? homePath(word.text) : shellQuote(word.text)))
+      .join(' ');
+  }
+  throw new InvalidServerConfigError('server_script', 'neither server_module nor server_script is specified');
+}
+
+function buildLogCommand(serverConfig, lines = 200) {
+  if (!Number.isInteger(lines) || lines < 1) {
+    throw new InvalidServerConfigError('lines', `must be a positive integer, got ${JSON.stringify(lines)}`);
+  }
+  return `tail -n ${lines} ${homePath(screenLogPath(serverConfig))}`;
+}
+
+// Like buildLogCommand, then keeps printing what is appended; -F carries on
+// when the log is replaced (a server restart starts a new one)
+function buildLogFollowCommand(serverConfig, lines = 200) {
+  if (!Number.isInteger(lines) || lines < 0) {
+    throw new InvalidServerConfigError('lines', `must be a whole number, got ${JSON.stringify(lines)}`);
+  }
+  return `tail -n ${lines} -F ${homePath(screenLogPath(serverConfig))}`;
+}
+
+// Previous logs are kept next to the current one, gzipped and numbered from
+// 1 (the most recent): .afl/<screen_name>.screenlog.1.gz, .2.gz, ...
+function logFileName(serverConfig, generation = 0) {
+  if (!Number.isInteger(generation) || generation < 0) {
+    throw new InvalidServerConfigError('generation', `must be a whole number, got ${JSON.stringify(generation)}`);
+  }
+  const base = `${screenName(serverConfig)}.screenlog`;
+  return generation === 0 ? base : `${base}.${generation}.gz`;
+}
+
+function requireCount(field, value, min) {
+  if (!Number.isInteger(value) || value < min) {
+    throw new InvalidServerConfigError(field, `must be a whole number of at least ${min}, got ${JSON.stringify(value)}`);
+  }
+  return value;
+}
+
+// One line per existing log file: "<name> <bytes> <uncompressed bytes> <mtime>"
+function buildLogListCommand(serverConfig) {
+  const base = shellQuote(logFileName(serverConfig));
+  return 'cd "$HOME"/.afl 2>/dev/null || exit 0; ' +
+    `for f in ${base} ${base}.*.gz; do ` +
+    '[ -f "$f" ] || continue; ' +
+    's=$(wc -c < "$f"); ' +
+    'case "$f" in *.gz) u=$(gzip -l "$f" | awk \'NR==2 { print $2 }\');; *) u=$s;; esac; ' +
+    'echo "$f $s $u $(date -r "$f" +%s)"; ' +
+    'done';
+}
+
+// Print `length` bytes of a log (decompressed) from byte `offset` on
+function buildLogReadCommand(serverConfig, generation, offset, length) {
+  const file = homePath(`.afl/${logFileName(serverConfig, generation)}`);
+  const from = requireCount('offset', offset, 0) + 1;
+  const count = requireCount('length', length, 1);
+  const source = generation === 0 ? `tail -c +${from} ${file}` : `gzip -dc ${file} | tail -c +${from}`;
+  return `test -f ${file} && ${source} | head -c ${count}`;
+}
+
+// Matching lines of a log as "<line>:<byte offset>:<text>", at most `max`
+function buildLogGrepCommand(serverConfig, generation, pattern, { ignoreCase = false, max = 1000 } = {}) {
+  if (typeof pattern !== 'string' || pattern === '') {
+    throw new InvalidServerConfigError('pattern', 'must be a non-empty string');
+  }
+  const file = homePath(`.afl/${logFileName(serverConfig, generation)}`);
+  const grep = `grep -a -n -b -E${ignoreCase ? ' -i' : ''} -m ${requireCount('max', max, 1)} -e ${shellQuote(pattern)}`;
+  return generation === 0 ? `${grep} ${file}` : `gzip -dc ${file} | ${grep}`;
+}
+
+// Move the current log to generation 1, shifting the older ones up and
+// dropping those beyond `keep`. The current log is copied and emptied rather
+// than renamed, since a running session keeps writing to it.
+function buildLogRotateCommand(serverConfig, keep) {
+  requireCount('keep', keep, 1);
+  const base = logFileName(serverConfig);
+  const name = generation => shellQuote(logFileName(serverConfig, generation));
+  const steps = [
+    'cd "$HOME"/.afl || exit 1',
+    `[ -s ${shellQuote(base)} ] || exit 0`,
+    `for f in ${shellQuote(base)}.*.gz; do n=\${f#${shellQuote(base)}.}; n=\${n%.gz}; ` +
+      `if [ "$n" -ge ${keep} ] 2>/dev/null; then rm -f "$f"; fi; done`
+  ];
+  for (let generation = keep - 1; generation >= 1; generation--) {
+    steps.push(`if [ -f ${name(generation)} ]; then mv -f ${name(generation)} ${name(generation + 1)}; fi`);
+  }
+  steps.push(`gzip -c ${shellQuote(base)} > ${name(1)}.part && mv -f ${name(1)}.part ${name(1)} && : > ${shellQuote(base)}`);
+  return steps.join('; ');
+}
+
+// Problems that would stop commands being built for this server, as
+// [{ field, message }]; empty if the definition is usable.
+function validateServerCommands(serverConfig) {
+  const errors = [];
+  for (const check of [screenName, serverCommand]) {
+    try {
+      check(serverConfig);
+    } catch (error) {
+      if (!(error instanceof InvalidServerConfigError)) throw error;
+      errors.push({ field: error.field, message: error.message });
+    }
+  }
+  return errors;
+}
+
+module.exports = {
+  InvalidServerConfigError,
+  shellQuote,
+  splitCommandLine,
+  screenName,
+  serverCommand,
+  homePath,
+  buildLogCommand,
+  buildLogFollowCommand,
+  buildLogListCommand,
+  buildLogReadCommand,
+  buildLogGrepCommand,
+  buildLogRotateCommand,
+  logFileName,
+  validateServerCommands
+};
@@ -1,19 +1,26 @@
 // renderer.js (Renderer process)
-const { ipcRenderer } = require('electron');
-const { Terminal } = require('@xterm/xterm');
-const { FitAddon } = require('@xterm/addon-fit');
-const JSONEditor = require('jsoneditor');
-// Use the built-in fetch in recent Node versions. node-fetch remains as a
-// fallback for older environments but may throw if imported directly.
-let fetchFn;
-try {
-  // Prefer global fetch if available
-  fetchFn = global.fetch || require('node-fetch');
-} catch (err) {
-  // `require` will fail for ESM-only node-fetch; fall back to global
-  fetchFn = global.fetch;
-}
+// Sandboxed and without require(): the main process is reached through
+// window.serverControl (see preload.js), and Terminal, FitAddon, JSONEditor
+// and LogBuffer are globals of the scripts index.html loads before this one.
 let config;
+let connectionInfo = {};
+let configProblems = [];
+let undoLabel = null;
+const lastRecordedStatus = {};
+let timelineRefreshTimer = null;
+const TIMELINE_WINDOW = 24 * 60 * 60 * 1000; // shown on each card
+let alertSettings = { rules: [], servers: {}, channels: [] };
+const activeAlerts = [];
+let audioContext = null;
+let alarmTimer = null;
+let titleFlashTimer = null;
+const APP_TITLE = document.title;
+let watchdogStates = {};
+let profiles = [];
+let profileRun = null;
+let dismissedProfileRun = null;
+const selectedServers = new Set();
+let bulkRun = null;
 let editingServer = null;
 let aflConfig = {};
 let aflConfigEditor;
@@ -31,102 +38,1013 @@ function parseAflTimestamp(key) {
   }
 }
 
-let sshStream;
+// Flatten a server's `jump_host` setting (object, array or nested object)
+// into hops ordered from the first one we connect to.
+function jumpHostChain(jumpHost) {
+  if (!jumpHost) return [];
+  if (Array.isArray(jumpHost)) return jumpHost.flatMap(jumpHostChain);
+  return [...jumpHostChain(jumpHost.jump_host), jumpHost];
+}
+
+// "user@host:port, user@host2" -> [{ username, host, port }, ...]
+function parseJumpHosts(text) {
+  return text.split(',').map(s => s.trim()).filter(Boolean).map(spec => {
+    const hop = {};
+    let rest = spec;
+    const at = rest.lastIndexOf('@');
+    if (at !== -1) {
+      hop.username = rest.slice(0, at);
+      rest = rest.slice(at + 1);
+    }
+    const portMatch = rest.match(/^(.*):(\d+)$/);
+    if (portMatch) {
+      rest = portMatch[1];
+      hop.port = parseInt(portMatch[2], 10);
+    }
+    hop.host = rest;
+    return hop;
+  });
+}
 
-let terminal;
-let currentServerName;
+function formatJumpHosts(jumpHost) {
+  return jumpHostChain(jumpHost).map(hop =>
+    `${hop.username ? `${hop.username}@` : ''}${hop.host}${hop.port ? `:${hop.port}` : ''}`
+  ).join(', ');
+}
+
+// Terminal sessions, one per server, each attached to the server's session
+// (see sessionBackends.js) in its own xterm. Closing the terminal window or detaching a tab
+// keeps the session (and its scrollback) running in the background; Join
+// brings it back. Only Close ends the SSH session, and even that leaves the
+// server's own session running.
+// A session either has control (keys go to the server) or only observes;
+// Observe, and Join for servers with "join_mode": "observe", start observing.
+//   serverName -> { terminal, fitAddon, pane, banner, attached, ended, readOnly }
+const terminalSessions = new Map();
+let activeTerminal = null; // the tab shown when not side by side
+let terminalsSideBySide = false;
 let activeTab = null;
 let inactiveExpanded = false;
 
-async function joinServer(serverName) {
+async function joinServer(serverName, { observe = (config[serverName] || {}).join_mode === 'observe' } = {}) {
+  let session = terminalSessions.get(serverName);
+  if (session && !session.ended) {
+    // Observe drops control of a running session; taking control always asks
+    if (observe && !session.readOnly) await setSessionReadOnly(serverName, true);
+    attachTerminalSession(serverName);
+    return;
+  }
+  // A session that ended reconnects in the same terminal, keeping its scrollback
+  if (!session) {
+    session = createTerminalSession(serverName);
+    terminalSessions.set(serverName, session);
+  }
+  session.ended = false;
+  session.readOnly = observe;
+  renderSessionMode(session);
+  attachTerminalSession(serverName);
   try {
-    // Close existing connection if any
-    if (currentServerName) {
-      await ipcRenderer.invoke('close-ssh-session', currentServerName);
-      currentServerName = null;
-    }
-
-    // Reinitialize terminal
-    if (terminal) {
-      terminal.dispose();
-      terminal = null;
-    }
-    initializeTerminal();
-
-    const result = await ipcRenderer.invoke('start-ssh-session', serverName);
+    const result = await serverControl.startSshSession(serverName, { readOnly: observe });
     if (result.success) {
-      showTerminalModal();
-      currentServerName = serverName;
-      terminal.clear();
-      terminal.writeln(`Connected to ${serverName}`);
+      session.terminal.writeln(`Connected to ${serverName}`);
+      fitTerminal(session);
+      const { cols, rows } = session.terminal;
+      serverControl.resizePty({ serverName, cols, rows });
     } else {
-      console.error(`Failed to join server ${serverName}`);
-      alert(`Failed to join server ${serverName}`);
+      console.error(`Failed to join server ${serverName}:`, result.error);
+      closeTerminalSession(serverName);
+      alert(`Failed to join server ${serverName}${result.error ? `: ${result.error}` : ''}`);
     }
   } catch (error) {
     console.error(`Error joining server ${serverName}:`, error);
+    closeTerminalSession(serverName);
     alert(`Error joining server ${serverName}: ${error.message}`);
   }
 }
 
-function initializeTerminal() {
-  if (terminal) {
-    console.warn('Terminal already initialized, disposing old instance');
-    terminal.dispose();
-  }
-
-  terminal = new Terminal({
-    disableStdin: false
+function createTerminalSession(serverName) {
+  const pane = document.createElement('div');
+  pane.className = 'terminal-pane';
+  const title = document.createElement('div');
+  title.className = 'terminal-pane-title';
+  title.textContent = serverName;
+  pane.appendChild(title);
+  const banner = document.createElement('div');
+  banner.className = 'terminal-mode-banner';
+  const bannerText = document.createElement('span');
+  banner.appendChild(bannerText);
+  const modeButton = document.createElement('button');
+  modeButton.onclick = () => toggleSessionControl(serverName);
+  banner.appendChild(modeButton);
+  pane.appendChild(banner);
+  const body = document.createElement('div');
+  body.className = 'terminal-pane-body';
+  pane.appendChild(body);
+  document.getElementById('terminal-container').appendChild(pane);
+
+  const terminal = new Terminal({
+    disableStdin: false,
+    scrollback: 5000
   });
-  const fitAddon = new FitAddon();
+  const fitAddon = new FitAddon.FitAddon();
   terminal.loadAddon(fitAddon);
-
-  const terminalContainer = document.getElementById('terminal-container');
-  terminal.open(terminalContainer);
-  fitAddon.fit();
+  terminal.open(body);
 
   terminal.onData(data => {
-    if (currentServerName) {
-      ipcRenderer.send('ssh-data', { serverName: currentServerName, data });
+    const session = terminalSessions.get(serverName);
+    if (session && session.readOnly) {
+      // Dropped in the main process too; show that it went nowhere
+      session.banner.classList.remove('blocked');
+      void session.banner.offsetWidth;
+      session.banner.classList.add('blocked');
+      return;
     }
+    serverControl.sendSshData({ serverName, data });
+  });
+  terminal.onResize(({ cols, rows }) => {
+    serverControl.resizePty({ serverName, cols, rows });
+  });
+  pane.addEventListener('mousedown', () => {
+    if (activeTerminal === serverName) return;
+    activeTerminal = serverName;
+    layoutTerminals();
   });
 
-  // Remove any existing ssh-data listeners
-  ipcRenderer.removeAllListeners('ssh-data');
+  return { terminal, fitAddon, pane, banner, attached: true, ended: false, readOnly: false };
+}
 
-  ipcRenderer.on('ssh-data', (event, { serverName, data }) => {
-    if (serverName === currentServerName) {
-      terminal.write(data);
-    }
+function renderSessionMode(session) {
+  const [text, button] = session.banner.children;
+  session.banner.classList.toggle('observing', session.readOnly);
+  text.textContent = session.readOnly
+    ? '👁 Observing: keys you type are not sent to the server'
+    : '⌨ In control: keys you type, Ctrl-C included, go to the server';
+  button.textContent = session.readOnly ? 'Take Control…' : 'Observe Only';
+  renderTerminalTabs();
+}
+
+async function setSessionReadOnly(serverName, readOnly) {
+  const session = terminalSessions.get(serverName);
+  if (!session) return;
+  const result = await serverControl.setSessionReadOnly({ serverName, readOnly });
+  if (!result.success) {
+    alert(`Unable to change the session mode: ${result.error}`);
+    return;
+  }
+  session.readOnly = readOnly;
+  renderSessionMode(session);
+  session.terminal.focus();
+}
+
+function toggleSessionControl(serverName) {
+  const session = terminalSessions.get(serverName);
+  if (!session) return;
+  if (session.readOnly && !confirm(`Take control of ${serverName}?\n\n` +
+      'Everything you type will go to the running server. Ctrl-C stops it.')) {
+    return;
+  }
+  setSessionReadOnly(serverName, !session.readOnly);
+}
+
+serverControl.onSshData(({ serverName, data }) => {
+  const session = terminalSessions.get(serverName);
+  if (session) session.terminal.write(data);
+});
+
+serverControl.onSshSessionClosed(({ serverName }) => {
+  const session = terminalSessions.get(serverName);
+  if (!session || session.ended) return;
+  session.ended = true;
+  session.terminal.writeln('\r\n\x1b[33m[Session ended. Join again to reconnect.]\x1b[0m');
+  renderTerminalTabs();
+});
+
+function attachTerminalSession(serverName) {
+  const session = terminalSessions.get(serverName);
+  if (!session) return;
+  session.attached = true;
+  activeTerminal = serverName;
+  showTerminalModal();
+  session.terminal.focus();
+}
+
+// Hide the tab but keep the session running
+function detachTerminalSession(serverName) {
+  const session = terminalSessions.get(serverName);
+  if (!session) return;
+  session.attached = false;
+  if (activeTerminal === serverName) activeTerminal = null;
+  if (!attachedTerminals().length) {
+    closeTerminalModal();
+  } else {
+    layoutTerminals();
+  }
+}
+
+// End the SSH session and drop its terminal
+function closeTerminalSession(serverName) {
+  const session = terminalSessions.get(serverName);
+  if (!session) return;
+  terminalSessions.delete(serverName);
+  if (!session.ended) serverControl.closeSshSession(serverName);
+  session.terminal.dispose();
+  session.pane.remove();
+  if (activeTerminal === serverName) activeTerminal = null;
+  if (!attachedTerminals().length) {
+    closeTerminalModal();
+  } else {
+    layoutTerminals();
+  }
+}
+
+function attachedTerminals() {
+  return Array.from(terminalSessions.keys()).filter(name => terminalSessions.get(name).attached);
+}
+
+function fitTerminal(session) {
+  try {
+    session.fitAddon.fit();
+  } catch (error) {
+    // not laid out yet
+  }
+}
+
+function renderTerminalTabs() {
+  const tabs = document.getElementById('terminal-tabs');
+  tabs.innerHTML = '';
+  attachedTerminals().forEach(serverName => {
+    const session = terminalSessions.get(serverName);
+    const tab = document.createElement('span');
+    tab.className = 'terminal-tab';
+    tab.classList.toggle('active', serverName === activeTerminal);
+    tab.classList.toggle('ended', session.ended);
+    tab.textContent = `${session.readOnly ? '👁 ' : ''}${serverName}`;
+    tab.title = session.ended ? `${serverName} (session ended)`
+      : `${serverName} (${session.readOnly ? 'observing' : 'in control'})`;
+    tab.onclick = () => attachTerminalSession(serverName);
+
+    const recording = recordingServers.has(serverName);
+    const recordButton = document.createElement('button');
+    recordButton.textContent = '⏺';
+    recordButton.className = recording ? 'recording' : '';
+    recordButton.title = recording ? 'Recording: click to stop' : 'Record this session';
+    recordButton.disabled = session.ended;
+    recordButton.onclick = (e) => {
+      e.stopPropagation();
+      toggleRecording(serverName);
+    };
+    tab.appendChild(recordButton);
+
+    const detachButton = document.createElement('button');
+    detachButton.textContent = '⏏';
+    detachButton.title = 'Detach: hide this session and keep it running';
+    detachButton.onclick = (e) => {
+      e.stopPropagation();
+      detachTerminalSession(serverName);
+    };
+    tab.appendChild(detachButton);
+
+    const closeButton = document.createElement('button');
+    closeButton.textContent = '×';
+    closeButton.title = 'Close this session (the server keeps running)';
+    closeButton.onclick = (e) => {
+      e.stopPropagation();
+      closeTerminalSession(serverName);
+    };
+    tab.appendChild(closeButton);
+    tabs.appendChild(tab);
   });
+
+  const detached = Array.from(terminalSessions.keys()).filter(name => !terminalSessions.get(name).attached);
+  if (detached.length) {
+    const label = document.createElement('span');
+    label.className = 'terminal-detached-label';
+    label.textContent = 'Detached:';
+    tabs.appendChild(label);
+    detached.forEach(serverName => {
+      const button = document.createElement('button');
+      button.className = 'terminal-detached';
+      button.textContent = serverName;
+      button.title = `Re-attach ${serverName}`;
+      button.onclick = () => attachTerminalSession(serverName);
+      tabs.appendChild(button);
+    });
+  }
+
+  document.getElementById('terminal-layout-btn').textContent = terminalsSideBySide ? 'Tabs' : 'Side by Side';
 }
 
+// Show the active tab, or every attached session side by side, and fit
+// each shown terminal to its pane
+function layoutTerminals() {
+  const attached = attachedTerminals();
+  if (!attached.includes(activeTerminal)) activeTerminal = attached[0] || null;
+  const container = document.getElementById('terminal-container');
+  container.classList.toggle('side-by-side', terminalsSideBySide);
+  terminalSessions.forEach((session, serverName) => {
+    const shown = session.attached && (terminalsSideBySide || serverName === activeTerminal);
+    session.pane.style.display = shown ? 'flex' : 'none';
+    session.pane.classList.toggle('active', serverName === activeTerminal);
+  });
+  renderTerminalTabs();
+  requestAnimationFrame(() => {
+    terminalSessions.forEach(session => {
+      if (session.pane.style.display !== 'none') fitTerminal(session);
+    });
+  });
+}
+
+function toggleTerminalLayout() {
+  terminalsSideBySide = !terminalsSideBySide;
+  layoutTerminals();
+}
 
 function showTerminalModal() {
   const modal = document.getElementById('terminal-modal');
   modal.style.display = 'block';
-  if (!terminal) {
-    initializeTerminal();
-  }
+  layoutTerminals();
 }
 
+// Hide the terminals; their sessions keep running
 function closeTerminalModal() {
   const modal = document.getElementById('terminal-modal');
   modal.style.display = 'none';
-  if (currentServerName) {
-    ipcRenderer.send('close-ssh-session', currentServerName);
-    currentServerName = null;
+}
+
+// Servers whose terminal session is being recorded
+const recordingServers = new Set();
+
+async function toggleRecording(serverName) {
+  const recording = recordingServers.has(serverName);
+  const result = recording
+    ? await serverControl.stopRecording(serverName)
+    : await serverControl.startRecording(serverName);
+  if (!result.success) alert(`Unable to record ${serverName}: ${result.error}`);
+}
+
+serverControl.onRecordingState(({ server, recording }) => {
+  if (recording) recordingServers.add(server);
+  else recordingServers.delete(server);
+  renderTerminalTabs();
+});
+
+// The recordings list and player
+let player = null; // { recording, events, duration, terminal, index, time, playing, lastFrame, typed }
+const PLAYER_TYPED_LENGTH = 60;
+
+function openRecordingsModal(serverName = '') {
+  const select = document.getElementById('recordings-server');
+  select.innerHTML = '<option value="">All servers</option>';
+  Object.keys(config).sort().forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    select.appendChild(option);
+  });
+  select.value = serverName;
+  document.getElementById('recordings-modal').style.display = 'block';
+  loadRecordings();
+}
+
+function closeRecordingsModal() {
+  closePlayer();
+  document.getElementById('recordings-modal').style.display = 'none';
+}
+
+async function loadRecordings() {
+  const serverName = document.getElementById('recordings-server').value;
+  const recordings = await serverControl.listRecordings(serverName || null);
+  const body = document.querySelector('#recordings-table tbody');
+  body.innerHTML = '';
+  if (!recordings.length) {
+    body.insertRow().insertCell().textContent = 'No recordings';
+    return;
   }
+  recordings.forEach(recording => {
+    const row = body.insertRow();
+    [
+      recording.server,
+      new Date(recording.started).toLocaleString(),
+      recording.recording ? 'recording…' : formatPlayerTime(recording.duration),
+      formatBytes(recording.size)
+    ].forEach(text => {
+      row.insertCell().textContent = text;
+    });
+    const actions = row.insertCell();
+    const playButton = document.createElement('button');
+    playButton.textContent = 'Play';
+    playButton.onclick = () => openRecording(recording);
+    actions.appendChild(playButton);
+    const deleteButton = document.createElement('button');
+    deleteButton.textContent = 'Delete';
+    deleteButton.disabled = recording.recording;
+    deleteButton.onclick = () => deleteRecording(recording);
+    actions.appendChild(deleteButton);
+  });
+}
+
+async function deleteRecording(recording) {
+  if (!confirm(`Delete the recording of ${recording.server} from ${new Date(recording.started).toLocaleString()}?`)) {
+    return;
+  }
+  if (player && player.recording.server === recording.server && player.recording.name === recording.name) {
+    closePlayer();
+  }
+  const result = await serverControl.deleteRecording({ server: recording.server, name: recording.name });
+  if (!result.success) alert(`Unable to delete the recording: ${result.error}`);
+  loadRecordings();
+}
+
+async function openRecording(recording) {
+  const result = await serverControl.readRecording({ server: recording.server, name: recording.name });
+  if (!result.success) {
+    alert(`Unable to open the recording: ${result.error}`);
+    return;
+  }
+  closePlayer();
+  const { header, events } = result.cast;
+  const terminal = new Terminal({
+    cols: header.width,
+    rows: header.height,
+    disableStdin: true,
+    scrollback: 5000
+  });
+  terminal.open(document.getElementById('player-terminal'));
+  const duration = events.length ? events[events.length - 1].time : 0;
+  player = {
+    recording,
+    header,
+    events,
+    duration,
+    terminal,
+    index: 0,
+    time: 0,
+    playing: false,
+    lastFrame: null,
+    typed: ''
+  };
+  document.getElementById('player').style.display = 'block';
+  document.getElementById('player-title').textContent =
+    `${recording.server}, ${new Date(recording.started).toLocaleString()}`;
+  const seek = document.getElementById('player-seek');
+  seek.max = duration;
+  seek.value = 0;
+  renderPlayer();
+  playRecording();
+}
+
+function closePlayer() {
+  if (!player) return;
+  player.playing = false;
+  player.terminal.dispose();
+  player = null;
+  document.getElementById('player').style.display = 'none';
+}
+
+// Play everything up to `target` seconds into the recording
+function advancePlayer(target) {
+  let output = '';
+  while (player.index < player.events.length && player.events[player.index].time <= target) {
+    const { code, data } = player.events[player.index];
+    if (code === 'o') {
+      output += data;
+    } else if (code === 'i') {
+      player.typed = (player.typed + describeKeys(data)).slice(-PLAYER_TYPED_LENGTH);
+    } else if (code === 'r') {
+      const [cols, rows] = data.split('x').map(Number);
+      if (cols > 0 && rows > 0) {
+        player.terminal.write(output);
+        output = '';
+        player.terminal.resize(cols, rows);
+      }
+    }
+    player.index++;
+  }
+  if (output) player.terminal.write(output);
+  player.time = Math.min(target, player.duration);
+}
+
+// Keys as typed, readable: ⏎ for Enter, ^C for Ctrl+C, arrows, ...
+const KEY_NAMES = { '\r': '⏎', '\x7f': '⌫', '\t': '⇥', '\x1b[A': '↑', '\x1b[B': '↓', '\x1b[C': '→', '\x1b[D': '←' };
+
+function describeKeys(data) {
+  if (KEY_NAMES[data]) return KEY_NAMES[data];
+  return data.replace(/\x1b\[[0-9;]*[A-Za-z~]/g, '')
+    .replace(/[\x00-\x1f\x7f]/g, char => KEY_NAMES[char] || `^${String.fromCharCode(char.charCodeAt(0) + 64)}`);
+}
+
+function seekPlayer(target) {
+  player.terminal.reset();
+  player.terminal.resize(player.header.width, player.header.height);
+  player.index = 0;
+  player.typed = '';
+  advancePlayer(target);
+  renderPlayer();
+}
+
+function playRecording() {
+  if (!player) return;
+  if (player.time >= player.duration) seekPlayer(0);
+  player.playing = true;
+  player.lastFrame = null;
+  requestAnimationFrame(playerFrame);
+  renderPlayer();
+}
+
+function pauseRecording() {
+  if (!player) return;
+  player.playing = false;
+  renderPlayer();
+}
+
+function playerFrame(now) {
+  if (!player || !player.playing) return;
+  const speed = Number(document.getElementById('player-speed').value);
+  const elapsed = player.lastFrame === null ? 0 : ((now - player.lastFrame) / 1000) * speed;
+  player.lastFrame = now;
+  advancePlayer(player.time + elapsed);
+  if (player.time >= player.duration) player.playing = false;
+  renderPlayer();
+  if (player.playing) requestAnimationFrame(playerFrame);
+}
+
+function renderPlayer() {
+  if (!player) return;
+  document.getElementById('player-play').textContent = player.playing ? '⏸' : '▶';
+  document.getElementById('player-seek').value = player.time;
+  document.getElementById('player-time').textContent =
+    `${formatPlayerTime(player.time)} / ${formatPlayerTime(player.duration)}`;
+  document.getElementById('player-typed').textContent = player.typed;
+}
+
+function formatPlayerTime(seconds) {
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
 }
 
 async function loadConfig() {
-  config = await ipcRenderer.invoke('get-config');
+  config = await serverControl.getConfig();
+  configProblems = await serverControl.getConfigProblems();
+  undoLabel = await serverControl.getConfigUndo();
+  alertSettings = await serverControl.getAlertSettings();
+  watchdogStates = await serverControl.getWatchdogStates();
+  ({ profiles, run: profileRun } = await serverControl.getProfiles());
+  connectionInfo = await serverControl.getConnectionInfo();
+}
+
+function serverProblems(serverName, level = null) {
+  return configProblems.filter(p => p.server === serverName && (!level || p.level === level));
+}
+
+function describeProblem(problem) {
+  return `${problem.server ? `${problem.server}: ` : ''}${problem.message}`;
+}
+
+// launchers.json problems: a banner on the board plus the full list in the
+// Settings tab
+function renderConfigProblems() {
+  const errorCount = configProblems.filter(p => p.level === 'error').length;
+  const banner = document.getElementById('config-problems-banner');
+  if (banner) {
+    banner.style.display = errorCount ? 'block' : 'none';
+    banner.textContent = `launchers.json has ${errorCount} error${errorCount === 1 ? '' : 's'}. ` +
+      'Affected servers are disabled; see Settings for details.';
+  }
+
+  const list = document.getElementById('config-problems-list');
+  if (!list) return;
+  list.innerHTML = '';
+  if (configProblems.length === 0) {
+    const item = document.createElement('li');
+    item.textContent = 'No problems found.';
+    list.appendChild(item);
+    return;
+  }
+  configProblems.forEach(problem => {
+    const item = document.createElement('li');
+    item.className = `config-problem-${problem.level}`;
+    item.textContent = describeProblem(problem);
+    if (problem.server && config[problem.server]) {
+      item.title = 'Click to edit this server';
+      item.onclick = () => openServerModal(problem.server);
+    }
+    list.appendChild(item);
+  });
+}
+
+// Host name to use for HTTP: the HostName resolved through ~/.ssh/config, so
+// that ssh aliases work for the web UI and status checks too
+function httpHost(serverName) {
+  const info = connectionInfo[serverName];
+  return info ? info.host : config[serverName].host;
+}
+
+// Effective SSH parameters (after ~/.ssh/config) for the server card
+function formatConnectionInfo(serverName) {
+  const serverConfig = config[serverName];
+  const info = connectionInfo[serverName];
+  if (!info) {
+    return `SSH: ${serverConfig.username || '?'}@${serverConfig.host}`;
+  }
+  const port = info.port !== 22 ? `:${info.port}` : '';
+  const alias = info.alias !== info.host ? ` (${info.alias})` : '';
+  const jumps = info.jumps.length ? ` via ${formatJumpHosts(info.jumps)}` : '';
+  const keys = info.identityFiles.map(file => file.split(/[\\/]/).pop()).join(', ');
+  return `SSH: ${info.username}@${info.host}${port}${alias}${jumps}, key: ${keys}`;
+}
+
+// Passphrase requests from the main process are shown one at a time
+const passphraseQueue = [];
+
+function showNextPassphraseRequest() {
+  const modal = document.getElementById('passphrase-modal');
+  const request = passphraseQueue[0];
+  if (!request) {
+    modal.style.display = 'none';
+    return;
+  }
+  document.getElementById('passphrase-label').textContent = `Passphrase for ${request.keyPath}:`;
+  document.getElementById('passphrase-error').textContent = request.error || '';
+  const input = document.getElementById('passphrase-input');
+  input.value = '';
+  modal.style.display = 'block';
+  input.focus();
+}
+
+function answerPassphraseRequest(passphrase) {
+  const request = passphraseQueue.shift();
+  if (request) {
+    serverControl.answerPassphrase({ id: request.id, passphrase });
+  }
+  showNextPassphraseRequest();
+}
+
+serverControl.onPassphraseRequest((request) => {
+  passphraseQueue.push(request);
+  if (passphraseQueue.length === 1) {
+    showNextPassphraseRequest();
+  }
+});
+
+function updateUndoButton() {
+  const button = document.getElementById('undo-config-btn');
+  button.disabled = !undoLabel;
+  button.textContent = undoLabel ? `Undo ${undoLabel}` : 'Undo';
+}
+
+async function undoConfigChange() {
+  const result = await serverControl.undoConfigChange();
+  if (!result.success && !result.conflict) {
+    alert(`Undo failed: ${result.error}`);
+  }
+  await loadConfig();
+  renderServers();
+  (await serverControl.getRecordingServers()).forEach(name => recordingServers.add(name));
+}
+
+// Backups of launchers.json in the Settings tab
+async function loadConfigBackups() {
+  const { keep, backups } = await serverControl.getConfigBackups();
+  document.getElementById('config-backup-count').value = keep;
+  const preview = document.getElementById('config-backup-preview');
+  preview.style.display = 'none';
+
+  const list = document.getElementById('config-backup-list');
+  list.innerHTML = '';
+  if (backups.length === 0) {
+    const item = document.createElement('li');
+    item.textContent = 'No backups yet.';
+    list.appendChild(item);
+    return;
+  }
+  backups.forEach(backup => {
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    label.textContent = `${new Date(backup.time).toLocaleString()} (${backup.size} bytes) `;
+    item.appendChild(label);
+
+    const previewButton = document.createElement('button');
+    previewButton.textContent = 'Preview';
+    previewButton.onclick = () => previewConfigBackup(backup.name);
+    item.appendChild(previewButton);
+
+    const restoreButton = document.createElement('button');
+    restoreButton.textContent = 'Restore';
+    restoreButton.onclick = () => restoreConfigBackup(backup);
+    item.appendChild(restoreButton);
+    list.appendChild(item);
+  });
+}
+
+// Show what restoring a backup would change
+async function previewConfigBackup(name) {
+  const result = await serverControl.previewConfigBackup(name);
+  if (!result.success) {
+    alert(`Unable to read backup: ${result.error}`);
+    return;
+  }
+  const preview = document.getElementById('config-backup-preview');
+  if (result.diff.some(line => line.type !== 'same')) {
+    renderDiff(preview, result.diff);
+  } else {
+    preview.textContent = 'This backup is identical to the current file.';
+  }
+  preview.style.display = 'block';
+}
+
+async function restoreConfigBackup(backup) {
+  if (!confirm(`Restore launchers.json from the backup of ${new Date(backup.time).toLocaleString()}? ` +
+               'The current file is backed up first.')) {
+    return;
+  }
+  const result = await serverControl.restoreConfigBackup(backup.name);
+  if (!result.success) {
+    alert(`Restore failed: ${result.error}`);
+  }
+  await loadConfig();
+  renderServers();
+  await loadConfigBackups();
+}
+
+async function setConfigBackupCount() {
+  const keep = parseInt(document.getElementById('config-backup-count').value, 10);
+  if (!Number.isInteger(keep) || keep < 0) {
+    alert('Enter the number of backups to keep (0 or more)');
+    return;
+  }
+  const result = await serverControl.setConfigBackupCount(keep);
+  if (!result.success) {
+    alert(`Failed to save the backup setting: ${result.error}`);
+  }
+  await loadConfigBackups();
+}
+
+// Lines from textDiff.diffLines, marked and coloured like a unified diff
+function renderDiff(element, diff) {
+  const marks = { same: ' ', remove: '-', add: '+' };
+  element.innerHTML = '';
+  diff.forEach(({ type, text }) => {
+    const line = document.createElement('div');
+    line.className = `diff-${type}`;
+    line.textContent = `${marks[type]} ${text}`;
+    element.appendChild(line);
+  });
+}
+
+// Alerts raised by the main process (alertMonitor.js) stay on screen, with
+// the alarm and title flashing, until acknowledged
+function raiseAlert(alert) {
+  activeAlerts.push(alert);
+  renderAlertBanner();
+  if (alert.notify) {
+    const notification = new Notification(`AFL Andon: ${alert.label}`, {
+      body: alert.message,
+      requireInteraction: alert.severity === 'critical'
+    });
+    notification.onclick = () => serverControl.showWindow();
+  }
+  if (alert.alarm) startAlarm();
+  if (alert.flash) startTitleFlash();
+}
+
+function acknowledgeAlerts() {
+  activeAlerts.length = 0;
+  renderAlertBanner();
+  stopAlarm();
+  stopTitleFlash();
+  serverControl.acknowledgeAlerts();
+}
+
+function renderAlertBanner() {
+  const banner = document.getElementById('alert-banner');
+  banner.style.display = activeAlerts.length ? 'flex' : 'none';
+  const list = document.getElementById('alert-list');
+  list.innerHTML = '';
+  activeAlerts.forEach(alert => {
+    const item = document.createElement('li');
+    item.className = `alert-${alert.severity}`;
+    item.textContent = `${new Date(alert.time).toLocaleTimeString()} ${alert.message}`;
+    list.appendChild(item);
+  });
+}
+
+// Two-tone beep, repeated every 2 s while the alarm is on
+function playAlarmTone() {
+  if (!audioContext) audioContext = new AudioContext();
+  const now = audioContext.currentTime;
+  [880, 660].forEach((frequency, i) => {
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    oscillator.type = 'square';
+    oscillator.frequency.value = frequency;
+    gain.gain.value = 0.1;
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start(now + i * 0.3);
+    oscillator.stop(now + i * 0.3 + 0.25);
+  });
+}
+
+function startAlarm() {
+  if (alarmTimer) return;
+  playAlarmTone();
+  alarmTimer = setInterval(playAlarmTone, 2000);
+}
+
+function stopAlarm() {
+  clearInterval(alarmTimer);
+  alarmTimer = null;
+}
+
+function startTitleFlash() {
+  if (titleFlashTimer) return;
+  let on = false;
+  titleFlashTimer = setInterval(() => {
+    on = !on;
+    document.title = on ? `⚠ ALERT – ${APP_TITLE}` : APP_TITLE;
+  }, 1000);
+}
+
+function stopTitleFlash() {
+  clearInterval(titleFlashTimer);
+  titleFlashTimer = null;
+  document.title = APP_TITLE;
 }
 
+serverControl.onAlert((alert) => raiseAlert(alert));
+
+function isServerMuted(serverName) {
+  const settings = alertSettings.servers[serverName];
+  return !!(settings && settings.muted);
+}
+
+async function toggleServerAlertMute(serverName) {
+  const servers = { ...alertSettings.servers };
+  servers[serverName] = { ...servers[serverName], muted: !isServerMuted(serverName) };
+  const result = await serverControl.setAlertSettings({ servers });
+  if (!result.success && !result.conflict) {
+    alert(`Failed to save alert settings: ${result.error}`);
+  }
+  await loadConfig();
+  renderServers();
+}
+
+function createCheckboxCell(row, checked, className) {
+  const input = document.createElement('input');
+  input.type = 'checkbox';
+  input.checked = checked;
+  input.className = className;
+  row.insertCell().appendChild(input);
+  return input;
+}
+
+// Alert rules and per-server overrides in the Settings tab
+function renderAlertSettings() {
+  const rulesBody = document.querySelector('#alert-rules-table tbody');
+  rulesBody.innerHTML = '';
+  alertSettings.rules.forEach(rule => {
+    const row = rulesBody.insertRow();
+    row.dataset.rule = rule.id;
+    row.insertCell().textContent = `${rule.label} (${rule.severity})`;
+    ['enabled', 'notify', 'alarm', 'flash'].forEach(flag => createCheckboxCell(row, rule[flag], `rule-${flag}`));
+    const debounce = document.createElement('input');
+    debounce.type = 'number';
+    debounce.min = '0';
+    debounce.step = '0.5';
+    debounce.className = 'rule-debounce';
+    debounce.value = rule.debounce / 1000;
+    row.insertCell().appendChild(debounce);
+  });
+
+  const serversTable = document.getElementById('alert-servers-table');
+  serversTable.tHead.innerHTML = '';
+  const header = serversTable.tHead.insertRow();
+  ['Server', 'Muted', ...alertSettings.rules.map(rule => rule.label)].forEach(text => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    header.appendChild(th);
+  });
+  const serversBody = serversTable.tBodies[0];
+  serversBody.innerHTML = '';
+  Object.keys(config).sort().forEach(serverName => {
+    const settings = alertSettings.servers[serverName] || {};
+    const serverRules = settings.rules || {};
+    const row = serversBody.insertRow();
+    row.dataset.server = serverName;
+    row.insertCell().textContent = serverName;
+    createCheckboxCell(row, !!settings.muted, 'server-muted');
+    alertSettings.rules.forEach(rule => {
+      createCheckboxCell(row, serverRules[rule.id] !== false, 'server-rule').dataset.rule = rule.id;
+    });
+  });
+}
+
+function renderAlertChannels() {
+  const body = document.querySelector('#alert-channels-table tbody');
+  body.innerHTML = '';
+  if (!alertSettings.channels.length) {
+    const cell = body.insertRow().insertCell();
+    cell.colSpan = 5;
+    cell.textContent = 'No channels configured';
+  }
+  alertSettings.channels.forEach(channel => {
+    const row = body.insertRow();
+    row.dataset.channel = channel.name;
+    row.insertCell().textContent = channel.name;
+    row.insertCell().textContent = channel.type;
+    row.insertCell().textContent = channel.target;
+    const button = document.createElement('button');
+    button.textContent = 'Send Test';
+    button.onclick = () => sendTestAlert(channel.name);
+    row.insertCell().appendChild(button);
+    row.insertCell().className = 'test-result';
+  });
+  document.getElementById('send-test-alert-btn').disabled = !alertSettings.channels.length;
+}
+
+async function sendTestAlert(channelName = null) {
+  const rows = document.querySelectorAll('#alert-channels-table tbody tr[data-channel]');
+  rows.forEach(row => {
+    if (!channelName || row.dataset.channel === channelName) {
+      row.querySelector('.test-result').textContent = 'Sending...';
+    }
+  });
+  const results = await serverControl.sendTestAlert(channelName);
+  results.forEach(result => {
+    const row = document.querySelector(`#alert-channels-table tr[data-channel="${CSS.escape(result.channel)}"]`);
+    if (!row) return;
+    const cell = row.querySelector('.test-result');
+    cell.textContent = result.success ? 'Sent' : result.error;
+    cell.className = `test-result ${result.success ? 'test-ok' : 'test-failed'}`;
+  });
+}
+
+async function saveAlertSettings() {
+  const rules = {};
+  document.querySelectorAll('#alert-rules-table tbody tr').forEach(row => {
+    const seconds = parseFloat(row.querySelector('.rule-debounce').value);
+    rules[row.dataset.rule] = {
+      enabled: row.querySelector('.rule-enabled').checked,
+      notify: row.querySelector('.rule-notify').checked,
+      alarm: row.querySelector('.rule-alarm').checked,
+      flash: row.querySelector('.rule-flash').checked,
+      debounce: Number.isFinite(seconds) && seconds >= 0 ? Math.round(seconds * 1000) : 0
+    };
+  });
+
+  // Only overrides are stored; servers without any are left out
+  const servers = {};
+  document.querySelectorAll('#alert-servers-table tbody tr').forEach(row => {
+    const settings = {};
+    if (row.querySelector('.server-muted').checked) settings.muted = true;
+    row.querySelectorAll('.server-rule').forEach(input => {
+      if (!input.checked) {
+        settings.rules = { ...settings.rules, [input.dataset.rule]: false };
+      }
+    });
+    if (Object.keys(settings).length) servers[row.dataset.server] = settings;
+  });
+
+  const result = await serverControl.setAlertSettings({ rules, servers });
+  if (result.success) {
+    alert('Alert settings saved');
+  } else if (!result.conflict) {
+    alert(`Failed to save alert settings: ${result.error}`);
+  }
+  await loadConfig();
+  renderServers();
+  renderAlertSettings();
+}
+
+// launchers.json was reloaded after a change on disk
+serverControl.onConfigUpdated(async () => {
+  await loadConfig();
+  renderServers();
+});
+
+// launchers.json changed on disk while the app had changes of its own: show
+// both versions and let the user pick one
+function showConfigConflict({ configPath, diff }) {
+  document.getElementById('config-conflict-path').textContent = configPath;
+  renderDiff(document.getElementById('config-conflict-diff'), diff);
+  document.getElementById('config-conflict-modal').style.display = 'block';
+}
+
+async function resolveConfigConflict(choice) {
+  document.getElementById('config-conflict-modal').style.display = 'none';
+  const result = await serverControl.resolveConfigConflict(choice);
+  if (!result.success) {
+    alert(`Failed to resolve the conflict: ${result.error}`);
+  }
+  await loadConfig();
+  renderServers();
+}
+
+serverControl.onConfigConflict((conflict) => showConfigConflict(conflict));
+
 async function loadAflConfig() {
   if (!selectedAflHost) return;
   console.log(`Loading AFL config from ${selectedAflHost}`);
-  const result = await ipcRenderer.invoke('get-afl-config', selectedAflHost);
+  const result = await serverControl.getAflConfig(selectedAflHost);
   if (!result.success) {
     console.error('Failed to load AFL config:', result.error);
     alert(`Failed to load config: ${result.error}`);
@@ -163,7 +1081,7 @@ async function saveAflConfig() {
     aflConfig = aflConfigEditor.get();
   }
   console.log(`Saving AFL config to ${selectedAflHost}`);
-  const res = await ipcRenderer.invoke('save-afl-config', selectedAflHost, aflConfig);
+  const res = await serverControl.saveAflConfig(selectedAflHost, aflConfig);
   if (res && res.success) {
     alert('Settings saved');
   } else {
@@ -174,106 +1092,536 @@ async function saveAflConfig() {
   await loadAflConfig();
 }
 
-function populateAflHostSelect() {
-  const select = document.getElementById('config-host-select');
-  if (!select) return;
-  select.innerHTML = '';
-  const hosts = Array.from(new Set(Object.values(config || {}).map(c => c.host)));
-  hosts.forEach(h => {
-    const opt = document.createElement('option');
-    opt.value = h;
-    opt.textContent = h;
-    select.appendChild(opt);
+function populateAflHostSelect() {
+  const select = document.getElementById('config-host-select');
+  if (!select) return;
+  select.innerHTML = '';
+  const hosts = Array.from(new Set(Object.values(config || {}).map(c => c.host)));
+  hosts.forEach(h => {
+    const opt = document.createElement('option');
+    opt.value = h;
+    opt.textContent = h;
+    select.appendChild(opt);
+  });
+  if (hosts.length && !selectedAflHost) {
+    selectedAflHost = hosts[0];
+    select.value = selectedAflHost;
+  }
+  select.onchange = async () => {
+    selectedAflHost = select.value;
+    await loadAflConfig();
+  };
+}
+
+
+// Asked by the main process, which times the requests for the metrics
+async function fetchQueueState(serverName) {
+  if (!config[serverName]) return { ok: false, state: null };
+  return serverControl.fetchQueueState(serverName);
+}
+
+async function updateServerStatus(serverName) {
+  try {
+    // For individual status updates (e.g. after server control operations),
+    // we still use direct status check
+    const result = await serverControl.getServerStatus(serverName);
+    const queueResult = await fetchQueueState(serverName);
+
+    updateServerStatusUI(serverName, result, queueResult);
+  } catch (error) {
+    console.error(`Error getting status for ${serverName}:`, error);
+  }
+}
+
+// Update the UI with status information
+function updateServerStatusUI(serverName, screenResult, queueResult) {
+  const screenStatusElement = document.getElementById(`${serverName}-screen-status`);
+  const httpStatusElement = document.getElementById(`${serverName}-http-status`);
+  const container = document.getElementById(`${serverName}-container`);
+
+  if (container) {
+    container.classList.toggle('host-key-changed', !!screenResult.hostKeyChanged);
+  }
+
+  if (screenStatusElement) {
+    const showError = screenResult.hostKeyChanged || screenResult.invalidConfig;
+    screenStatusElement.title = showError ? (screenResult.error || '') : '';
+    if (screenResult.invalidConfig) {
+      screenStatusElement.textContent = 'CONFIG ERROR';
+      screenStatusElement.className = 'status-indicator status-config-error';
+    } else if (screenResult.hostKeyChanged) {
+      // Deliberately louder than SSH DOWN: this may be a spoofed machine
+      screenStatusElement.textContent = 'HOST KEY CHANGED';
+      screenStatusElement.className = 'status-indicator status-hostkey';
+    } else if (screenResult.sshDown) {
+      screenStatusElement.textContent = 'SSH DOWN';
+      screenStatusElement.className = 'status-indicator status-down';
+    } else if (watchdogStates[serverName] && watchdogStates[serverName].crashLoop) {
+      screenStatusElement.textContent = 'CRASH LOOP';
+      screenStatusElement.className = 'status-indicator status-crash-loop';
+    } else {
+      const backend = ((config && config[serverName] && config[serverName].backend) || 'screen').toUpperCase();
+      screenStatusElement.textContent = `${backend} ${screenResult.status ? 'ACTIVE' : 'INACTIVE'}`;
+      screenStatusElement.className = `status-indicator ${screenResult.status ? 'status-up' : 'status-down'}`;
+    }
+  }
+  
+  if (httpStatusElement) {
+    if (queueResult.ok) {
+      const serverCfg = config[serverName] || {};
+      const text = serverCfg.device ? 'UP' : queueResult.state;
+      httpStatusElement.textContent = text;
+      httpStatusElement.className = 'status-indicator status-up';
+    } else {
+      httpStatusElement.textContent = 'UNREACHABLE';
+      httpStatusElement.className = 'status-indicator status-down';
+    }
+  }
+
+  updateTabStatus(serverName, queueResult);
+  recordServerStatus(serverName, screenResult, queueResult);
+}
+
+// Startup profiles: the bar above the cards picks one, the run panel below
+// it follows the latest start or stop
+function renderProfileBar() {
+  const bar = document.getElementById('profile-bar');
+  bar.style.display = profiles.length ? 'flex' : 'none';
+  const select = document.getElementById('profile-select');
+  const selected = select.value;
+  select.innerHTML = '';
+  profiles.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.name;
+    option.textContent = profile.name;
+    option.title = profile.description;
+    select.appendChild(option);
+  });
+  if (profiles.some(profile => profile.name === selected)) select.value = selected;
+  renderProfileOrder();
+}
+
+function renderProfileOrder() {
+  const profile = profiles.find(p => p.name === document.getElementById('profile-select').value);
+  const order = document.getElementById('profile-order');
+  const running = !!(profileRun && profileRun.status === 'running');
+  const usable = profile && !profile.error;
+  document.getElementById('start-profile-btn').disabled = !usable || running;
+  document.getElementById('stop-profile-btn').disabled = !usable || running;
+  if (!profile) {
+    order.textContent = '';
+  } else if (profile.error) {
+    order.textContent = profile.error;
+    order.className = 'profile-error';
+  } else {
+    order.textContent = profile.servers.map(entry => entry.server).join(' → ');
+    order.title = profile.servers
+      .map(entry => `${entry.server}: after ${entry.dependsOn.join(', ') || 'nothing'}, ready when ${entry.ready}`)
+      .join('\n');
+    order.className = '';
+  }
+}
+
+async function runProfile(action) {
+  const profileName = document.getElementById('profile-select').value;
+  const profile = profiles.find(p => p.name === profileName);
+  if (!profile) return;
+  if (action === 'stop') {
+    const names = profile.servers.map(entry => entry.server).reverse().join(', ');
+    if (!confirm(`Stop ${names}?`)) return;
+  }
+  const result = action === 'stop'
+    ? await serverControl.stopProfile(profileName)
+    : await serverControl.startProfile(profileName);
+  if (!result.success) {
+    alert(`Unable to ${action} profile ${profileName}: ${result.error}`);
+  }
+}
+
+const PROFILE_RUN_TITLES = {
+  running: { start: 'Starting', stop: 'Stopping' },
+  done: { start: 'Started', stop: 'Stopped' },
+  failed: { start: 'Failed to start', stop: 'Failed to stop' },
+  cancelled: { start: 'Cancelled starting', stop: 'Cancelled stopping' }
+};
+
+function renderProfileRun() {
+  const panel = document.getElementById('profile-run-panel');
+  if (!profileRun || profileRun.id === dismissedProfileRun) {
+    panel.style.display = 'none';
+    return;
+  }
+  panel.style.display = 'block';
+  panel.className = `profile-run-${profileRun.status}`;
+  document.getElementById('profile-run-title').textContent =
+    `${PROFILE_RUN_TITLES[profileRun.status][profileRun.action]} profile "${profileRun.profile}"` +
+    (profileRun.error ? `: ${profileRun.error}` : '');
+  document.getElementById('cancel-profile-run-btn').style.display = profileRun.status === 'running' ? 'inline-block' : 'none';
+  document.getElementById('close-profile-run-btn').style.display = profileRun.status === 'running' ? 'none' : 'inline-block';
+
+  const body = document.querySelector('#profile-run-steps tbody');
+  body.innerHTML = '';
+  profileRun.steps.forEach(step => {
+    const row = body.insertRow();
+    row.className = `profile-step-${step.state}`;
+    [step.server, step.state, step.message].forEach(text => {
+      row.insertCell().textContent = text;
+    });
+  });
+}
+
+serverControl.onProfileRun((run) => {
+  // Refresh the cards of servers that have just been started or stopped
+  const previous = profileRun && profileRun.id === run.id ? profileRun.steps : [];
+  run.steps.forEach((step, i) => {
+    const before = previous[i] && previous[i].state;
+    if (step.state !== before && ['ready', 'stopped', 'failed'].includes(step.state)) {
+      updateServerStatus(step.server);
+    }
+  });
+  profileRun = run;
+  renderProfileRun();
+  renderProfileOrder();
+});
+
+// Multi-select on the board. The selection bar picks servers by host or tag
+// and runs an action on all of them through the bulk dialog.
+function setServerSelected(serverName, selected) {
+  if (selected) selectedServers.add(serverName);
+  else selectedServers.delete(serverName);
+  const checkbox = document.querySelector(`.select-server[data-server="${CSS.escape(serverName)}"]`);
+  if (checkbox) checkbox.checked = selected;
+  const container = document.getElementById(`${serverName}-container`);
+  if (container) container.classList.toggle('selected', selected);
+}
+
+// Select exactly `serverNames`, or add them to the selection
+function selectServers(serverNames, { add = false } = {}) {
+  if (!add) Array.from(selectedServers).forEach(name => setServerSelected(name, false));
+  serverNames.forEach(name => setServerSelected(name, true));
+  renderSelectionBar();
+}
+
+function activeServerNames() {
+  return Object.keys(config).filter(name => config[name].active).sort();
+}
+
+function renderSelectionBar() {
+  // Forget servers that are gone or no longer shown
+  Array.from(selectedServers).forEach(name => {
+    if (!config[name] || !config[name].active) selectedServers.delete(name);
+  });
+  const names = activeServerNames();
+
+  const hostSelect = document.getElementById('select-by-host');
+  hostSelect.innerHTML = '<option value="">Host…</option>';
+  Array.from(new Set(names.map(name => config[name].host))).sort().forEach(host => {
+    const option = document.createElement('option');
+    option.value = host;
+    option.textContent = host;
+    hostSelect.appendChild(option);
+  });
+
+  const tagSelect = document.getElementById('select-by-tag');
+  tagSelect.innerHTML = '<option value="">Tag…</option>';
+  const tags = new Set(names.flatMap(name => config[name].tags || []));
+  Array.from(tags).sort().forEach(tag => {
+    const option = document.createElement('option');
+    option.value = tag;
+    option.textContent = tag;
+    tagSelect.appendChild(option);
+  });
+  tagSelect.style.display = tags.size ? 'inline-block' : 'none';
+
+  const count = selectedServers.size;
+  document.getElementById('selection-count').textContent = count
+    ? `${count} selected: ${Array.from(selectedServers).sort().join(', ')}`
+    : 'No servers selected';
+  ['bulk-start-btn', 'bulk-stop-btn', 'bulk-restart-btn'].forEach(id => {
+    document.getElementById(id).disabled = count === 0;
+  });
+}
+
+async function runBulkAction(action, serverNames = Array.from(selectedServers).sort()) {
+  if (!serverNames.length) return;
+  if (action !== 'start' && !confirm(`${action === 'stop' ? 'Stop' : 'Restart'} ${serverNames.join(', ')}?`)) {
+    return;
+  }
+  bulkRun = { action, status: 'running', results: serverNames.map(server => ({ server, state: 'pending', error: null })) };
+  renderBulkRun();
+  document.getElementById('bulk-modal').style.display = 'block';
+
+  const result = await serverControl.bulkAction({ action, servers: serverNames });
+  if (!result.success) {
+    bulkRun = null;
+    closeBulkModal();
+    alert(`Unable to ${action} servers: ${result.error}`);
+    return;
+  }
+  bulkRun = result.run;
+  renderBulkRun();
+  serverNames.forEach(updateServerStatus);
+}
+
+function renderBulkRun() {
+  if (!bulkRun) return;
+  const done = bulkRun.results.filter(result => result.state === 'ok' || result.state === 'failed').length;
+  const failed = bulkRun.results.filter(result => result.state === 'failed');
+  const verb = { start: 'Starting', stop: 'Stopping', restart: 'Restarting' }[bulkRun.action];
+  document.getElementById('bulk-title').textContent = bulkRun.status === 'running'
+    ? `${verb} ${bulkRun.results.length} servers (${done} done)`
+    : `${verb.replace(/ing$/, '')}: ${done - failed.length} ok, ${failed.length} failed`;
+
+  const body = document.querySelector('#bulk-results tbody');
+  body.innerHTML = '';
+  bulkRun.results.forEach(result => {
+    const row = body.insertRow();
+    row.className = `bulk-${result.state}`;
+    const host = config[result.server] ? config[result.server].host : '';
+    [result.server, host, result.state, result.error || ''].forEach(text => {
+      row.insertCell().textContent = text;
+    });
+  });
+
+  const retryButton = document.getElementById('bulk-retry-btn');
+  retryButton.style.display = bulkRun.status === 'done' && failed.length ? 'inline-block' : 'none';
+  retryButton.textContent = `Retry ${failed.length} Failed`;
+}
+
+function retryFailedBulk() {
+  if (!bulkRun) return;
+  const failed = bulkRun.results.filter(result => result.state === 'failed').map(result => result.server);
+  runBulkAction(bulkRun.action, failed);
+}
+
+function closeBulkModal() {
+  if (bulkRun && bulkRun.status === 'running') return; // stays up until done
+  document.getElementById('bulk-modal').style.display = 'none';
+}
+
+serverControl.onBulkProgress((run) => {
+  bulkRun = run;
+  renderBulkRun();
+});
+
+async function loadBulkConcurrency() {
+  document.getElementById('bulk-concurrency').value = await serverControl.getBulkConcurrency();
+}
+
+async function setBulkConcurrency() {
+  const concurrency = parseInt(document.getElementById('bulk-concurrency').value, 10);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    alert('Enter how many servers to act on at once (1 or more)');
+    return;
+  }
+  const result = await serverControl.setBulkConcurrency(concurrency);
+  if (!result.success && !result.conflict) {
+    alert(`Failed to save the bulk action setting: ${result.error}`);
+  }
+  await loadBulkConcurrency();
+}
+
+// Watchdog line on a server card: last automatic action, or the crash loop
+function renderWatchdogState(serverName) {
+  const element = document.getElementById(`${serverName}-watchdog`);
+  const state = watchdogStates[serverName];
+  if (!element) return;
+  if (!state || !state.enabled) {
+    element.style.display = 'none';
+    return;
+  }
+  element.style.display = 'block';
+  element.classList.toggle('watchdog-crash-loop', state.crashLoop);
+  const last = state.lastAction;
+  if (state.crashLoop) {
+    element.textContent = `Watchdog gave up after ${state.restartsLastHour} restarts in an hour; start it by hand to try again`;
+    const screenStatusElement = document.getElementById(`${serverName}-screen-status`);
+    if (screenStatusElement) {
+      screenStatusElement.textContent = 'CRASH LOOP';
+      screenStatusElement.className = 'status-indicator status-crash-loop';
+    }
+  } else if (last && last.action === 'restart') {
+    element.textContent = `Watchdog restarted it at ${new Date(last.time).toLocaleTimeString()} ` +
+      `(${last.reason}${last.success ? '' : `, failed: ${last.error}`}); ${state.restartsLastHour} in the last hour`;
+  } else {
+    element.textContent = 'Watchdog on';
+  }
+}
+
+serverControl.onWatchdogState((state) => {
+  watchdogStates[state.server] = state;
+  renderWatchdogState(state.server);
+});
+
+// Status as stored in the history: see statusHistory.js for the values
+function historyStatus(serverName, screenResult, queueResult) {
+  let screen;
+  if (screenResult.invalidConfig) screen = 'config-error';
+  else if (screenResult.hostKeyChanged) screen = 'host-key-changed';
+  else if (screenResult.sshDown) screen = 'ssh-down';
+  else screen = screenResult.status ? 'active' : 'inactive';
+
+  let queue = 'unreachable';
+  if (queueResult && queueResult.ok) {
+    const serverCfg = config[serverName] || {};
+    queue = serverCfg.device ? 'up' : (queueResult.state || 'unknown').toLowerCase();
+  }
+  return { screen, queue };
+}
+
+// Send status changes to the main process for the history, and refresh the
+// card timelines shortly afterwards
+function recordServerStatus(serverName, screenResult, queueResult) {
+  const status = historyStatus(serverName, screenResult, queueResult);
+  const last = lastRecordedStatus[serverName];
+  if (last && last.screen === status.screen && last.queue === status.queue) return;
+  lastRecordedStatus[serverName] = status;
+  serverControl.recordStatus({ serverName, ...status });
+  clearTimeout(timelineRefreshTimer);
+  timelineRefreshTimer = setTimeout(refreshStatusTimelines, 1000);
+}
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours} h ${minutes % 60} min`;
+  return `${Math.floor(hours / 24)} d ${hours % 24} h`;
+}
+
+function formatUptime(uptime) {
+  return uptime.ratio === null ? 'no data' : `${(uptime.ratio * 100).toFixed(1)}%`;
+}
+
+// Coloured strip of the server's states over the last TIMELINE_WINDOW
+function renderTimeline(element, segments, since, until) {
+  element.innerHTML = '';
+  segments.forEach(segment => {
+    const part = document.createElement('div');
+    part.className = `timeline-segment timeline-${segment.state}`;
+    part.style.width = `${((segment.end - segment.start) / (until - since)) * 100}%`;
+    const detail = segment.screen ? ` (screen ${segment.screen}, queue ${segment.queue})` : '';
+    part.title = `${segment.state}${detail}\n${new Date(segment.start).toLocaleString()} – ` +
+                 `${new Date(segment.end).toLocaleString()} (${formatDuration(segment.end - segment.start)})`;
+    element.appendChild(part);
   });
-  if (hosts.length && !selectedAflHost) {
-    selectedAflHost = hosts[0];
-    select.value = selectedAflHost;
-  }
-  select.onchange = async () => {
-    selectedAflHost = select.value;
-    await loadAflConfig();
-  };
 }
 
+async function refreshStatusTimelines() {
+  const until = Date.now();
+  const since = until - TIMELINE_WINDOW;
+  const summary = await serverControl.getStatusSummary({ since, until });
+  Object.entries(summary).forEach(([serverName, { segments, uptime }]) => {
+    const timelineElement = document.getElementById(`${serverName}-timeline`);
+    const uptimeElement = document.getElementById(`${serverName}-uptime`);
+    if (timelineElement) renderTimeline(timelineElement, segments, since, until);
+    if (uptimeElement) uptimeElement.textContent = `Uptime (24 h): ${formatUptime(uptime)}`;
+  });
+}
 
-async function fetchQueueState(serverName) {
-  const serverConfig = config[serverName];
-  if (!serverConfig) return { ok: false, state: null };
-  const url = serverConfig.status_url ||
-              `http://${serverConfig.host}:${serverConfig.httpPort}/queue_state`;
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), 500);
-  try {
-    const response = await fetchFn(url, { signal: controller.signal });
-    if (!response.ok) {
-      return { ok: false, state: null };
-    }
-    if (serverConfig.device) {
-      return { ok: true, state: null };
-    }
-    let state;
-    try {
-      state = (await response.text()).trim();
-    } catch (_) {
-      state = null;
-    }
-    return { ok: true, state };
-  } catch (err) {
-    // Treat network errors (e.g., connection refused) as unreachable
-    return { ok: false, state: null };
-  } finally {
-    clearTimeout(timer);
-  }
+function openHistoryModal(serverName = '') {
+  const select = document.getElementById('history-server');
+  select.innerHTML = '<option value="">All servers</option>';
+  Object.keys(config).sort().forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    select.appendChild(option);
+  });
+  select.value = serverName;
+  document.getElementById('history-modal').style.display = 'block';
+  loadStatusHistory();
 }
 
-async function updateServerStatus(serverName) {
-  try {
-    // For individual status updates (e.g. after server control operations),
-    // we still use direct status check
-    const result = await ipcRenderer.invoke('get-server-status', serverName);
-    const queueResult = await fetchQueueState(serverName);
+function closeHistoryModal() {
+  document.getElementById('history-modal').style.display = 'none';
+}
 
-    updateServerStatusUI(serverName, result, queueResult);
-  } catch (error) {
-    console.error(`Error getting status for ${serverName}:`, error);
+function historyRange() {
+  const range = document.getElementById('history-range').value;
+  const custom = range === 'custom';
+  document.getElementById('history-custom-range').style.display = custom ? 'inline' : 'none';
+  if (!custom) {
+    const until = Date.now();
+    return { since: until - Number(range), until };
   }
+  const from = Date.parse(document.getElementById('history-from').value);
+  const to = Date.parse(document.getElementById('history-to').value);
+  return { since: Number.isNaN(from) ? 0 : from, until: Number.isNaN(to) ? Date.now() : to };
 }
 
-// Update the UI with status information
-function updateServerStatusUI(serverName, screenResult, queueResult) {
-  const screenStatusElement = document.getElementById(`${serverName}-screen-status`);
-  const httpStatusElement = document.getElementById(`${serverName}-http-status`);
-  
-  if (screenStatusElement) {
-    if (screenResult.sshDown) {
-      screenStatusElement.textContent = 'SSH DOWN';
-      screenStatusElement.className = 'status-indicator status-down';
-    } else {
-      screenStatusElement.textContent = screenResult.status ? 'SCREEN ACTIVE' : 'SCREEN INACTIVE';
-      screenStatusElement.className = `status-indicator ${screenResult.status ? 'status-up' : 'status-down'}`;
-    }
+async function loadStatusHistory() {
+  const server = document.getElementById('history-server').value || null;
+  const { since, until } = historyRange();
+  const { entries, watchdog, uptime } = await serverControl.getStatusHistory({ server, since, until });
+
+  document.getElementById('history-uptime').textContent = Object.entries(uptime)
+    .map(([name, value]) => `${name}: ${formatUptime(value)}`)
+    .join(' · ');
+
+  const body = document.querySelector('#history-table tbody');
+  body.innerHTML = '';
+  if (entries.length === 0 && watchdog.length === 0) {
+    const row = body.insertRow();
+    const cell = row.insertCell();
+    cell.colSpan = 4;
+    cell.textContent = 'No status changes in this range.';
+    return;
   }
-  
-  if (httpStatusElement) {
-    if (queueResult.ok) {
-      const serverCfg = config[serverName] || {};
-      const text = serverCfg.device ? 'UP' : queueResult.state;
-      httpStatusElement.textContent = text;
-      httpStatusElement.className = 'status-indicator status-up';
-    } else {
-      httpStatusElement.textContent = 'UNREACHABLE';
-      httpStatusElement.className = 'status-indicator status-down';
+  const all = entries.concat(watchdog.map(action => ({ ...action, watchdog: true })));
+  all.sort((a, b) => b.time - a.time).forEach(entry => {
+    if (entry.watchdog) {
+      addWatchdogHistoryRow(body, entry);
+      return;
     }
-  }
+    const row = body.insertRow();
+    const cells = entry.event
+      ? [new Date(entry.time).toLocaleString(), '—', `App ${entry.event === 'start' ? 'started' : 'stopped'}`, '']
+      : [new Date(entry.time).toLocaleString(), entry.server, entry.screen, entry.queue];
+    row.className = entry.event ? 'history-marker' : `timeline-row-${entry.state}`;
+    cells.forEach(text => {
+      row.insertCell().textContent = text;
+    });
+  });
+}
 
-  updateTabStatus(serverName, queueResult);
+// A watchdog action; clicking it shows the log captured before the restart
+function addWatchdogHistoryRow(body, action) {
+  const row = body.insertRow();
+  row.className = 'history-watchdog';
+  const what = action.action === 'crash-loop'
+    ? `Watchdog: crash loop (${action.message})`
+    : `Watchdog restart #${action.attempt} (${action.reason})`;
+  const result = action.action === 'restart' ? (action.success ? 'ok' : `failed: ${action.error}`) : '';
+  [new Date(action.time).toLocaleString(), action.server, what, result].forEach(text => {
+    row.insertCell().textContent = text;
+  });
+  if (!action.log || !action.log.length) return;
+  row.title = 'Click to show the log before the restart';
+  row.classList.add('has-log');
+  row.onclick = () => {
+    const next = row.nextElementSibling;
+    if (next && next.classList.contains('watchdog-log-row')) {
+      next.remove();
+      return;
+    }
+    const logRow = document.createElement('tr');
+    logRow.className = 'watchdog-log-row';
+    const cell = logRow.insertCell();
+    cell.colSpan = 4;
+    const pre = document.createElement('pre');
+    pre.className = 'watchdog-log';
+    pre.textContent = action.log.join('\n');
+    cell.appendChild(pre);
+    row.after(logRow);
+  };
 }
 
 // Batch update server statuses by host
 async function batchUpdateServerStatuses() {
   try {
     // Get servers grouped by host, *but keep only active servers*.
-    const allByHost   = await ipcRenderer.invoke('get-servers-by-host');
+    const allByHost   = await serverControl.getServersByHost();
     const activeByHost = {};
 
     for (const [host, names] of Object.entries(allByHost)) {
@@ -285,21 +1633,22 @@ async function batchUpdateServerStatuses() {
 
     await Promise.all(
       Object.entries(activeByHost).map(async ([host, servers]) => {
-        const batchResult = await ipcRenderer.invoke(
-          'get-batch-server-status',
+        const batchResult = await serverControl.getBatchServerStatus(
           host
         );
 
         if (!batchResult.success) {
-          // If SSH is down for this host, update all servers on this host
+          // If SSH is down (or the host key changed) for this host, update
+          // all servers on this host
+          const screenStatus = batchResult.hostKeyChanged ? batchResult : { sshDown: true };
           servers.forEach(serverName => {
-            updateServerStatusUI(serverName, { sshDown: true }, false);
+            updateServerStatusUI(serverName, screenStatus, false);
           });
           return;
         }
 
         // For each server on this host, update its status based on the batch result
-        const sessions = batchResult.sessions;
+        const running = batchResult.running;
 
         await Promise.all(
           servers.map(async serverName => {
@@ -310,7 +1659,7 @@ async function batchUpdateServerStatuses() {
             }
             const screenStatus = {
               success: true,
-              status: sessions.includes(serverConfig.screen_name),
+              status: running.includes(serverName),
               sshDown: false
             };
 
@@ -336,9 +1685,15 @@ async function batchUpdateServerStatuses() {
 
 async function controlServer(serverName, action) {
   try {
-    const result = await ipcRenderer.invoke(`${action}-server`, serverName);
+    const result = await serverControl[`${action}Server`](serverName);
     if (result.success) {
       console.log(`${action} successful for ${serverName}`);
+    } else if (result.invalidConfig) {
+      console.error(`${action} refused for ${serverName}: ${result.error}`);
+      alert(`Cannot ${action} ${serverName}, its definition is invalid:\n${result.error}`);
+    } else if (result.hostKeyChanged) {
+      console.error(`${action} refused for ${serverName}: ${result.error}`);
+      alert(`Refusing to ${action} ${serverName}: ${result.error}`);
     } else if (result.sshDown) {
       console.log(`SSH is down for ${serverName}`);
     } else {
@@ -351,38 +1706,608 @@ async function controlServer(serverName, action) {
 }
 
 
+// The live log viewer: follows the server's screen log over SSH (`tail -F`)
+// until the modal is closed. Only the last LOG_MAX_LINES lines are kept.
+const LOG_BACKLOG_LINES = 1000;
+const LOG_MAX_LINES = 20000;
+let logView = null;
+let logSearchTimer = null;
+
 async function viewServerLog(serverName) {
+  closeLogModal();
+  logView = {
+    serverName,
+    id: null,
+    buffer: new LogBuffer({ maxLines: LOG_MAX_LINES }),
+    pending: [],
+    renderQueued: false,
+    follow: true,
+    unseen: 0,
+    ended: null
+  };
+  document.getElementById('log-title').textContent = `Server Log: ${serverName}`;
+  document.getElementById('log-content').innerHTML = '';
+  document.getElementById('log-modal').style.display = 'block';
+  await startLogStream();
+}
+
+async function startLogStream() {
+  const view = logView;
+  updateLogStatus('Connecting…');
   try {
-    const result = await ipcRenderer.invoke('get-server-log', serverName, 200); // Request 200 lines
+    const result = await serverControl.startLogStream({
+      serverName: view.serverName,
+      lines: LOG_BACKLOG_LINES
+    });
+    if (logView !== view) {
+      // Closed while connecting
+      if (result.success) serverControl.stopLogStream(result.id);
+      return;
+    }
     if (result.success) {
-      const logModal = document.getElementById('log-modal');
-      const logContent = document.getElementById('log-content');
-      const logTitle = document.getElementById('log-title');
+      view.id = result.id;
+    } else {
+      console.error(`Failed to follow log of ${view.serverName}: ${result.error}`);
+      view.ended = `Unable to follow log: ${result.error}`;
+    }
+  } catch (error) {
+    console.error(`Error following log of ${view.serverName}:`, error);
+    view.ended = `Unable to follow log: ${error.message}`;
+  }
+  updateLogStatus();
+}
+
+serverControl.onLogData(({ id, data }) => {
+  if (!logView || logView.id !== id) return;
+  const { added } = logView.buffer.push(data);
+  if (!added.length) return;
+  logView.pending.push(...added);
+  if (!logView.follow) logView.unseen += added.length;
+  if (!logView.renderQueued) {
+    // Draw once per frame however many chunks arrive
+    logView.renderQueued = true;
+    requestAnimationFrame(renderPendingLogLines);
+  }
+});
 
-      logTitle.textContent = `Server Log: ${serverName}`;
-      logContent.textContent = result.output;
+serverControl.onLogEnded(({ id, error }) => {
+  if (!logView || logView.id !== id) return;
+  logView.id = null;
+  logView.ended = error ? `Log stream ended: ${error}` : 'Log stream ended';
+  updateLogStatus();
+});
 
-      // Show the modal
-      logModal.style.display = 'block';
+function renderPendingLogLines() {
+  const view = logView;
+  if (!view) return;
+  view.renderQueued = false;
+  const logContent = document.getElementById('log-content');
+  const matcher = logSearchMatcher();
+  const onlyMatching = matcher && document.getElementById('log-search-filter').checked;
+  const fragment = document.createDocumentFragment();
+  view.pending.forEach((line) => {
+    // Lines dropped from the buffer before they were ever drawn
+    if (line.n < view.buffer.lines[0].n) return;
+    const ranges = matcher ? logMatchRanges(line.plain, matcher) : [];
+    if (!onlyMatching || ranges.length) fragment.appendChild(renderLogLine(line, ranges));
+  });
+  view.pending = [];
+  logContent.appendChild(fragment);
+  trimLogLines(logContent);
+  if (matcher) updateLogMatchCount();
+  if (view.follow) logContent.scrollTop = logContent.scrollHeight;
+  updateLogStatus();
+}
 
-      // Scroll to the bottom
-      logContent.scrollTop = logContent.scrollHeight;
-    } else if (result.sshDown) {
-      console.log(`SSH is down for ${serverName}`);
-      alert(`Unable to get log: SSH is down for ${serverName}`);
-    } else {
-      console.error(`Failed to get log for ${serverName}`);
-      alert(`Failed to get log for ${serverName}`);
-    }
+// Remove the elements of lines the buffer no longer holds, keeping the view
+// still if the user has scrolled up
+function trimLogLines(logContent) {
+  const first = logView.buffer.lines.length ? logView.buffer.lines[0].n : Infinity;
+  let removedHeight = 0;
+  while (logContent.firstElementChild && Number(logContent.firstElementChild.dataset.n) < first) {
+    removedHeight += logContent.firstElementChild.offsetHeight;
+    logContent.firstElementChild.remove();
+  }
+  if (!logView.follow && removedHeight) logContent.scrollTop -= removedHeight;
+}
+
+// One line as a <div> of coloured spans, with search matches in <mark>s.
+// `ranges` are [start, end) offsets into the line's plain text.
+function renderLogLine(line, ranges) {
+  const element = document.createElement('div');
+  element.className = line.level ? `log-line log-${line.level}` : 'log-line';
+  if (ranges.length) element.classList.add('log-match');
+  element.dataset.n = line.n;
+  let offset = 0;
+  parseAnsi(line.text).forEach(({ text, style }) => {
+    const span = document.createElement('span');
+    if (style.color) span.style.color = style.color;
+    if (style.background) span.style.backgroundColor = style.background;
+    if (style.bold) span.style.fontWeight = 'bold';
+    if (style.italic) span.style.fontStyle = 'italic';
+    if (style.underline) span.style.textDecoration = 'underline';
+    appendMarkedText(span, text, offset, ranges);
+    offset += text.length;
+    element.appendChild(span);
+  });
+  if (!line.text) element.textContent = ' '; // keep blank lines their height
+  return element;
+}
+
+// Append `text`, which starts at `offset` of the line, marking the parts
+// that fall within a match (a match may span several coloured spans)
+function appendMarkedText(parent, text, offset, ranges) {
+  let position = 0;
+  ranges.forEach(([start, end]) => {
+    const from = Math.max(start - offset, position);
+    const to = Math.min(end - offset, text.length);
+    if (to <= from) return;
+    if (from > position) parent.appendChild(document.createTextNode(text.slice(position, from)));
+    const mark = document.createElement('mark');
+    mark.textContent = text.slice(from, to);
+    parent.appendChild(mark);
+    position = to;
+  });
+  if (position < text.length) parent.appendChild(document.createTextNode(text.slice(position)));
+}
+
+// The search box as a global RegExp, or null when empty or invalid
+function logSearchMatcher() {
+  const query = document.getElementById('log-search').value;
+  const errorElement = document.getElementById('log-search-error');
+  errorElement.textContent = '';
+  if (!query) return null;
+  const isRegex = document.getElementById('log-search-regex').checked;
+  const flags = document.getElementById('log-search-case').checked ? 'g' : 'gi';
+  try {
+    return new RegExp(isRegex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), flags);
   } catch (error) {
-    console.error(`Error getting log for ${serverName}:`, error);
+    errorElement.textContent = error.message;
+    return null;
+  }
+}
+
+function logMatchRanges(text, matcher) {
+  const ranges = [];
+  matcher.lastIndex = 0;
+  let match;
+  while ((match = matcher.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      // An empty match (e.g. /x*/) would never move on
+      matcher.lastIndex++;
+      continue;
+    }
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+  return ranges;
+}
+
+// Redraw every buffered line for a changed search
+function rerenderLogLines() {
+  if (!logView) return;
+  const logContent = document.getElementById('log-content');
+  const matcher = logSearchMatcher();
+  const onlyMatching = matcher && document.getElementById('log-search-filter').checked;
+  const fragment = document.createDocumentFragment();
+  logView.buffer.lines.forEach((line) => {
+    const ranges = matcher ? logMatchRanges(line.plain, matcher) : [];
+    if (!onlyMatching || ranges.length) fragment.appendChild(renderLogLine(line, ranges));
+  });
+  logView.pending = [];
+  logContent.innerHTML = '';
+  logContent.appendChild(fragment);
+  updateLogMatchCount();
+  if (matcher && !onlyMatching) {
+    jumpToLogMatch(1);
+  } else if (logView.follow) {
+    logContent.scrollTop = logContent.scrollHeight;
+  }
+}
+
+function scheduleLogSearch() {
+  clearTimeout(logSearchTimer);
+  logSearchTimer = setTimeout(rerenderLogLines, 200);
+}
+
+function updateLogMatchCount() {
+  const count = document.getElementById('log-match-count');
+  if (!document.getElementById('log-search').value || document.getElementById('log-search-error').textContent) {
+    count.textContent = '';
+    return;
+  }
+  const lines = document.querySelectorAll('#log-content .log-match').length;
+  count.textContent = `${lines} matching line${lines === 1 ? '' : 's'}`;
+}
+
+// Scroll to the next (1) or previous (-1) matching line after the current one
+function jumpToLogMatch(direction) {
+  const matches = Array.from(document.querySelectorAll('#log-content .log-match'));
+  if (!matches.length) return;
+  const current = document.querySelector('#log-content .log-current');
+  let index = current ? matches.indexOf(current) + direction : (direction > 0 ? 0 : matches.length - 1);
+  index = (index + matches.length) % matches.length;
+  if (current) current.classList.remove('log-current');
+  matches[index].classList.add('log-current');
+  setLogFollow(false);
+  matches[index].scrollIntoView({ block: 'center' });
+}
+
+function setLogFollow(follow) {
+  if (!logView || logView.follow === follow) return;
+  logView.follow = follow;
+  if (follow) {
+    logView.unseen = 0;
+    const logContent = document.getElementById('log-content');
+    logContent.scrollTop = logContent.scrollHeight;
+  }
+  updateLogStatus();
+}
+
+// Scrolling up pauses following; scrolling back to the bottom resumes it
+function onLogScroll() {
+  const logContent = document.getElementById('log-content');
+  const atBottom = logContent.scrollHeight - logContent.scrollTop - logContent.clientHeight < 5;
+  setLogFollow(atBottom);
+}
+
+function updateLogStatus(message) {
+  if (!logView) return;
+  const followButton = document.getElementById('log-follow-btn');
+  followButton.textContent = logView.follow ? 'Pause' : 'Follow';
+  document.getElementById('log-reconnect-btn').style.display = logView.ended ? 'inline-block' : 'none';
+
+  const status = document.getElementById('log-status');
+  const { lines, dropped } = logView.buffer;
+  let text;
+  if (message) {
+    text = message;
+  } else if (logView.ended) {
+    text = logView.ended;
+  } else if (!logView.follow) {
+    text = `Paused – ${logView.unseen} new line${logView.unseen === 1 ? '' : 's'}`;
+  } else {
+    text = 'Following';
   }
+  if (dropped) text += ` · oldest ${dropped} lines discarded, keeping the last ${lines.length}`;
+  status.textContent = text;
+  status.classList.toggle('log-status-ended', !!logView.ended);
 }
 
-// Function to close the log modal
 function closeLogModal() {
-  const logModal = document.getElementById('log-modal');
-  logModal.style.display = 'none';
+  document.getElementById('log-modal').style.display = 'none';
+  if (!logView) return;
+  if (logView.id !== null) serverControl.stopLogStream(logView.id);
+  logView = null;
+  document.getElementById('log-content').innerHTML = '';
+}
+
+// The log manager: every log file of a server, paged through and searched on
+// the host, so that a log of many megabytes is never fetched in one go
+const LOG_PAGE_BYTES = 128 * 1024;
+let logFiles = null; // { serverName, files, generation, page }
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+}
+
+// Message for a failed log request
+function logRequestError(serverName, result) {
+  return result.sshDown ? `SSH is down for ${serverName}` : result.error;
+}
+
+async function openLogManager(serverName) {
+  logFiles = { serverName, files: [], generation: 0, page: null };
+  document.getElementById('log-files-title').textContent = `Logs: ${serverName}`;
+  document.getElementById('log-files-status').textContent = '';
+  document.getElementById('log-grep-results').innerHTML = '';
+  document.getElementById('log-grep-status').textContent = '';
+  document.getElementById('log-page-content').innerHTML = '';
+  document.getElementById('log-page-position').textContent = '';
+  document.getElementById('log-files-modal').style.display = 'block';
+  if (await loadLogFiles()) await showLastLogPage();
+}
+
+// Returns false if the list could not be fetched
+async function loadLogFiles() {
+  const view = logFiles;
+  const result = await serverControl.listLogs(view.serverName);
+  if (logFiles !== view) return false;
+  if (!result.success) {
+    document.getElementById('log-files-status').textContent =
+      `Unable to list logs: ${logRequestError(view.serverName, result)}`;
+    return false;
+  }
+  view.files = result.files;
+  renderLogFiles();
+  return true;
+}
+
+function currentLogFile() {
+  return logFiles.files.find(file => file.generation === logFiles.generation);
+}
+
+function renderLogFiles() {
+  const body = document.querySelector('#log-files-table tbody');
+  body.innerHTML = '';
+  if (!logFiles.files.length) {
+    body.insertRow().insertCell().textContent = 'No log yet: the server has not been started from this app';
+    return;
+  }
+  logFiles.files.forEach(file => {
+    const row = body.insertRow();
+    row.classList.toggle('selected', file.generation === logFiles.generation);
+    row.insertCell().textContent = file.generation === 0 ? 'Current' : `Previous #${file.generation}`;
+    row.insertCell().textContent = file.generation === 0
+      ? formatBytes(file.size)
+      : `${formatBytes(file.uncompressedSize)} (${formatBytes(file.size)} compressed)`;
+    row.insertCell().textContent = new Date(file.modified).toLocaleString();
+    const actions = row.insertCell();
+    const viewButton = document.createElement('button');
+    viewButton.textContent = 'View';
+    viewButton.onclick = () => selectLogFile(file.generation);
+    actions.appendChild(viewButton);
+    const downloadButton = document.createElement('button');
+    downloadButton.textContent = 'Download';
+    downloadButton.onclick = () => downloadLogFile(file);
+    actions.appendChild(downloadButton);
+  });
+}
+
+async function selectLogFile(generation) {
+  logFiles.generation = generation;
+  document.getElementById('log-grep-results').innerHTML = '';
+  document.getElementById('log-grep-status').textContent = '';
+  renderLogFiles();
+  await showLastLogPage();
+}
+
+// Show the page starting at byte `offset`; `length` may be cut short to end
+// where the page after it begins
+async function showLogPage(offset, length = LOG_PAGE_BYTES) {
+  const view = logFiles;
+  const position = document.getElementById('log-page-position');
+  position.textContent = 'Loading…';
+  const result = await serverControl.readLogPage({
+    serverName: view.serverName,
+    generation: view.generation,
+    offset,
+    length
+  });
+  if (logFiles !== view) return false;
+  if (!result.success) {
+    position.textContent = `Unable to read log: ${logRequestError(view.serverName, result)}`;
+    return false;
+  }
+  view.page = result;
+
+  const buffer = new LogBuffer({ maxLines: Infinity });
+  buffer.push(result.text);
+  if (buffer.partial) buffer.push('\n');
+  const content = document.getElementById('log-page-content');
+  content.innerHTML = '';
+  const fragment = document.createDocumentFragment();
+  buffer.lines.forEach(line => fragment.appendChild(renderLogLine(line, [])));
+  content.appendChild(fragment);
+  content.scrollTop = 0;
+  renderLogPagePosition();
+  return true;
+}
+
+function renderLogPagePosition() {
+  const { page } = logFiles;
+  const file = currentLogFile();
+  const size = Math.max(file ? file.uncompressedSize : 0, page.end);
+  const percent = size ? Math.round((page.end / size) * 100) : 100;
+  document.getElementById('log-page-position').textContent =
+    `${formatBytes(page.start)} – ${formatBytes(page.end)} of ${formatBytes(size)} (${percent}%)`;
+  document.getElementById('log-page-first').disabled = page.start === 0;
+  document.getElementById('log-page-prev').disabled = page.start === 0;
+  document.getElementById('log-page-next').disabled = page.atEnd;
+}
+
+async function showLastLogPage() {
+  const file = currentLogFile();
+  if (!file) return;
+  if (await showLogPage(Math.max(0, file.uncompressedSize - LOG_PAGE_BYTES))) {
+    const content = document.getElementById('log-page-content');
+    content.scrollTop = content.scrollHeight;
+  }
+}
+
+function showPreviousLogPage() {
+  if (!logFiles.page) return;
+  const { start } = logFiles.page;
+  const offset = Math.max(0, start - LOG_PAGE_BYTES);
+  showLogPage(offset, start - offset);
+}
+
+async function grepLogFile() {
+  const view = logFiles;
+  const pattern = document.getElementById('log-grep').value;
+  const status = document.getElementById('log-grep-status');
+  const results = document.getElementById('log-grep-results');
+  results.innerHTML = '';
+  if (!pattern) {
+    status.textContent = '';
+    return;
+  }
+  status.textContent = 'Searching…';
+  const result = await serverControl.grepLog({
+    serverName: view.serverName,
+    generation: view.generation,
+    pattern,
+    ignoreCase: document.getElementById('log-grep-ignore-case').checked
+  });
+  if (logFiles !== view) return;
+  if (!result.success) {
+    status.textContent = `Search failed: ${logRequestError(view.serverName, result)}`;
+    return;
+  }
+  const count = result.matches.length;
+  status.textContent = result.truncated
+    ? `Showing the first ${count} matching lines`
+    : `${count} matching line${count === 1 ? '' : 's'}`;
+  result.matches.forEach(match => {
+    const row = document.createElement('div');
+    row.className = 'log-grep-match';
+    const number = document.createElement('span');
+    number.className = 'line-number';
+    number.textContent = match.line;
+    row.appendChild(number);
+    row.appendChild(document.createTextNode(stripAnsi(match.text)));
+    row.onclick = () => showLogMatch(match);
+    results.appendChild(row);
+  });
+}
+
+// Page to a grep match, with its line first and marked
+async function showLogMatch(match) {
+  if (!(await showLogPage(match.offset))) return;
+  const first = document.querySelector('#log-page-content .log-line');
+  if (first && logFiles.page.start === match.offset) first.classList.add('log-current');
+}
+
+async function rotateLogFile() {
+  const { serverName } = logFiles;
+  if (!confirm(`Compress the current log of ${serverName} and start a new one?`)) return;
+  const status = document.getElementById('log-files-status');
+  status.textContent = 'Rotating…';
+  const result = await serverControl.rotateLog(serverName);
+  if (!logFiles || logFiles.serverName !== serverName) return;
+  status.textContent = result.success ? 'Started a new log' : `Unable to rotate: ${logRequestError(serverName, result)}`;
+  logFiles.generation = 0;
+  if (await loadLogFiles()) await showLastLogPage();
+}
+
+async function downloadLogFile(file) {
+  const { serverName } = logFiles;
+  const status = document.getElementById('log-files-status');
+  const result = await serverControl.downloadLog({
+    serverName,
+    generation: file.generation,
+    name: file.name
+  });
+  if (!logFiles || logFiles.serverName !== serverName) return;
+  if (result.canceled) {
+    status.textContent = '';
+  } else {
+    status.textContent = result.success
+      ? `Saved ${file.name} to ${result.path}`
+      : `Download failed: ${logRequestError(serverName, result)}`;
+  }
+}
+
+serverControl.onLogDownloadProgress(({ serverName, transferred, total }) => {
+  if (!logFiles || logFiles.serverName !== serverName) return;
+  const percent = total ? Math.round((transferred / total) * 100) : 0;
+  document.getElementById('log-files-status').textContent = `Downloading… ${percent}% of ${formatBytes(total)}`;
+});
+
+function closeLogManager() {
+  document.getElementById('log-files-modal').style.display = 'none';
+  logFiles = null;
+}
+
+async function loadLogSettings() {
+  const settings = await serverControl.getLogSettings();
+  document.getElementById('log-keep').value = settings.keep;
+  document.getElementById('log-rotate-on-start').checked = settings.rotateOnStart;
+}
+
+async function saveLogSettings() {
+  const keep = parseInt(document.getElementById('log-keep').value, 10);
+  if (!Number.isInteger(keep) || keep < 1) {
+    alert('Enter how many previous logs to keep (1 or more)');
+    return;
+  }
+  const result = await serverControl.setLogSettings({
+    keep,
+    rotateOnStart: document.getElementById('log-rotate-on-start').checked
+  });
+  if (!result.success && !result.conflict) {
+    alert(`Failed to save the log settings: ${result.error}`);
+  }
+  await loadLogSettings();
+}
+
+async function loadApiSettings() {
+  const { settings, status } = await serverControl.getApiSettings();
+  document.getElementById('api-enabled').checked = settings.enabled;
+  document.getElementById('api-host').value = settings.host;
+  document.getElementById('api-port').value = settings.port;
+  document.getElementById('api-tls-cert').value = settings.tls ? settings.tls.cert : '';
+  document.getElementById('api-tls-key').value = settings.tls ? settings.tls.key : '';
+  document.getElementById('api-control-enabled').checked = settings.control.enabled;
+  document.getElementById('api-control-token').value = settings.control.token || '';
+  renderApiStatus(status);
+}
+
+function renderApiStatus(status) {
+  const element = document.getElementById('api-status');
+  if (status.error) {
+    element.textContent = `Not running: ${status.error}`;
+  } else if (status.listening) {
+    element.textContent = `Listening on ${status.url} (${status.clients} live ${status.clients === 1 ? 'display' : 'displays'})`;
+  } else {
+    element.textContent = 'Off';
+  }
+}
+
+function generateApiToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  document.getElementById('api-control-token').value = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function saveApiSettings() {
+  const port = parseInt(document.getElementById('api-port').value, 10);
+  const cert = document.getElementById('api-tls-cert').value.trim();
+  const key = document.getElementById('api-tls-key').value.trim();
+  if (!!cert !== !!key) {
+    alert('Enter both the TLS certificate and its key, or neither');
+    return;
+  }
+  const result = await serverControl.setApiSettings({
+    enabled: document.getElementById('api-enabled').checked,
+    host: document.getElementById('api-host').value.trim(),
+    port,
+    tls: cert ? { cert, key } : null,
+    control: {
+      enabled: document.getElementById('api-control-enabled').checked,
+      token: document.getElementById('api-control-token').value.trim() || null
+    }
+  });
+  if (!result.success && !result.conflict) {
+    alert(`Failed to save the remote display settings: ${result.error}`);
+  }
+  await loadApiSettings();
+}
+
+async function loadMetricsSettings() {
+  const { settings, status } = await serverControl.getMetricsSettings();
+  document.getElementById('metrics-enabled').checked = settings.enabled;
+  document.getElementById('metrics-host').value = settings.host;
+  document.getElementById('metrics-port').value = settings.port;
+  const element = document.getElementById('metrics-status');
+  if (status.error) {
+    element.textContent = `Not running: ${status.error}`;
+  } else {
+    element.textContent = status.listening ? `Serving ${status.url}` : 'Off';
+  }
+}
+
+async function saveMetricsSettings() {
+  const result = await serverControl.setMetricsSettings({
+    enabled: document.getElementById('metrics-enabled').checked,
+    host: document.getElementById('metrics-host').value.trim(),
+    port: parseInt(document.getElementById('metrics-port').value, 10)
+  });
+  if (!result.success && !result.conflict) {
+    alert(`Failed to save the metrics settings: ${result.error}`);
+  }
+  await loadMetricsSettings();
 }
 
 function createServerTabs() {
@@ -491,7 +2416,7 @@ function openServerWebview(serverName) {
   setActiveTab(serverName);
   const webview = document.getElementById('server-webview');
   const url = serverConfig.webview_url ||
-              `http://${serverConfig.host}:${serverConfig.httpPort}/`;
+              `http://${httpHost(serverName)}:${serverConfig.httpPort}/`;
   webview.src = url;
   activeTab = serverName;
 }
@@ -501,6 +2426,13 @@ function closeServerWebview() {
 }
 
 async function openSettingsPanel() {
+  loadConfigBackups();
+  loadBulkConcurrency();
+  loadLogSettings();
+  loadApiSettings();
+  loadMetricsSettings();
+  renderAlertSettings();
+  renderAlertChannels();
   populateAflHostSelect();
   await loadAflConfig();
   setActiveTab('settings');
@@ -511,6 +2443,9 @@ function createServerControls(serverName) {
   const serverConfig = config[serverName];
   const container = document.createElement('div');
   container.className = 'server-container';
+  container.id = `${serverName}-container`;
+  const errors = serverProblems(serverName, 'error');
+  container.classList.toggle('config-invalid', errors.length > 0);
   
   const headerElement = document.createElement('div');
   headerElement.className = 'server-header';
@@ -518,6 +2453,20 @@ function createServerControls(serverName) {
   const nameElement = document.createElement('div');
   nameElement.className = 'server-name';
   nameElement.textContent = serverName;
+  if (serverConfig.active) {
+    const selectBox = document.createElement('input');
+    selectBox.type = 'checkbox';
+    selectBox.className = 'select-server';
+    selectBox.dataset.server = serverName;
+    selectBox.title = 'Select for bulk start/stop/restart';
+    selectBox.checked = selectedServers.has(serverName);
+    container.classList.toggle('selected', selectBox.checked);
+    selectBox.onchange = () => {
+      setServerSelected(serverName, selectBox.checked);
+      renderSelectionBar();
+    };
+    nameElement.prepend(selectBox);
+  }
   headerElement.appendChild(nameElement);
 
   const actionsElement = document.createElement('div');
@@ -529,6 +2478,14 @@ function createServerControls(serverName) {
   editButton.onclick = () => openServerModal(serverName);
   actionsElement.appendChild(editButton);
 
+  const muteButton = document.createElement('button');
+  const muted = isServerMuted(serverName);
+  muteButton.textContent = muted ? '🔕' : '🔔';
+  muteButton.title = muted ? 'Alerts muted; click to unmute' : 'Click to mute alerts for this server';
+  muteButton.className = 'mute-btn';
+  muteButton.onclick = () => toggleServerAlertMute(serverName);
+  actionsElement.appendChild(muteButton);
+
   const toggleActiveButton = document.createElement('button');
   toggleActiveButton.textContent = serverConfig.active ? 'Deactivate' : 'Activate';
   toggleActiveButton.className = 'toggle-active-btn';
@@ -540,9 +2497,33 @@ function createServerControls(serverName) {
 
   const infoElement = document.createElement('div');
   infoElement.className = 'server-info';
-  infoElement.textContent = `SSH: ${serverConfig.username}@${serverConfig.host}, HTTP: ${serverConfig.host}:${serverConfig.httpPort}`;
+  infoElement.textContent = `${formatConnectionInfo(serverName)}, HTTP: ${httpHost(serverName)}:${serverConfig.httpPort}`;
+  if (connectionInfo[serverName]) {
+    infoElement.title = `Keys: ${connectionInfo[serverName].identityFiles.join(', ')}`;
+  }
   container.appendChild(infoElement);
 
+  if (serverConfig.tags && serverConfig.tags.length) {
+    const tagsElement = document.createElement('div');
+    tagsElement.className = 'server-tags';
+    serverConfig.tags.forEach(tag => {
+      const chip = document.createElement('span');
+      chip.className = 'tag-chip';
+      chip.textContent = tag;
+      chip.title = `Select all servers tagged ${tag}`;
+      chip.onclick = () => selectServers(activeServerNames().filter(name => (config[name].tags || []).includes(tag)));
+      tagsElement.appendChild(chip);
+    });
+    container.appendChild(tagsElement);
+  }
+
+  if (errors.length) {
+    const problemsElement = document.createElement('div');
+    problemsElement.className = 'server-config-errors';
+    problemsElement.textContent = errors.map(e => e.message).join('\n');
+    container.appendChild(problemsElement);
+  }
+
   const statusContainer = document.createElement('div');
   statusContainer.className = 'status-indicators';
 
@@ -558,6 +2539,25 @@ function createServerControls(serverName) {
 
   container.appendChild(statusContainer);
 
+  const historyElement = document.createElement('div');
+  historyElement.className = 'status-history';
+  historyElement.title = 'Last 24 hours; click for the full history';
+  historyElement.onclick = () => openHistoryModal(serverName);
+  const timelineElement = document.createElement('div');
+  timelineElement.id = `${serverName}-timeline`;
+  timelineElement.className = 'status-timeline';
+  historyElement.appendChild(timelineElement);
+  const uptimeElement = document.createElement('div');
+  uptimeElement.id = `${serverName}-uptime`;
+  uptimeElement.className = 'status-uptime';
+  historyElement.appendChild(uptimeElement);
+  container.appendChild(historyElement);
+
+  const watchdogElement = document.createElement('div');
+  watchdogElement.id = `${serverName}-watchdog`;
+  watchdogElement.className = 'watchdog-info';
+  container.appendChild(watchdogElement);
+
   const controlsContainer = document.createElement('div');
   controlsContainer.className = 'controls';
 
@@ -575,9 +2575,26 @@ function createServerControls(serverName) {
   logButton.onclick = () => viewServerLog(serverName);
   controlsContainer.appendChild(logButton);
 
+  const logsButton = document.createElement('button');
+  logsButton.textContent = 'Logs';
+  logsButton.className = 'log-btn';
+  logsButton.title = 'Browse, search, download and rotate the full logs';
+  logsButton.onclick = () => openLogManager(serverName);
+  controlsContainer.appendChild(logsButton);
+
+  const observeButton = document.createElement('button');
+  observeButton.textContent = 'Observe';
+  observeButton.className = 'join-btn';
+  observeButton.title = 'Watch the screen session without being able to type into it';
+  observeButton.onclick = () => joinServer(serverName, { observe: true });
+  controlsContainer.appendChild(observeButton);
+
   const joinButton = document.createElement('button');
   joinButton.textContent = 'Join';
   joinButton.className = 'join-btn';
+  if (serverConfig.join_mode === 'observe') {
+    joinButton.title = 'Opens observing; take control from the terminal window';
+  }
   joinButton.onclick = () => joinServer(serverName);
   controlsContainer.appendChild(joinButton);
 
@@ -593,15 +2610,21 @@ function openServerModal(serverName = null) {
   const form = document.getElementById('server-form');
 
   editingServer = serverName;
+  // Show what is wrong with the saved definition straight away
+  showServerFormErrors(serverName ? serverProblems(serverName) : []);
 
   if (serverName) {
     modalTitle.textContent = 'Edit Server';
     const server = config[serverName];
     form.elements['server-name'].value = serverName;
     form.elements['server-host'].value = server.host;
-    form.elements['server-username'].value = server.username;
+    form.elements['server-username'].value = server.username || '';
+    form.elements['server-identity-file'].value = server.identity_file || '';
+    form.elements['server-port'].value = server.port || '';
+    form.elements['server-jump-host'].value = formatJumpHosts(server.jump_host);
     form.elements['server-http-port'].value = server.httpPort;
     form.elements['server-screen-name'].value = server.screen_name;
+    form.elements['server-backend'].value = server.backend || 'screen';
     form.elements['server-type'].value = server.server_script ? 'script' : 'module';
     form.elements['server-script'].value = server.server_script || '';
     form.elements['server-module'].value = server.server_module || '';
@@ -611,17 +2634,25 @@ function openServerModal(serverName = null) {
     form.elements['server-status-url'].value = server.status_url || '';
     form.elements['server-webview-url'].value = server.webview_url || '';
     form.elements['server-active'].checked = server.active;
+    form.elements['server-watchdog'].checked = !!(watchdogStates[serverName] && watchdogStates[serverName].enabled);
+    form.elements['server-record'].checked = !!server.record;
+    form.elements['server-join-mode'].value = server.join_mode || 'control';
+    form.elements['server-tags'].value = (server.tags || []).join(', ');
     form.elements['server-name'].disabled = true;
   } else {
     modalTitle.textContent = 'Add New Server';
     form.reset();
     form.elements['server-name'].disabled = false;
     form.elements['server-type'].value = 'script';
+    form.elements['server-backend'].value = 'screen';
     form.elements['server-shell'].value = 'bash';
     form.elements['server-device'].checked = false;
     form.elements['server-status-url'].value = '';
     form.elements['server-webview-url'].value = '';
     form.elements['server-active'].checked = true;
+    form.elements['server-watchdog'].checked = false;
+    form.elements['server-record'].checked = false;
+    form.elements['server-join-mode'].value = 'control';
   }
 
   updateServerTypeFields();
@@ -640,7 +2671,7 @@ async function handleServerFormSubmit(event) {
   const serverName = form.elements['server-name'].value;
   const serverConfig = {
     host: form.elements['server-host'].value,
-    username: form.elements['server-username'].value,
+    username: form.elements['server-username'].value || undefined,
     httpPort: parseInt(form.elements['server-http-port'].value, 10),
     screen_name: form.elements['server-screen-name'].value,
     shell: form.elements['server-shell'].value,
@@ -648,6 +2679,9 @@ async function handleServerFormSubmit(event) {
     device: form.elements['server-device'].checked
   };
 
+  const backend = form.elements['server-backend'].value;
+  serverConfig.backend = backend === 'screen' ? undefined : backend;
+
   const serverType = form.elements['server-type'].value;
   if (serverType === 'script') {
     serverConfig.server_script = form.elements['server-script'].value;
@@ -655,6 +2689,13 @@ async function handleServerFormSubmit(event) {
     serverConfig.server_module = form.elements['server-module'].value;
   }
 
+  // Empty fields are sent as undefined so that editing a server can clear them
+  serverConfig.identity_file = form.elements['server-identity-file'].value || undefined;
+  const sshPort = parseInt(form.elements['server-port'].value, 10);
+  serverConfig.port = Number.isInteger(sshPort) ? sshPort : undefined;
+  const jumpHosts = parseJumpHosts(form.elements['server-jump-host'].value);
+  serverConfig.jump_host = jumpHosts.length ? jumpHosts : undefined;
+
   const condaEnv = form.elements['server-conda-env'].value;
   if (condaEnv) {
     serverConfig.conda_env = condaEnv;
@@ -669,14 +2710,81 @@ async function handleServerFormSubmit(event) {
     serverConfig.webview_url = webviewUrl;
   }
 
-  if (editingServer) {
-    await updateServer(editingServer, serverConfig);
+  const tags = form.elements['server-tags'].value.split(/[,\s]+/).filter(Boolean);
+  serverConfig.tags = tags.length ? Array.from(new Set(tags)) : undefined;
+
+  // Keep any tuned watchdog settings when switching it on and off
+  const watchdog = editingServer ? config[editingServer].watchdog : undefined;
+  const watchdogOn = form.elements['server-watchdog'].checked;
+  if (watchdog && typeof watchdog === 'object') {
+    serverConfig.watchdog = { ...watchdog, enabled: watchdogOn };
   } else {
-    await addServer(serverName, serverConfig);
+    serverConfig.watchdog = watchdogOn || undefined;
   }
 
+  serverConfig.record = form.elements['server-record'].checked || undefined;
+  const joinMode = form.elements['server-join-mode'].value;
+  serverConfig.join_mode = joinMode === 'observe' ? joinMode : undefined;
+
+  const result = editingServer
+    ? await updateServer(editingServer, serverConfig)
+    : await addServer(serverName, serverConfig);
+
+  if (result && result.errors && !result.conflict) {
+    // Keep the dialog open so the definition can be corrected
+    showServerFormErrors(result.errors);
+    return;
+  }
   closeServerModal();
 }
+
+// launchers.json field -> server form input
+const SERVER_FORM_FIELDS = {
+  name: 'server-name',
+  host: 'server-host',
+  username: 'server-username',
+  identity_file: 'server-identity-file',
+  port: 'server-port',
+  jump_host: 'server-jump-host',
+  httpPort: 'server-http-port',
+  screen_name: 'server-screen-name',
+  backend: 'server-backend',
+  server_script: 'server-script',
+  server_module: 'server-module',
+  shell: 'server-shell',
+  conda_env: 'server-conda-env',
+  device: 'server-device',
+  status_url: 'server-status-url',
+  webview_url: 'server-webview-url',
+  active: 'server-active',
+  tags: 'server-tags',
+  watchdog: 'server-watchdog',
+  record: 'server-record',
+  join_mode: 'server-join-mode'
+};
+
+// Show each problem under the input it belongs to; problems without a
+// matching input are listed above the Save button
+function showServerFormErrors(errors) {
+  const form = document.getElementById('server-form');
+  form.querySelectorAll('.field-error').forEach(el => el.remove());
+  form.querySelectorAll('.field-invalid').forEach(el => el.classList.remove('field-invalid'));
+
+  const unplaced = [];
+  errors.forEach(error => {
+    const input = SERVER_FORM_FIELDS[error.field] && form.elements[SERVER_FORM_FIELDS[error.field]];
+    if (!input) {
+      unplaced.push(error.message);
+      return;
+    }
+    input.classList.add('field-invalid');
+    const message = document.createElement('div');
+    message.className = `field-error${error.level === 'warning' ? ' field-warning' : ''}`;
+    message.textContent = error.message;
+    input.closest('.form-group').appendChild(message);
+  });
+  document.getElementById('server-form-errors').textContent = unplaced.join('\n');
+}
 function closeServerModal() {
   const modal = document.getElementById('server-modal');
   modal.style.display = 'none';
@@ -684,9 +2792,11 @@ function closeServerModal() {
 }
 
 async function addServer(serverName, serverConfig) {
-  await ipcRenderer.invoke('add-server', { serverName, serverConfig });
+  const result = await serverControl.addServer({ serverName, serverConfig });
+  if (!result.success) return result;
   await loadConfig();
   renderServers();
+  return result;
 }
 
  async function updateServer(serverName, serverConfig) {
@@ -695,18 +2805,20 @@ async function addServer(serverName, serverConfig) {
     activeTab = 'andon';
     setActiveTab(activeTab);
   }
-  await ipcRenderer.invoke('update-server', { serverName, serverConfig });
+  const result = await serverControl.updateServer({ serverName, serverConfig });
+  if (!result.success) return result;
   await loadConfig();
   renderServers();
+  return result;
 }
 
 async function removeServer(serverName) {
-  await ipcRenderer.invoke('remove-server', serverName);
+  await serverControl.removeServer(serverName);
   await loadConfig();
   renderServers();
 }
 async function toggleServerActive(serverName) {
-  await ipcRenderer.invoke('toggle-server-active', serverName);
+  await serverControl.toggleServerActive(serverName);
   await loadConfig();
   renderServers();
 }
@@ -716,6 +2828,11 @@ function renderServers() {
 
   // Clear existing content
   appContainer.innerHTML = '';
+  renderConfigProblems();
+  updateUndoButton();
+  renderProfileBar();
+  renderProfileRun();
+  renderSelectionBar();
   createServerTabs();
   setActiveTab(activeTab || 'andon');
 
@@ -755,7 +2872,9 @@ function renderServers() {
   });
 
   // Update all server statuses
+  sortedServers.forEach(renderWatchdogState);
   sortedServers.forEach(updateServerStatus);
+  refreshStatusTimelines();
 }
 
 // Function to toggle inactive servers visibility
@@ -773,7 +2892,7 @@ function toggleInactiveServers() {
 }
 async function importConfig() {
   try {
-    const result = await ipcRenderer.invoke('import-config');
+    const result = await serverControl.importConfig();
     if (result.success) {
       alert(result.message);
       await loadConfig();
@@ -789,7 +2908,7 @@ async function importConfig() {
 
 async function importSSHKey() {
   try {
-    const result = await ipcRenderer.invoke('import-ssh-key');
+    const result = await serverControl.importSshKey();
     if (result.success) {
       alert(result.message);
     } else {
@@ -801,26 +2920,26 @@ async function importSSHKey() {
   }
 }
 async function loadPaths() {
-  const paths = await ipcRenderer.invoke('get-paths');
+  const paths = await serverControl.getPaths();
   document.getElementById('config-path').textContent = paths.configPath;
   document.getElementById('ssh-key-path').textContent = paths.sshKeyPath;
 }
 
 async function setConfigPath() {
-  const result = await ipcRenderer.invoke('show-open-dialog', {
-    properties: ['openFile'],
+  const result = await serverControl.showOpenDialog({
     filters: [{ name: 'JSON', extensions: ['json'] }]
   });
   if (!result.canceled) {
     const newPath = result.filePaths[0];
-    await ipcRenderer.invoke('set-config-path', newPath);
+    await serverControl.setConfigPath(newPath);
     loadPaths();
+    await loadConfig();
     renderServers();  // Reload the server list with the new configuration
   }
 }
 
 async function saveConfig() {
-  const result = await ipcRenderer.invoke('save-config');
+  const result = await serverControl.saveConfig();
   if (result.success) {
     alert('Configuration saved successfully');
   } else {
@@ -829,12 +2948,10 @@ async function saveConfig() {
 }
 
 async function setSshKeyPath() {
-  const result = await ipcRenderer.invoke('show-open-dialog', {
-    properties: ['openFile']
-  });
+  const result = await serverControl.showOpenDialog();
   if (!result.canceled) {
     const newPath = result.filePaths[0];
-    await ipcRenderer.invoke('set-ssh-key-path', newPath);
+    await serverControl.setSshKeyPath(newPath);
     loadPaths();
   }
 }
@@ -847,6 +2964,38 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // Set up event listeners
   document.getElementById('add-server-btn').addEventListener('click', () => openServerModal());
+  document.getElementById('config-problems-banner').addEventListener('click', openSettingsPanel);
+  document.getElementById('undo-config-btn').addEventListener('click', undoConfigChange);
+  document.getElementById('profile-select').addEventListener('change', renderProfileOrder);
+  document.getElementById('select-all-btn').addEventListener('click', () => selectServers(activeServerNames()));
+  document.getElementById('select-none-btn').addEventListener('click', () => selectServers([]));
+  document.getElementById('select-by-host').addEventListener('change', (event) => {
+    const host = event.target.value;
+    if (host) selectServers(activeServerNames().filter(name => config[name].host === host));
+    event.target.value = '';
+  });
+  document.getElementById('select-by-tag').addEventListener('change', (event) => {
+    const tag = event.target.value;
+    if (tag) selectServers(activeServerNames().filter(name => (config[name].tags || []).includes(tag)));
+    event.target.value = '';
+  });
+  ['start', 'stop', 'restart'].forEach(action => {
+    document.getElementById(`bulk-${action}-btn`).addEventListener('click', () => runBulkAction(action));
+  });
+  document.getElementById('bulk-retry-btn').addEventListener('click', retryFailedBulk);
+  document.querySelector('.close-bulk').addEventListener('click', closeBulkModal);
+  document.getElementById('save-bulk-concurrency-btn').addEventListener('click', setBulkConcurrency);
+  document.getElementById('start-profile-btn').addEventListener('click', () => runProfile('start'));
+  document.getElementById('stop-profile-btn').addEventListener('click', () => runProfile('stop'));
+  document.getElementById('cancel-profile-run-btn').addEventListener('click', () => serverControl.cancelProfileRun());
+  document.getElementById('close-profile-run-btn').addEventListener('click', () => {
+    dismissedProfileRun = profileRun && profileRun.id;
+    renderProfileRun();
+  });
+  document.getElementById('acknowledge-alerts-btn').addEventListener('click', acknowledgeAlerts);
+  document.getElementById('save-alert-settings-btn').addEventListener('click', saveAlertSettings);
+  document.getElementById('send-test-alert-btn').addEventListener('click', () => sendTestAlert());
+  document.getElementById('save-backup-count-btn').addEventListener('click', setConfigBackupCount);
   document.querySelector('.modal .close').addEventListener('click', closeServerModal);
   document.getElementById('server-form').addEventListener('submit', handleServerFormSubmit);
   // document.getElementById('import-config-btn').addEventListener('click', importConfig);
@@ -873,8 +3022,66 @@ document.addEventListener('DOMContentLoaded', async () => {
   });
 
   document.querySelector('.close-log').addEventListener('click', closeLogModal);
+  document.getElementById('log-content').addEventListener('scroll', onLogScroll);
+  document.querySelector('.close-log-files').addEventListener('click', closeLogManager);
+  document.getElementById('rotate-log-btn').addEventListener('click', rotateLogFile);
+  document.getElementById('log-page-first').addEventListener('click', () => showLogPage(0));
+  document.getElementById('log-page-prev').addEventListener('click', showPreviousLogPage);
+  document.getElementById('log-page-next').addEventListener('click', () => {
+    if (logFiles.page) showLogPage(logFiles.page.end);
+  });
+  document.getElementById('log-page-last').addEventListener('click', async () => {
+    // The current log keeps growing
+    if (await loadLogFiles()) await showLastLogPage();
+  });
+  document.getElementById('log-grep-btn').addEventListener('click', grepLogFile);
+  document.getElementById('log-grep').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') grepLogFile();
+  });
+  document.getElementById('save-log-settings-btn').addEventListener('click', saveLogSettings);
+  document.getElementById('save-api-settings-btn').addEventListener('click', saveApiSettings);
+  document.getElementById('api-generate-token-btn').addEventListener('click', generateApiToken);
+  document.getElementById('save-metrics-settings-btn').addEventListener('click', saveMetricsSettings);
+  document.getElementById('log-follow-btn').addEventListener('click', () => setLogFollow(!logView.follow));
+  document.getElementById('log-reconnect-btn').addEventListener('click', () => viewServerLog(logView.serverName));
+  document.getElementById('log-search').addEventListener('input', scheduleLogSearch);
+  document.getElementById('log-search').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') jumpToLogMatch(e.shiftKey ? -1 : 1);
+  });
+  ['log-search-regex', 'log-search-case', 'log-search-filter'].forEach((id) => {
+    document.getElementById(id).addEventListener('change', rerenderLogLines);
+  });
+  document.getElementById('log-prev-match').addEventListener('click', () => jumpToLogMatch(-1));
+  document.getElementById('log-next-match').addEventListener('click', () => jumpToLogMatch(1));
+
+  document.getElementById('history-btn').addEventListener('click', () => openHistoryModal());
+  document.querySelector('.close-history').addEventListener('click', closeHistoryModal);
+  ['history-server', 'history-range', 'history-from', 'history-to'].forEach(id => {
+    document.getElementById(id).addEventListener('change', loadStatusHistory);
+  });
+
+  document.getElementById('passphrase-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    answerPassphraseRequest(document.getElementById('passphrase-input').value);
+  });
+  document.getElementById('passphrase-cancel').addEventListener('click', () => answerPassphraseRequest(null));
+
+  document.getElementById('config-conflict-disk').addEventListener('click', () => resolveConfigConflict('disk'));
+  document.getElementById('config-conflict-app').addEventListener('click', () => resolveConfigConflict('app'));
 
   document.querySelector('.close-terminal').addEventListener('click', closeTerminalModal);
+  document.getElementById('terminal-layout-btn').addEventListener('click', toggleTerminalLayout);
+  document.getElementById('terminal-recordings-btn').addEventListener('click', () => openRecordingsModal(activeTerminal || ''));
+  document.getElementById('recordings-btn').addEventListener('click', () => openRecordingsModal());
+  document.querySelector('.close-recordings').addEventListener('click', closeRecordingsModal);
+  document.getElementById('recordings-server').addEventListener('change', loadRecordings);
+  document.getElementById('player-play').addEventListener('click', () => (player && player.playing ? pauseRecording() : playRecording()));
+  document.getElementById('player-seek').addEventListener('input', (event) => {
+    if (player) seekPlayer(Number(event.target.value));
+  });
+  window.addEventListener('resize', () => {
+    if (document.getElementById('terminal-modal').style.display === 'block') layoutTerminals();
+  });
 
   document.addEventListener('click', (e) => {
     if (e.target.closest('#inactive-servers-header')) {
@@ -885,9 +3092,20 @@ document.addEventListener('DOMContentLoaded', async () => {
   window.onclick = function(event) {
     const termModal = document.getElementById('terminal-modal');
 
-    const logModal = document.getElementById('log-modal');
-    if (event.target == logModal) {
-      logModal.style.display = 'none';
+    if (event.target == document.getElementById('log-modal')) {
+      closeLogModal();
+    }
+    if (event.target == document.getElementById('log-files-modal')) {
+      closeLogManager();
+    }
+    if (event.target == document.getElementById('recordings-modal')) {
+      closeRecordingsModal();
+    }
+    if (event.target == document.getElementById('history-modal')) {
+      closeHistoryModal();
+    }
+    if (event.target == document.getElementById('bulk-modal')) {
+      closeBulkModal();
     }
     if (event.target == termModal) {
       closeTerminalModal();
@@ -905,4 +3123,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       statusJobRunning = false;
     }
   }, 500);   // 500 ms interval
+
+  // Keep the card timelines moving even when nothing changes
+  setInterval(refreshStatusTimelines, 60000);
 });
@@ -0,0 +1,106 @@
+// Local stand-in for a chat webhook and an SMTP server, to try out alert
+// channels without sending anything anywhere. Every request and message is
+// printed to the console.
+//
+//   node scripts/alert-sink.js [--http-port 8025] [--smtp-port 2525] [--fail]
+//
+// Then point channels at it, e.g.
+//   "test-hook": { "type": "webhook", "url": "http://localhost:8025/hook" }
+//   "test-mail": { "type": "email", "host": "localhost", "port": 2525,
+//                  "from": "andon@localhost", "to": ["you@localhost"] }
+// With --fail the webhook answers 500, to see how failures are reported.
+const http = require('http');
+const net = require('net');
+
+function option(name, fallback) {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? fallback : process.argv[index + 1];
+}
+
+const httpPort = parseInt(option('--http-port', '8025'), 10);
+const smtpPort = parseInt(option('--smtp-port', '2525'), 10);
+const fail = process.argv.includes('--fail');
+
+http.createServer((request, response) => {
+  let body = '';
+  request.on('data', chunk => { body += chunk; });
+  request.on('end', () => {
+    console.log(`\n[http] ${request.method} ${request.url}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (_) {
+      console.log(body);
+    }
+    response.writeHead(fail ? 500 : 200, { 'Content-Type': 'text/plain' });
+    response.end(fail ? 'failing on purpose (--fail)' : 'ok');
+  });
+}).listen(httpPort, () => console.log(`Webhook sink on http://localhost:${httpPort}/`));
+
+// Just enough SMTP to accept a message: EHLO, AUTH PLAIN/LOGIN (any
+// credentials), MAIL, RCPT, DATA, QUIT
+net.createServer((socket) => {
+  let buffer = '';
+  let data = null; // message lines while in DATA
+  let loginSteps = 0; // AUTH LOGIN prompts still to answer
+  const reply = line => socket.write(`${line}\r\n`);
+
+  reply('220 localhost alert-sink ready');
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+
+      if (data) {
+        if (line === '.') {
+          console.log(`\n[smtp] message\n${decode(data.join('\r\n'))}`);
+          data = null;
+          reply('250 queued');
+        } else {
+          data.push(line.startsWith('..') ? line.slice(1) : line);
+        }
+        continue;
+      }
+      if (loginSteps) {
+        loginSteps -= 1;
+        reply(loginSteps ? '334 UGFzc3dvcmQ6' : '235 authenticated');
+        continue;
+      }
+
+      const command = line.split(' ')[0].toUpperCase();
+      console.log(`[smtp] ${command === 'AUTH' ? line.split(' ').slice(0, 2).join(' ') : line}`);
+      if (command === 'EHLO') {
+        socket.write('250-localhost\r\n250-AUTH PLAIN LOGIN\r\n250 8BITMIME\r\n');
+      } else if (command === 'HELO') {
+        reply('250 localhost');
+      } else if (command === 'AUTH') {
+        if (/^AUTH LOGIN$/i.test(line)) {
+          loginSteps = 2;
+          reply('334 VXNlcm5hbWU6');
+        } else {
+          reply('235 authenticated');
+        }
+      } else if (command === 'MAIL' || command === 'RCPT' || command === 'RSET' || command === 'NOOP') {
+        reply('250 ok');
+      } else if (command === 'DATA') {
+        data = [];
+        reply('354 end with <CRLF>.<CRLF>');
+      } else if (command === 'QUIT') {
+        reply('221 bye');
+        socket.end();
+      } else {
+        reply('502 not implemented');
+      }
+    }
+  });
+  socket.on('error', () => {});
+}).listen(smtpPort, () => console.log(`SMTP sink on localhost:${smtpPort}`));
+
+// Show base64 bodies as text
+function decode(message) {
+  const [headers, ...rest] = message.split('\r\n\r\n');
+  const body = rest.join('\r\n\r\n');
+  if (!/Content-Transfer-Encoding: base64/i.test(headers)) return message;
+  return `${headers}\r\n\r\n${Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8')}`;
+}
@@ -0,0 +1,162 @@
+// How a server's process is kept running on its host, chosen per server with
+// `backend` in launchers.json:
+//   "screen"  - a detached GNU screen session (the default)
+//   "tmux"    - a detached tmux session
+//   "systemd" - a `systemd --user` service, afl-<screen_name>.service, which
+//               is enabled so it comes back after a reboot
+// Whatever the backend, the session is named after `screen_name` and its
+// output goes to .afl/<screen_name>.screenlog, so following, paging and
+// rotating logs work the same for all of them.
+//
+// Each backend builds the commands to start, stop and attach to one server,
+// and one command listing every session it runs on a host (for the batch
+// status check), with a parser for that command's output.
+
+const {
+  InvalidServerConfigError,
+  shellQuote,
+  screenName,
+  serverCommand,
+  homePath,
+  logFileName
+} = require('./remoteCommand');
+
+const DEFAULT_BACKEND = 'screen';
+
+const logPath = serverConfig => homePath(`.afl/${logFileName(serverConfig)}`);
+
+const screen = {
+  name: 'screen',
+  label: 'SCREEN',
+  sessionName: screenName,
+  startCommand(serverConfig) {
+    const name = screenName(serverConfig);
+    return `screen -d -m -L -Logfile ${logPath(serverConfig)} -S ${shellQuote(name)} ${serverCommand(serverConfig)}`;
+  },
+  stopCommand(serverConfig) {
+    return `screen -X -S ${shellQuote(screenName(serverConfig))} quit`;
+  },
+  attachCommand(serverConfig) {
+    return `screen -x ${shellQuote(screenName(serverConfig))}`;
+  },
+  listCommand: 'screen -ls',
+  // "	12345.name	(Detached)"
+  parseList(output) {
+    const sessions = [];
+    for (const line of output.split('\n')) {
+      const match = line.match(/\d+\.([^\s\t]+)/);
+      if (match && match[1]) sessions.push(match[1]);
+    }
+    return sessions;
+  }
+};
+
+const tmux = {
+  name: 'tmux',
+  label: 'TMUX',
+  // tmux turns "." and ":" in session names into "_"
+  sessionName: serverConfig => screenName(serverConfig).replace(/[.:]/g, '_'),
+  // The server command is passed as one argument, which tmux runs with
+  // `sh -c`. pipe-pane is queued behind new-session in the same client call,
+  // so it is in place before any output is read.
+  startCommand(serverConfig) {
+    const name = tmux.sessionName(serverConfig);
+    return 'mkdir -p "$HOME"/.afl && ' +
+      `tmux new-session -d -s ${shellQuote(name)} ${shellQuote(serverCommand(serverConfig))} ` +
+      `\\; pipe-pane -o -t ${shellQuote(`=${name}:`)} ${shellQuote(`cat >> ${logPath(serverConfig)}`)}`;
+  },
+  stopCommand(serverConfig) {
+    return `tmux kill-session -t ${shellQuote(`=${tmux.sessionName(serverConfig)}`)}`;
+  },
+  attachCommand(serverConfig) {
+    return `tmux attach-session -t ${shellQuote(`=${tmux.sessionName(serverConfig)}`)}`;
+  },
+  // Fails quietly ("no server running") when there are no sessions
+  listCommand: "tmux list-sessions -F '#{session_name}' 2>/dev/null",
+  parseList(output) {
+    return output.split('\n').map(line => line.trim()).filter(Boolean);
+  }
+};
+
+const unitName = serverConfig => `afl-${screenName(serverConfig)}.service`;
+
+const systemd = {
+  name: 'systemd',
+  label: 'SYSTEMD',
+  sessionName: serverConfig => `afl-${screenName(serverConfig)}`,
+  // Writes the unit and a script holding the server command (which keeps it
+  // clear of systemd's own quoting rules), then enables and starts the unit.
+  // Surviving a reboot needs lingering for the user (`loginctl enable-linger`).
+  startCommand(serverConfig) {
+    const name = screenName(serverConfig);
+    const script = `.afl/${name}.run`;
+    const unit = [
+      '[Unit]',
+      `Description=AFL server ${name}`,
+      '[Service]',
+      'WorkingDirectory=%h',
+      `ExecStart=/bin/sh %h/${script}`,
+      `StandardOutput=append:%h/.afl/${logFileName(serverConfig)}`,
+      '[Install]',
+      'WantedBy=default.target'
+    ];
+    return 'mkdir -p "$HOME"/.config/systemd/user "$HOME"/.afl && ' +
+      `printf '%s\\n' ${unit.map(shellQuote).join(' ')} > ${homePath(`.config/systemd/user/${unitName(serverConfig)}`)} && ` +
+      `printf '%s\\n' ${shellQuote(`exec ${serverCommand(serverConfig)}`)} > ${homePath(script)} && ` +
+      'systemctl --user daemon-reload && ' +
+      `systemctl --user enable --now ${shellQuote(unitName(serverConfig))}`;
+  },
+  // Disabled as well, so a stopped server stays down after a reboot
+  stopCommand(serverConfig) {
+    return `systemctl --user disable --now ${shellQuote(unitName(serverConfig))}`;
+  },
+  // A service has no terminal to attach to: show its state, then follow its log
+  attachCommand(serverConfig) {
+    const unit = shellQuote(unitName(serverConfig));
+    return `systemctl --user status --no-pager ${unit}; tail -n 200 -F ${logPath(serverConfig)}`;
+  },
+  // "afl-robot.service loaded active running AFL server robot"
+  listCommand: "systemctl --user list-units --type=service --state=active --plain --no-legend 'afl-*' 2>/dev/null",
+  parseList(output) {
+    const sessions = [];
+    for (const line of output.split('\n')) {
+      const match = line.trim().match(/^(afl-\S+)\.service\s/);
+      if (match) sessions.push(match[1]);
+    }
+    return sessions;
+  }
+};
+
+const SESSION_BACKENDS = { screen, tmux, systemd };
+
+// The backend of a server definition; throws InvalidServerConfigError for
+// an unknown `backend`
+function sessionBackend(serverConfig) {
+  const name = serverConfig.backend === undefined ? DEFAULT_BACKEND : serverConfig.backend;
+  const backend = Object.prototype.hasOwnProperty.call(SESSION_BACKENDS, name) && SESSION_BACKENDS[name];
+  if (!backend) {
+    throw new InvalidServerConfigError('backend', `must be one of ${Object.keys(SESSION_BACKENDS).map(n => `"${n}"`).join(', ')}, got ${JSON.stringify(name)}`);
+  }
+  return backend;
+}
+
+function buildStartCommand(serverConfig) {
+  return sessionBackend(serverConfig).startCommand(serverConfig);
+}
+
+function buildStopCommand(serverConfig) {
+  return sessionBackend(serverConfig).stopCommand(serverConfig);
+}
+
+function buildAttachCommand(serverConfig) {
+  return sessionBackend(serverConfig).attachCommand(serverConfig);
+}
+
+module.exports = {
+  SESSION_BACKENDS,
+  DEFAULT_BACKEND,
+  sessionBackend,
+  buildStartCommand,
+  buildStopCommand,
+  buildAttachCommand
+};
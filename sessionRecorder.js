@@ -0,0 +1,189 @@
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { castHeader, castEvent, parseCast } = require('./asciicast');
+
+// Records terminal sessions, what was shown and what was typed, as asciicast
+// files: ~/.afl/recordings/<server>/<start time>.cast. One recording per
+// server at a time, like the sessions themselves. Servers with
+// `"record": true` in launchers.json are recorded whenever they are joined.
+//
+// Emits 'state' with { server, recording, name } when a recording starts or
+// stops.
+
+// Enough of the end of a file to hold its last event
+const TAIL_BYTES = 64 * 1024;
+
+class SessionRecorder extends EventEmitter {
+  constructor({ dir = path.join(os.homedir(), '.afl', 'recordings') } = {}) {
+    super();
+    this.dir = dir;
+    this.recordings = new Map(); // server -> { name, file, stream, started }
+  }
+
+  serverDir(serverName) {
+    return path.join(this.dir, encodeURIComponent(serverName));
+  }
+
+  // The file of a recording, refusing names that would leave its directory
+  recordingPath(serverName, name) {
+    if (typeof name !== 'string' || path.basename(name) !== name || !name.endsWith('.cast')) {
+      throw new Error(`Invalid recording name "${name}"`);
+    }
+    return path.join(this.serverDir(serverName), name);
+  }
+
+  isRecording(serverName) {
+    return this.recordings.has(serverName);
+  }
+
+  recordingServers() {
+    return Array.from(this.recordings.keys());
+  }
+
+  async start(serverName, { cols = 80, rows = 24 } = {}) {
+    if (this.recordings.has(serverName)) return this.recordings.get(serverName).name;
+    const started = Date.now();
+    const name = `${new Date(started).toISOString().replace(/[:.]/g, '-')}.cast`;
+    const file = this.recordingPath(serverName, name);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const stream = fs.createWriteStream(file, { flags: 'wx' });
+    const recording = { name, file, stream, started };
+    stream.on('error', (error) => {
+      console.error(`Error writing recording ${file}:`, error.message);
+      if (this.recordings.get(serverName) === recording) this.finish(serverName);
+    });
+    stream.write(castHeader({
+      width: cols,
+      height: rows,
+      timestamp: Math.floor(started / 1000),
+      title: serverName
+    }));
+    this.recordings.set(serverName, recording);
+    console.log(`Recording terminal session of ${serverName} to ${file}`);
+    this.emit('state', { server: serverName, recording: true, name });
+    return name;
+  }
+
+  event(serverName, code, data) {
+    const recording = this.recordings.get(serverName);
+    if (recording) recording.stream.write(castEvent((Date.now() - recording.started) / 1000, code, data));
+  }
+
+  output(serverName, data) {
+    this.event(serverName, 'o', data);
+  }
+
+  input(serverName, data) {
+    this.event(serverName, 'i', data);
+  }
+
+  resize(serverName, cols, rows) {
+    this.event(serverName, 'r', `${cols}x${rows}`);
+  }
+
+  stop(serverName) {
+    const recording = this.recordings.get(serverName);
+    if (!recording) return Promise.resolve();
+    return new Promise(resolve => recording.stream.end(resolve))
+      .then(() => this.finish(serverName));
+  }
+
+  finish(serverName) {
+    const recording = this.recordings.get(serverName);
+    if (!recording) return;
+    this.recordings.delete(serverName);
+    console.log(`Stopped recording ${serverName}`);
+    this.emit('state', { server: serverName, recording: false, name: recording.name });
+  }
+
+  stopAll() {
+    return Promise.all(this.recordingServers().map(serverName => this.stop(serverName)));
+  }
+
+  // Recordings of one server, or of all, newest first:
+  // [{ server, name, size, started, duration, width, height, recording }]
+  async list(serverName = null) {
+    let servers = [serverName];
+    if (!serverName) {
+      try {
+        servers = (await fs.promises.readdir(this.dir)).map(dir => decodeURIComponent(dir));
+      } catch (error) {
+        if (error.code !== 'ENOENT') console.error('Error listing recordings:', error.message);
+        return [];
+      }
+    }
+    const recordings = [];
+    for (const server of servers) {
+      let names = [];
+      try {
+        names = (await fs.promises.readdir(this.serverDir(server))).filter(name => name.endsWith('.cast'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') console.error(`Error listing recordings of ${server}:`, error.message);
+      }
+      for (const name of names) {
+        const info = await this.describe(server, name);
+        if (info) recordings.push(info);
+      }
+    }
+    return recordings.sort((a, b) => b.started - a.started);
+  }
+
+  // Size, start, length and terminal size of a recording, read from its
+  // first and last lines
+  async describe(serverName, name) {
+    const file = this.recordingPath(serverName, name);
+    let handle;
+    try {
+      handle = await fs.promises.open(file, 'r');
+      const { size } = await handle.stat();
+      const head = Buffer.alloc(Math.min(size, 4096));
+      await handle.read(head, 0, head.length, 0);
+      const tail = Buffer.alloc(Math.min(size, TAIL_BYTES));
+      await handle.read(tail, 0, tail.length, size - tail.length);
+      const header = JSON.parse(head.toString('utf8').split('\n')[0]);
+      const lastLines = tail.toString('utf8').trim().split('\n').reverse();
+      let duration = 0;
+      for (const line of lastLines) {
+        try {
+          const [time] = JSON.parse(line);
+          if (typeof time === 'number') {
+            duration = time;
+            break;
+          }
+        } catch (_) {
+          // a line cut in two by the read, or by a crash
+        }
+      }
+      const recording = this.recordings.get(serverName);
+      return {
+        server: serverName,
+        name,
+        size,
+        started: header.timestamp * 1000,
+        duration,
+        width: header.width,
+        height: header.height,
+        recording: !!(recording && recording.name === name)
+      };
+    } catch (error) {
+      console.error(`Error reading recording ${file}:`, error.message);
+      return null;
+    } finally {
+      if (handle) await handle.close();
+    }
+  }
+
+  async read(serverName, name) {
+    return parseCast(await fs.promises.readFile(this.recordingPath(serverName, name), 'utf8'));
+  }
+
+  async remove(serverName, name) {
+    const recording = this.recordings.get(serverName);
+    if (recording && recording.name === name) throw new Error('The recording is still running');
+    await fs.promises.unlink(this.recordingPath(serverName, name));
+  }
+}
+
+module.exports = SessionRecorder;
@@ -0,0 +1,93 @@
+const http = require('http');
+const https = require('https');
+const fs = require('fs').promises;
+
+// An HTTP server in the main process that follows a section of launchers.json
+// with `enabled`, `host`, `port` and optionally `tls`: apply() starts,
+// restarts or stops it to match the section as it is now. Subclasses provide
+// settings() and handle(request, response), and may override started() and
+// stop(). See apiServer.js and metricsExporter.js.
+class SettingsServer {
+  // `label` names the server in the log, `path` is where its URL points
+  constructor({ label, path = '/' }) {
+    this.label = label;
+    this.path = path;
+    this.server = null;
+    this.listening = null; // settings the server was started with, as JSON
+    this.error = null;
+    this.applying = Promise.resolve();
+  }
+
+  // Start, stop or restart the server to match the current settings
+  apply() {
+    this.applying = this.applying.then(() => this.applySettings());
+    return this.applying;
+  }
+
+  async applySettings() {
+    const settings = this.settings();
+    const key = JSON.stringify(settings);
+    if (this.server && this.listening === key) return this.status();
+    await this.stop();
+    this.error = null;
+    if (!settings.enabled) return this.status();
+    try {
+      await this.listen(settings);
+      this.listening = key;
+      console.log(`${this.label} listening on ${this.url()}`);
+      this.started(settings);
+    } catch (error) {
+      console.error(`Error starting ${this.label}:`, error.message);
+      this.error = error.message;
+      await this.stop();
+    }
+    return this.status();
+  }
+
+  // Called once the server listens with these settings
+  started() {}
+
+  async listen(settings) {
+    const handler = (request, response) => this.handle(request, response);
+    this.server = settings.tls
+      ? https.createServer({
+        cert: await fs.readFile(settings.tls.cert),
+        key: await fs.readFile(settings.tls.key)
+      }, handler)
+      : http.createServer(handler);
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(settings.port, settings.host, () => {
+        this.server.removeListener('error', reject);
+        resolve();
+      });
+    });
+  }
+
+  async stop() {
+    const server = this.server;
+    this.server = null;
+    this.listening = null;
+    if (server) {
+      if (server.closeAllConnections) server.closeAllConnections();
+      await new Promise(resolve => server.close(() => resolve()));
+    }
+  }
+
+  url() {
+    const settings = this.settings();
+    const host = settings.host.includes(':') ? `[${settings.host}]` : settings.host;
+    return `${settings.tls ? 'https' : 'http'}://${host}:${settings.port}${this.path}`;
+  }
+
+  status() {
+    return {
+      enabled: this.settings().enabled,
+      listening: !!this.server,
+      url: this.server ? this.url() : null,
+      error: this.error
+    };
+  }
+}
+
+module.exports = SettingsServer;
@@ -0,0 +1,194 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const DEFAULT_TIMEOUT = 15000;
+
+// Header values must stay on one line; non-ASCII text is sent as an encoded word
+function encodeHeader(value) {
+  const text = String(value).replace(/[\r\n]+/g, ' ');
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`;
+}
+
+function formatMessage({ from, to, subject, text }) {
+  const domain = from.split('@')[1] || os.hostname();
+  const body = Buffer.from(text).toString('base64').replace(/.{76}/g, '$&\r\n');
+  return [
+    `From: ${encodeHeader(from)}`,
+    `To: ${to.map(encodeHeader).join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomBytes(12).toString('hex')}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+// One SMTP conversation. Replies are read line by line; a reply ends with
+// the line that has a space after the code ("250 OK" rather than "250-...").
+class SmtpConnection {
+  constructor(socket, timeout) {
+    this.timeout = timeout;
+    this.buffer = '';
+    this.lines = [];
+    this.waiting = null;
+    this.error = null;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.timeout, () => socket.destroy(new Error('SMTP server timed out')));
+    socket.on('data', (chunk) => {
+      this.buffer += chunk;
+      let index;
+      while ((index = this.buffer.indexOf('\n')) !== -1) {
+        this.lines.push(this.buffer.slice(0, index).replace(/\r$/, ''));
+        this.buffer = this.buffer.slice(index + 1);
+      }
+      this.wake();
+    });
+    socket.on('error', (error) => {
+      this.error = error;
+      this.wake();
+    });
+    socket.on('close', () => {
+      this.error = this.error || new Error('SMTP server closed the connection');
+      this.wake();
+    });
+  }
+
+  wake() {
+    if (this.waiting) {
+      const resolve = this.waiting;
+      this.waiting = null;
+      resolve();
+    }
+  }
+
+  async readReply() {
+    const lines = [];
+    for (;;) {
+      while (this.lines.length) {
+        const line = this.lines.shift();
+        lines.push(line);
+        if (!/^\d{3}-/.test(line)) {
+          return { code: parseInt(line.slice(0, 3), 10), lines: lines.map(l => l.slice(4)) };
+        }
+      }
+      if (this.error) throw this.error;
+      await new Promise(resolve => { this.waiting = resolve; });
+    }
+  }
+
+  // Send a command (or nothing, to read the greeting) and check the reply code
+  async command(line, expected, description = line) {
+    if (line !== null) this.socket.write(`${line}\r\n`);
+    const reply = await this.readReply();
+    if (!expected.includes(reply.code)) {
+      throw new Error(`SMTP ${description.split(' ')[0]} failed: ${reply.code} ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  }
+
+  async upgrade(host) {
+    const socket = tls.connect({ socket: this.socket, servername: host });
+    await new Promise((resolve, reject) => {
+      socket.once('secureConnect', resolve);
+      socket.once('error', reject);
+    });
+    this.socket.removeAllListeners('data');
+    this.lines = [];
+    this.buffer = '';
+    this.attach(socket);
+  }
+
+  close() {
+    this.socket.destroy();
+  }
+}
+
+function openSocket({ host, port, secure, timeout }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+    const timer = setTimeout(() => socket.destroy(new Error(`Timed out connecting to ${host}:${port}`)), timeout);
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+      clearTimeout(timer);
+      socket.removeAllListeners('error');
+      resolve(socket);
+    });
+    socket.once('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
+
+// Send a plain-text message. `secure` connects with TLS from the start
+// (usually port 465); otherwise STARTTLS is used whenever the server offers
+// it, and required if `starttls` is true. With `username` the login is done
+// with AUTH PLAIN or AUTH LOGIN, whichever the server supports.
+async function sendMail({
+  host,
+  port = null,
+  secure = false,
+  starttls = null,
+  username = null,
+  password = '',
+  from,
+  to,
+  subject,
+  text,
+  timeout = DEFAULT_TIMEOUT
+}) {
+  const recipients = Array.isArray(to) ? to : [to];
+  port = port || (secure ? 465 : 25);
+  const connection = new SmtpConnection(await openSocket({ host, port, secure, timeout }), timeout);
+  try {
+    await connection.command(null, [220], 'greeting');
+    let { lines } = await connection.command(`EHLO ${os.hostname()}`, [250]);
+
+    const offersTls = lines.some(line => /^STARTTLS\b/i.test(line));
+    if (!secure && (starttls === true || (starttls !== false && offersTls))) {
+      if (!offersTls) throw new Error(`${host} does not offer STARTTLS`);
+      await connection.command('STARTTLS', [220]);
+      await connection.upgrade(host);
+      ({ lines } = await connection.command(`EHLO ${os.hostname()}`, [250]));
+    }
+
+    if (username) {
+      const auth = lines.find(line => /^AUTH\b/i.test(line)) || '';
+      if (/\bPLAIN\b/i.test(auth)) {
+        const token = Buffer.from(`\0${username}\0${password}`).toString('base64');
+        await connection.command(`AUTH PLAIN ${token}`, [235], 'AUTH');
+      } else if (/\bLOGIN\b/i.test(auth)) {
+        await connection.command('AUTH LOGIN', [334]);
+        await connection.command(Buffer.from(username).toString('base64'), [334], 'AUTH');
+        await connection.command(Buffer.from(password).toString('base64'), [235], 'AUTH');
+      } else {
+        throw new Error(`${host} offers no supported login method (${auth || 'none'})`);
+      }
+    }
+
+    await connection.command(`MAIL FROM:<${from}>`, [250]);
+    for (const recipient of recipients) {
+      await connection.command(`RCPT TO:<${recipient}>`, [250, 251]);
+    }
+    await connection.command('DATA', [354]);
+    // Lines starting with a dot are escaped by doubling it
+    const message = formatMessage({ from, to: recipients, subject, text }).replace(/^\./gm, '..');
+    await connection.command(`${message}\r\n.`, [250], 'DATA');
+    await connection.command('QUIT', [221]).catch(() => {});
+  } finally {
+    connection.close();
+  }
+}
+
+module.exports = { sendMail };
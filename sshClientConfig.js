@@ -0,0 +1,280 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const noop = () => {};
+
+// Options that may be given several times and accumulate instead of the
+// usual "first value wins"
+const MULTI_VALUE_OPTIONS = new Set(['identityfile']);
+const MAX_INCLUDE_DEPTH = 16;
+
+// Minimal reader for the OpenSSH client configuration (ssh_config(5)): Host
+// and Match blocks, Include (with wildcards in the file name), pattern lists
+// with `*`, `?` and `!`, and the usual first-value-wins semantics. Only what
+// the app needs to connect is resolved: HostName, User, Port, IdentityFile
+// and ProxyJump. Files are re-read when they change on disk.
+class SSHClientConfig {
+  constructor({
+    userConfigPath = path.join(os.homedir(), '.ssh', 'config'),
+    systemConfigPath = process.platform === 'win32' ? null : '/etc/ssh/ssh_config',
+    debug = noop
+  } = {}) {
+    this.userConfigPath = userConfigPath;
+    this.systemConfigPath = systemConfigPath;
+    this.debug = debug;
+    this.cache = null; // { files: Map(path -> mtimeMs), blocks }
+  }
+
+  // Effective settings for `alias` as OpenSSH would compute them when asked
+  // to connect to it, optionally as a given remote user.
+  async resolve(alias, remoteUser) {
+    const blocks = await this.getBlocks();
+    const values = {};
+    const context = { alias, hostname: alias, user: remoteUser };
+
+    for (const block of blocks) {
+      if (!block.conditions.every(condition => conditionMatches(condition, context))) continue;
+      for (const [key, value] of block.options) {
+        if (MULTI_VALUE_OPTIONS.has(key)) {
+          (values[key] = values[key] || []).push(value);
+        } else if (!(key in values)) {
+          values[key] = value;
+          // Later `Match host` blocks see the substituted HostName
+          if (key === 'hostname') context.hostname = expandTokens(value, { alias, hostname: alias });
+          if (key === 'user' && !remoteUser) context.user = value;
+        }
+      }
+    }
+
+    const hostname = values.hostname ? expandTokens(values.hostname, { alias, hostname: alias }) : null;
+    const port = values.port ? parseInt(values.port, 10) : null;
+    const user = values.user || null;
+    const tokens = { alias, hostname: hostname || alias, port: port || 22, user: remoteUser || user };
+    return {
+      hostname,
+      port: Number.isInteger(port) ? port : null,
+      user,
+      identityFiles: (values.identityfile || [])
+        .filter(file => file.toLowerCase() !== 'none')
+        .map(file => expandTokens(file, tokens)),
+      proxyJump: values.proxyjump && values.proxyjump.toLowerCase() !== 'none'
+        ? parseProxyJump(values.proxyjump)
+        : null
+    };
+  }
+
+  async getBlocks() {
+    if (this.cache && await this.isFresh(this.cache.files)) {
+      return this.cache.blocks;
+    }
+    const files = new Map();
+    const blocks = [];
+    const sshDir = path.dirname(this.userConfigPath);
+    await this.readFile(this.userConfigPath, sshDir, [], blocks, files, 0);
+    if (this.systemConfigPath) {
+      await this.readFile(this.systemConfigPath, path.dirname(this.systemConfigPath), [], blocks, files, 0);
+    }
+    this.cache = { files, blocks };
+    this.debug(`Read ${blocks.length} ssh config blocks from ${files.size} file(s)`);
+    return blocks;
+  }
+
+  async isFresh(files) {
+    for (const [filePath, mtimeMs] of files) {
+      let current = null;
+      try {
+        current = (await fs.stat(filePath)).mtimeMs;
+      } catch (_) {
+        // missing files are recorded with a null mtime
+      }
+      if (current !== mtimeMs) return false;
+    }
+    return true;
+  }
+
+  // Parse one config file into `blocks`. `guards` are the conditions of the
+  // Host/Match block an Include appeared in, which also apply to everything
+  // the included file contains.
+  async readFile(filePath, baseDir, guards, blocks, files, depth) {
+    let text;
+    try {
+      files.set(filePath, (await fs.stat(filePath)).mtimeMs);
+      text = await fs.readFile(filePath, 'utf8');
+    } catch (_) {
+      files.set(filePath, null);
+      return;
+    }
+
+    let current = { conditions: guards, options: [] };
+    blocks.push(current);
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      const parsed = parseLine(rawLine);
+      if (!parsed) continue;
+      const [key, args] = parsed;
+
+      if (key === 'host') {
+        current = { conditions: [...guards, { type: 'host', patterns: args }], options: [] };
+        blocks.push(current);
+      } else if (key === 'match') {
+        current = { conditions: [...guards, ...parseMatch(args)], options: [] };
+        blocks.push(current);
+      } else if (key === 'include') {
+        if (depth >= MAX_INCLUDE_DEPTH) {
+          console.warn(`Ignoring Include in ${filePath}: nested too deeply`);
+          continue;
+        }
+        for (const pattern of args) {
+          for (const included of await expandInclude(pattern, baseDir)) {
+            await this.readFile(included, baseDir, current.conditions, blocks, files, depth + 1);
+          }
+        }
+        // Options after the Include still belong to the enclosing block
+        current = { conditions: current.conditions, options: [] };
+        blocks.push(current);
+      } else {
+        current.options.push([key, args.join(' ')]);
+      }
+    }
+  }
+}
+
+// Split a config line into a lower-cased keyword and its arguments, honouring
+// `Key=value` and double-quoted arguments. Returns null for blanks/comments.
+function parseLine(rawLine) {
+  const line = rawLine.trim();
+  if (!line || line.startsWith('#')) return null;
+  const match = line.match(/^([^\s=]+)\s*(?:=\s*|\s+)(.*)$/);
+  if (!match) return [line.toLowerCase(), []];
+  const args = [];
+  const re = /"([^"]*)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(match[2])) !== null) {
+    if (m[2] && m[2].startsWith('#')) break;
+    args.push(m[1] !== undefined ? m[1] : m[2]);
+  }
+  return [match[1].toLowerCase(), args];
+}
+
+// `Match` criteria -> conditions. Criteria we cannot evaluate (exec,
+// canonical, ...) never match, so their blocks are skipped.
+function parseMatch(args) {
+  const conditions = [];
+  for (let i = 0; i < args.length; i++) {
+    let criterion = args[i].toLowerCase();
+    const negated = criterion.startsWith('!');
+    if (negated) criterion = criterion.slice(1);
+    if (criterion === 'all') {
+      conditions.push({ type: 'all', negated });
+    } else if (['host', 'originalhost', 'user', 'localuser'].includes(criterion)) {
+      conditions.push({ type: `match-${criterion}`, negated, patterns: (args[++i] || '').split(',') });
+    } else {
+      if (!['canonical', 'final'].includes(criterion)) i++;
+      conditions.push({ type: 'unsupported', negated: false });
+    }
+  }
+  return conditions;
+}
+
+function conditionMatches(condition, context) {
+  let result;
+  switch (condition.type) {
+    case 'host':
+      result = matchPatternList(condition.patterns, context.alias);
+      break;
+    case 'all':
+      result = true;
+      break;
+    case 'match-host':
+      result = matchPatternList(condition.patterns, context.hostname);
+      break;
+    case 'match-originalhost':
+      result = matchPatternList(condition.patterns, context.alias);
+      break;
+    case 'match-user':
+      result = !!context.user && matchPatternList(condition.patterns, context.user);
+      break;
+    case 'match-localuser':
+      result = matchPatternList(condition.patterns, os.userInfo().username);
+      break;
+    default:
+      return false;
+  }
+  return condition.negated ? !result : result;
+}
+
+// A pattern list matches if any pattern matches and no negated one does
+function matchPatternList(patterns, name) {
+  let matched = false;
+  for (const pattern of patterns.flatMap(p => p.split(','))) {
+    if (!pattern) continue;
+    if (pattern.startsWith('!')) {
+      if (wildcardMatches(pattern.slice(1), name)) return false;
+    } else if (wildcardMatches(pattern, name)) {
+      matched = true;
+    }
+  }
+  return matched;
+}
+
+function wildcardMatches(pattern, name) {
+  const regex = new RegExp(
+    '^' + pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$',
+    'i'
+  );
+  return regex.test(name);
+}
+
+async function expandInclude(pattern, baseDir) {
+  let expanded = pattern.startsWith('~') ? path.join(os.homedir(), pattern.slice(1)) : pattern;
+  if (!path.isAbsolute(expanded)) expanded = path.join(baseDir, expanded);
+  const dir = path.dirname(expanded);
+  const base = path.basename(expanded);
+  if (!/[*?]/.test(base)) return [expanded];
+  try {
+    const names = await fs.readdir(dir);
+    return names.filter(name => wildcardMatches(base, name)).sort().map(name => path.join(dir, name));
+  } catch (_) {
+    return [];
+  }
+}
+
+// Percent tokens and ~ as used in HostName and IdentityFile
+function expandTokens(value, { alias, hostname, port = 22, user }) {
+  const localUser = os.userInfo().username;
+  let result = value.replace(/%([%hnprud])/g, (_, token) => ({
+    '%': '%',
+    h: hostname,
+    n: alias,
+    p: String(port),
+    r: user || localUser,
+    u: localUser,
+    d: os.homedir()
+  })[token]);
+  if (result.startsWith('~')) result = path.join(os.homedir(), result.slice(1));
+  return result;
+}
+
+// ProxyJump "[user@]host[:port],..." -> [{ host, port, username }, ...]
+function parseProxyJump(value) {
+  return value.split(',').map(spec => spec.trim()).filter(Boolean).map(spec => {
+    const hop = {};
+    let rest = spec.replace(/^ssh:\/\//, '');
+    const at = rest.lastIndexOf('@');
+    if (at !== -1) {
+      hop.username = rest.slice(0, at);
+      rest = rest.slice(at + 1);
+    }
+    const portMatch = rest.match(/^\[?([^\]]*)\]?:(\d+)$/);
+    if (portMatch) {
+      rest = portMatch[1];
+      hop.port = parseInt(portMatch[2], 10);
+    }
+    hop.host = rest;
+    return hop;
+  });
+}
+
+module.exports = SSHClientConfig;
+module.exports.wildcardMatches = wildcardMatches;
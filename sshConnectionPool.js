@@ -0,0 +1,321 @@
+const { Client } = require('ssh2');
+
+const DEFAULT_IDLE_TIMEOUT = 60000;   // close connections unused for a minute
+const DEFAULT_READY_TIMEOUT = 10000;  // give slow hosts (Pis) time to handshake
+const KEEPALIVE_INTERVAL = 15000;
+
+const noop = () => {};
+
+// Keeps one authenticated ssh2 Client per user@host:port and hands out exec
+// and SFTP channels on it. Connections are dropped from the pool as soon as
+// they close, so the next caller reconnects transparently, and are ended once
+// nobody has used them for `idleTimeout` ms.
+class SSHConnectionPool {
+  constructor({ idleTimeout = DEFAULT_IDLE_TIMEOUT, readyTimeout = DEFAULT_READY_TIMEOUT, debug = noop } = {}) {
+    this.idleTimeout = idleTimeout;
+    this.readyTimeout = readyTimeout;
+    this.debug = debug;
+    this.entries = new Map();
+  }
+
+  // Connections reached through a jump host are keyed by the whole chain, so
+  // the same target behind two different bastions gets two connections.
+  static keyFor(options) {
+    const target = `${options.username}@${options.host}:${options.port || 22}`;
+    return options.via ? `${SSHConnectionPool.keyFor(options.via)}>${target}` : target;
+  }
+
+  // Return the pooled entry for these options, connecting if needed.
+  // `entry.ready` resolves with the client once the connection is ready.
+  getEntry(options) {
+    const key = SSHConnectionPool.keyFor(options);
+    let entry = this.entries.get(key);
+    if (entry) return entry;
+
+    entry = {
+      key,
+      client: new Client(),
+      users: 0,
+      idleTimer: null,
+      sftp: null,
+      used: false,
+      ready: null
+    };
+    entry.ready = this.connect(entry, options);
+    // Callers that gave up waiting (timeout) must not trigger unhandled rejections
+    entry.ready.catch(noop);
+
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async connect(entry, options) {
+    const { via, ...connectOptions } = options;
+    const { key, client } = entry;
+
+    // Tunnel through the jump host: the jump connection is itself pooled and
+    // stays leased for as long as this connection is open.
+    let jump = null;
+    if (via) {
+      try {
+        jump = await this.lease(via);
+        connectOptions.sock = await new Promise((resolve, reject) => {
+          jump.client.forwardOut('127.0.0.1', 0, options.host, options.port || 22, (err, stream) => {
+            if (err) reject(err);
+            else resolve(stream);
+          });
+        });
+      } catch (err) {
+        if (jump) jump.release();
+        this.debug(`${key}: jump host error`, err.message);
+        this.discard(entry);
+        throw err;
+      }
+    }
+
+    return new Promise((resolve, reject) => {
+      client.on('ready', () => {
+        this.debug(`${key}: connection ready`);
+        resolve(client);
+      }).on('error', (err) => {
+        this.debug(`${key}: connection error`, err.message);
+        this.discard(entry);
+        reject(err);
+      }).on('close', () => {
+        this.debug(`${key}: connection closed`);
+        this.discard(entry);
+        if (jump) jump.release();
+        reject(new Error('Connection closed'));
+      });
+
+      this.debug(`${key}: connecting`);
+      client.connect({
+        readyTimeout: this.readyTimeout,
+        keepaliveInterval: KEEPALIVE_INTERVAL,
+        ...connectOptions
+      });
+    });
+  }
+
+  discard(entry) {
+    if (this.entries.get(entry.key) === entry) {
+      this.entries.delete(entry.key);
+    }
+    if (entry.idleTimer) {
+      clearTimeout(entry.idleTimer);
+      entry.idleTimer = null;
+    }
+    entry.sftp = null;
+  }
+
+  // Borrow a ready connection. `release()` must be called once the caller is
+  // done with it so the idle timer can start. A non-zero timeout limits how
+  // long we wait for the handshake; the connection attempt itself carries on
+  // in the background so the next caller can reuse it.
+  async lease(options, timeout = 0) {
+    const entry = this.getEntry(options);
+    entry.users += 1;
+    if (entry.idleTimer) {
+      clearTimeout(entry.idleTimer);
+      entry.idleTimer = null;
+    }
+
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      entry.users -= 1;
+      this.scheduleIdle(entry);
+    };
+
+    try {
+      const client = await withTimeout(entry.ready, timeout, `Connection to ${entry.key} timed out`);
+      return { client, entry, release };
+    } catch (err) {
+      release();
+      throw err;
+    }
+  }
+
+  scheduleIdle(entry) {
+    if (entry.users > 0 || entry.idleTimer || this.entries.get(entry.key) !== entry) return;
+    entry.idleTimer = setTimeout(() => {
+      entry.idleTimer = null;
+      if (entry.users === 0) {
+        this.debug(`${entry.key}: closing idle connection`);
+        this.discard(entry);
+        entry.client.end();
+      }
+    }, this.idleTimeout);
+  }
+
+  // Run a command on the pooled connection, collecting stdout and stderr.
+  // If the channel cannot be opened on a reused connection it is assumed to
+  // be stale: it is thrown away and the command is retried once on a fresh one.
+  // A non-zero timeout limits the handshake and then, once the connection is
+  // ready, opening the channel and the command finishing. A command that runs
+  // out of time has its channel closed. The connection is only ended as well
+  // if it had been idle before and nothing else (a terminal, a log tail, SFTP)
+  // is using it: a connection that just completed its handshake is alive, and
+  // the others' channels must not be cut off.
+  async exec(options, command, { timeout = 0 } = {}) {
+    try {
+      return await this.execOnce(options, command, timeout);
+    } catch (err) {
+      if (!err.staleConnection) throw err;
+      this.debug(`${SSHConnectionPool.keyFor(options)}: retrying on a new connection`);
+      return this.execOnce(options, command, timeout);
+    }
+  }
+
+  async execOnce(options, command, timeout) {
+    const { client, entry, release } = await this.lease(options, timeout);
+    const reused = entry.used;
+    entry.used = true;
+
+    return new Promise((resolve, reject) => {
+      let stream = null;
+      let timer = null;
+      let done = false;
+      const finish = (err, result) => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        release();
+        if (err) reject(err);
+        else resolve(result);
+      };
+
+      if (timeout) {
+        timer = setTimeout(() => {
+          if (stream) stream.close();
+          if (reused && entry.users === 1) {
+            this.debug(`${entry.key}: command timed out, dropping the connection`);
+            this.discard(entry);
+            entry.client.end();
+          } else {
+            this.debug(`${entry.key}: command timed out`);
+          }
+          const err = new Error(`Command on ${entry.key} timed out`);
+          err.timeout = true;
+          finish(err);
+        }, timeout);
+      }
+
+      client.exec(command, (err, channel) => {
+        if (done) {
+          if (!err) channel.close();
+          return;
+        }
+        if (err) {
+          if (reused) {
+            this.discard(entry);
+            entry.client.end();
+            err.staleConnection = true;
+          }
+          finish(err);
+          return;
+        }
+
+        stream = channel;
+        let output = '';
+        channel.on('close', (code, signal) => {
+          finish(null, { output, code, signal });
+        }).on('data', (data) => {
+          output += data;
+        }).stderr.on('data', (data) => {
+          output += data;
+        });
+      });
+    });
+  }
+
+  // Return the SFTP session for this connection, opening it on first use.
+  async sftp(options, timeout = 0) {
+    const { client, entry, release } = await this.lease(options, timeout);
+    try {
+      if (!entry.sftp) {
+        entry.sftp = new Promise((resolve, reject) => {
+          client.sftp((err, sftp) => {
+            if (err) {
+              entry.sftp = null;
+              reject(err);
+              return;
+            }
+            sftp.on('close', () => {
+              entry.sftp = null;
+            });
+            resolve(sftp);
+          });
+        });
+      }
+      const sftp = await entry.sftp;
+      return { sftp, release };
+    } catch (err) {
+      release();
+      throw err;
+    }
+  }
+
+  // Run a long-lived command (e.g. `tail -F`) and hand back its channel. As
+  // with shell(), the connection stays leased until `release()` is called.
+  // With a pty the remote command is hung up when the channel is closed,
+  // instead of lingering until it next writes.
+  async execStream(options, command, { pty = false, timeout = 0 } = {}) {
+    const { client, release } = await this.lease(options, timeout);
+    try {
+      const stream = await new Promise((resolve, reject) => {
+        client.exec(command, { pty }, (err, stream) => {
+          if (err) reject(err);
+          else resolve(stream);
+        });
+      });
+      return { stream, release };
+    } catch (err) {
+      release();
+      throw err;
+    }
+  }
+
+  // Open an interactive shell channel. The connection stays leased until the
+  // returned `release()` is called, normally when the stream closes.
+  async shell(options, window = { term: 'xterm' }, timeout = 0) {
+    const { client, release } = await this.lease(options, timeout);
+    try {
+      const stream = await new Promise((resolve, reject) => {
+        client.shell(window, (err, stream) => {
+          if (err) reject(err);
+          else resolve(stream);
+        });
+      });
+      return { stream, release };
+    } catch (err) {
+      release();
+      throw err;
+    }
+  }
+
+  closeAll() {
+    for (const entry of Array.from(this.entries.values())) {
+      this.discard(entry);
+      entry.client.end();
+    }
+  }
+}
+
+function withTimeout(promise, timeout, message) {
+  if (!timeout) return promise;
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const err = new Error(message);
+        err.timeout = true;
+        reject(err);
+      }, timeout);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+module.exports = SSHConnectionPool;
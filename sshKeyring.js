@@ -0,0 +1,120 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { utils } = require('ssh2');
+
+const MAX_PASSPHRASE_ATTEMPTS = 3;
+
+const noop = () => {};
+
+function expandHome(filePath) {
+  if (filePath === '~') return os.homedir();
+  if (filePath.startsWith('~/') || filePath.startsWith('~\\')) {
+    return path.join(os.homedir(), filePath.slice(2));
+  }
+  return filePath;
+}
+
+// Loads private keys on demand and keeps the parsed (decrypted) key in memory
+// for the rest of the session, so an encrypted key only needs its passphrase
+// once. A key that is missing, unreadable or whose passphrase was declined is
+// remembered the same way, until its file changes or forget() is called, so
+// status polls neither ask again nor log the same error each time. Passphrases are obtained from `passphraseProvider(keyPath, info)`,
+// which resolves with the passphrase or null if the user declined.
+class SSHKeyring {
+  constructor({ passphraseProvider = null, debug = noop } = {}) {
+    this.passphraseProvider = passphraseProvider;
+    this.debug = debug;
+    this.keys = new Map(); // resolved key path -> { mtime, key: Promise<parsed key | null> }
+  }
+
+  setPassphraseProvider(provider) {
+    this.passphraseProvider = provider;
+  }
+
+  // Drop cached keys (all of them, or just one path) so they are re-read on
+  // next use, e.g. after a key file has been replaced.
+  forget(keyPath) {
+    if (keyPath) {
+      this.keys.delete(path.resolve(expandHome(keyPath)));
+    } else {
+      this.keys.clear();
+    }
+  }
+
+  // Parsed private key for `keyPath`, or null if it is missing, unreadable or
+  // its passphrase was not supplied. Concurrent callers share one load (and
+  // therefore one passphrase prompt); the file is only read again once its
+  // modification time changes (or it appears or disappears).
+  async getKey(keyPath) {
+    const resolved = path.resolve(expandHome(keyPath));
+    const mtime = await fs.stat(resolved).then(stats => stats.mtimeMs, () => null);
+    const cached = this.keys.get(resolved);
+    if (cached && cached.mtime === mtime) return cached.key;
+    const key = this.loadKey(resolved);
+    this.keys.set(resolved, { mtime, key });
+    return key;
+  }
+
+  async loadKey(keyPath) {
+    let data;
+    try {
+      data = await fs.readFile(keyPath);
+    } catch (error) {
+      console.error(`Error loading SSH key ${keyPath}:`, error.message);
+      return null;
+    }
+
+    let parsed = utils.parseKey(data);
+    if (parsed instanceof Error && /no passphrase given/i.test(parsed.message)) {
+      parsed = await this.decryptKey(keyPath, data);
+      if (!parsed) return null;
+    }
+    if (parsed instanceof Error) {
+      console.error(`Unable to parse SSH key ${keyPath}:`, parsed.message);
+      return null;
+    }
+    this.debug(`Loaded SSH key ${keyPath}`);
+    return Array.isArray(parsed) ? parsed[0] : parsed;
+  }
+
+  async decryptKey(keyPath, data) {
+    if (!this.passphraseProvider) {
+      console.warn(`SSH key ${keyPath} is encrypted and no passphrase prompt is available`);
+      return null;
+    }
+    let error = null;
+    for (let attempt = 1; attempt <= MAX_PASSPHRASE_ATTEMPTS; attempt++) {
+      const passphrase = await this.passphraseProvider(keyPath, { attempt, error });
+      if (passphrase === null || passphrase === undefined) {
+        console.warn(`No passphrase given for SSH key ${keyPath}; skipping it`);
+        return null;
+      }
+      const parsed = utils.parseKey(data, passphrase);
+      if (!(parsed instanceof Error)) return parsed;
+      error = 'Incorrect passphrase';
+      this.debug(`Passphrase attempt ${attempt} for ${keyPath} failed:`, parsed.message);
+    }
+    console.error(`Giving up on SSH key ${keyPath} after ${MAX_PASSPHRASE_ATTEMPTS} passphrase attempts`);
+    return null;
+  }
+
+  // ssh2 `authHandler` list for a connection: the keys that could be loaded,
+  // in order, followed by the ssh-agent from SSH_AUTH_SOCK (if one is running).
+  async authHandler(username, keyPaths) {
+    const methods = [];
+    for (const keyPath of [].concat(keyPaths || [])) {
+      const key = await this.getKey(keyPath);
+      if (key) {
+        methods.push({ type: 'publickey', username, key });
+      }
+    }
+    if (process.env.SSH_AUTH_SOCK) {
+      methods.push({ type: 'agent', username, agent: process.env.SSH_AUTH_SOCK });
+    }
+    return methods;
+  }
+}
+
+module.exports = SSHKeyring;
+module.exports.expandHome = expandHome;
@@ -1,6 +1,36 @@
-const { Client } = require('ssh2');
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
+const SSHConnectionPool = require('./sshConnectionPool');
+const SSHKeyring = require('./sshKeyring');
+const HostKeyStore = require('./hostKeyStore');
+const SSHClientConfig = require('./sshClientConfig');
+const {
+  InvalidServerConfigError,
+  buildLogCommand,
+  buildLogFollowCommand,
+  buildLogListCommand,
+  buildLogReadCommand,
+  buildLogGrepCommand,
+  buildLogRotateCommand,
+  logFileName
+} = require('./remoteCommand');
+const {
+  sessionBackend,
+  buildStartCommand,
+  buildStopCommand,
+  buildAttachCommand
+} = require('./sessionBackends');
+const {
+  CURRENT_CONFIG_VERSION,
+  validateServer,
+  validateConfig,
+  migrateConfig,
+  applyServerDefaults
+} = require('./configSchema');
+const { diffLines } = require('./textDiff');
+const { writeFileAtomic } = require('./atomicFile');
+const ConfigBackups = require('./configBackups');
 
 const DEBUG_SSH = ['1', 'true', 'yes'].includes(
   (process.env.DEBUG_SSH || '').toLowerCase()
@@ -11,302 +41,691 @@ const debugLog = (...args) => {
   }
 };
 
+const MAX_PROXY_JUMP_DEPTH = 8;
+const MAX_UNDO_STEPS = 20;
+
+// Old server logs kept by rotation, see the `logs` setting
+const LOG_DEFAULTS = { keep: 5, rotateOnStart: false };
+const LOG_PAGE_SIZE = 128 * 1024;
+const LOG_GREP_MAX = 1000;
+const HTTP_TIMEOUT = 2000;
+
+// Raised by saveConfig when launchers.json was changed by someone else
+// since it was loaded; `conflict` describes both versions for the user.
+class ConfigConflictError extends Error {
+  constructor(conflict) {
+    super('launchers.json was changed outside the app since it was loaded');
+    this.name = 'ConfigConflictError';
+    this.conflict = conflict;
+  }
+}
+
+// Normalise a server's `jump_host` setting into an ordered list of hops,
+// first hop (the one we connect to directly) first. Accepts a single
+// { host, port, username } object, an array of them, or an object whose own
+// `jump_host` names the hop in front of it.
+function jumpHostChain(jumpHost) {
+  if (!jumpHost) return [];
+  if (Array.isArray(jumpHost)) {
+    return jumpHost.flatMap(jumpHostChain);
+  }
+  return [...jumpHostChain(jumpHost.jump_host), jumpHost];
+}
+
 class SSHOperations {
   constructor(configPath, sshKeyPath) {
     this.config = {};
+    this.configSettings = {};    // top-level sections other than the servers
+    this.configVersion = CURRENT_CONFIG_VERSION;
+    this.configProblems = [];
+    this.configLoadError = null; // set while the file cannot be parsed
+    this.configText = null;      // file contents the in-memory config is based on
+    this.savedConfigJson = null; // in-memory config as last loaded or saved
+    this.undoStack = [];         // [{ label, servers }] before each change
+    this.backups = new ConfigBackups(configPath);
     this.sshKeyPath = sshKeyPath;
     this.configPath = configPath;
-    this.screenSessionCache = {}; // Cache for screen sessions by host
+    this.sessionCache = {}; // host -> backend -> { timestamp, sessions }
+    this.metrics = null;
+    this.pool = new SSHConnectionPool({ debug: debugLog });
+    this.keyring = new SSHKeyring({ debug: debugLog });
+    this.hostKeys = new HostKeyStore({ debug: debugLog });
+    this.sshClientConfig = new SSHClientConfig({ debug: debugLog });
   }
 
-  async initialize() {
-    await this.loadConfig();
+  async initialize(loadOptions) {
+    await this.loadConfig(loadOptions);
     await this.loadSSHKey();
   }
 
-  async loadConfig() {
+  // Read launchers.json, migrating older layouts forward (the original file
+  // is kept as launchers.json.v<N>.bak). With `writeMigrated` false the
+  // migration only happens in memory and the file is left alone, for callers
+  // that only read it. Problems are collected in `configProblems` rather than
+  // thrown, and a file that cannot be parsed leaves the previously loaded
+  // servers in place.
+  async loadConfig({ writeMigrated = true } = {}) {
+    let text, data;
     try {
-      const configData = await fs.readFile(this.configPath, 'utf8');
-      this.config = JSON.parse(configData);
-      // Set default values if not specified
-      Object.keys(this.config).forEach(serverName => {
-        const server = this.config[serverName];
-        if (!server.httpPort) server.httpPort = 5000;
-        if (!server.shell) server.shell = 'bash';
-        if (!('active' in server)) server.active = true;
-        if (!('device' in server)) server.device = false;
-        if (!server.username) {
-          console.warn(`Username not specified for server ${serverName}. Using current user.`);
-          server.username = require('os').userInfo().username;
-        }
-      });
+      text = await this.readConfigText();
+      this.configText = text;
+      if (text === null) {
+        // A new file is created on the first save
+        this.config = {};
+        this.configSettings = {};
+        this.undoStack = [];
+        this.configLoadError = null;
+        this.configProblems = [];
+        this.markConfigSaved();
+        return;
+      }
+      data = JSON.parse(text);
     } catch (error) {
       console.error('Error loading config:', error);
+      this.configLoadError = `${path.basename(this.configPath)} could not be read: ${error.message}`;
+      this.configProblems = [{ server: null, field: null, message: this.configLoadError, level: 'error' }];
+      return;
+    }
+
+    let document, fromVersion;
+    try {
+      ({ document, fromVersion } = migrateConfig(data));
+    } catch (error) {
+      console.error('Error loading config:', error.message);
+      this.configLoadError = error.message;
+      this.configProblems = [{ server: null, field: null, message: error.message, level: 'error' }];
+      return;
+    }
+    this.configLoadError = null;
+    this.configVersion = Math.max(fromVersion, CURRENT_CONFIG_VERSION);
+
+    if (fromVersion < CURRENT_CONFIG_VERSION && writeMigrated) {
+      await this.writeMigratedConfig(document, fromVersion);
+    }
+
+    const { version, servers, ...settings } = document;
+    this.config = servers && typeof servers === 'object' ? servers : {};
+    this.configSettings = settings;
+    Object.values(this.config).forEach(applyServerDefaults);
+    // Undo steps refer to the state before this load
+    this.undoStack = [];
+    const backupSettings = settings.backups || {};
+    this.backups.setKeep(Number.isInteger(backupSettings.keep) ? backupSettings.keep : ConfigBackups.DEFAULT_BACKUP_COUNT);
+    // A missing username is resolved at connect time from ~/.ssh/config
+    this.markConfigSaved();
+
+    this.configProblems = validateConfig(document);
+    if (fromVersion > CURRENT_CONFIG_VERSION) {
+      this.configProblems.unshift({
+        server: null,
+        field: 'version',
+        message: `version: written by a newer version of the app (${fromVersion}); it will not be saved`,
+        level: 'warning'
+      });
+    }
+    this.configProblems.forEach(({ message, server, level }) => {
+      console.warn(`Config ${level}${server ? ` in ${server}` : ''}: ${message}`);
+    });
+  }
+
+  async writeMigratedConfig(document, fromVersion) {
+    const backupPath = `${this.configPath}.v${fromVersion}.bak`;
+    try {
+      await fs.copyFile(this.configPath, backupPath);
+      const text = JSON.stringify(document, null, 2);
+      await writeFileAtomic(this.configPath, text);
+      this.configText = text;
+      console.log(`Migrated ${this.configPath} from version ${fromVersion} to ${CURRENT_CONFIG_VERSION} (backup: ${backupPath})`);
+    } catch (error) {
+      // The migrated copy is still used for this session
+      console.error('Error writing migrated config:', error);
     }
   }
-  async saveConfig() {
+
+  // Contents of launchers.json, or null if it does not exist
+  async readConfigText() {
     try {
-      await fs.writeFile(this.configPath, JSON.stringify(this.config, null, 2));
+      return await fs.readFile(this.configPath, 'utf8');
     } catch (error) {
-      console.error('Error saving config:', error);
+      if (error.code === 'ENOENT') return null;
       throw error;
     }
   }
 
-  async loadSSHKey() {
+  configDocument() {
+    return { version: CURRENT_CONFIG_VERSION, servers: this.config, ...this.configSettings };
+  }
+
+  markConfigSaved() {
+    this.savedConfigJson = JSON.stringify(this.configDocument());
+  }
+
+  // True if servers were changed in the app but not written to disk
+  isConfigDirty() {
+    return JSON.stringify(this.configDocument()) !== this.savedConfigJson;
+  }
+
+  // Write the in-memory config. Throws ConfigConflictError rather than
+  // overwrite changes made to the file by someone else since it was loaded,
+  // unless `force` is set (the user chose to keep the app's version).
+  async saveConfig({ force = false } = {}) {
+    if (this.configLoadError && !force) {
+      throw new Error(`Not saving over a file that failed to load (${this.configLoadError})`);
+    }
+    if (this.configVersion > CURRENT_CONFIG_VERSION) {
+      throw new Error(`Not saving: the config file is from a newer version (${this.configVersion}) of the app`);
+    }
+    try {
+      if (!force) {
+        const diskText = await this.readConfigText();
+        if (diskText !== this.configText) {
+          throw new ConfigConflictError(this.describeConfigConflict(diskText));
+        }
+      }
+      const document = this.configDocument();
+      const text = JSON.stringify(document, null, 2);
+      await this.backups.create();
+      await writeFileAtomic(this.configPath, text);
+      this.configText = text;
+      this.configLoadError = null;
+      this.markConfigSaved();
+      this.configProblems = validateConfig(document);
+    } catch (error) {
+      if (!(error instanceof ConfigConflictError)) {
+        console.error('Error saving config:', error);
+      }
+      throw error;
+    }
+  }
+
+  // The file on disk against the app's copy, both normalised to the current
+  // layout (with defaults filled in) so that only real differences show
+  describeConfigConflict(diskText) {
+    let diskSide = diskText || '';
+    try {
+      const { document } = migrateConfig(JSON.parse(diskText));
+      if (document.servers && typeof document.servers === 'object') {
+        Object.values(document.servers).forEach(applyServerDefaults);
+      }
+      diskSide = JSON.stringify(document, null, 2);
+    } catch (_) {
+      // Unparseable (or missing) files are shown as they are
+    }
+    const appSide = JSON.stringify(this.configDocument(), null, 2);
+    return { configPath: this.configPath, diff: diffLines(diskSide, appSide) };
+  }
+
+  // Called when launchers.json may have changed on disk. Reloads it unless
+  // there are unsaved changes in the app, in which case the conflict is
+  // returned for the user to resolve. Returns { changed, conflict }.
+  async handleExternalConfigChange() {
+    const diskText = await this.readConfigText();
+    if (diskText === this.configText) {
+      return { changed: false, conflict: null };
+    }
+    if (this.isConfigDirty()) {
+      console.warn(`${this.configPath} changed on disk while there are unsaved changes`);
+      return { changed: true, conflict: this.describeConfigConflict(diskText) };
+    }
+    console.log(`${this.configPath} changed on disk; reloading`);
+    await this.loadConfig();
+    return { changed: true, conflict: null };
+  }
+
+  // Replace launchers.json with another file, keeping a backup of the
+  // current one. A file with errors (as the Settings tab would list them) is
+  // refused, so it cannot replace working server definitions.
+  async importConfig(sourcePath) {
+    const fileName = path.basename(sourcePath);
+    const text = await fs.readFile(sourcePath, 'utf8');
+    let data;
     try {
-      this.sshKey = await fs.readFile(this.sshKeyPath);
+      data = JSON.parse(text);
     } catch (error) {
-      console.error('Error loading SSH key:', error);
+      throw new Error(`${fileName} is not valid JSON: ${error.message}`);
     }
+    const { document } = migrateConfig(data);
+    const errors = validateConfig(document).filter(p => p.level === 'error');
+    if (errors.length) {
+      const lines = errors.map(({ server, message }) => `${server ? `${server}: ` : ''}${message}`);
+      throw new Error(`${fileName} was not imported:\n${lines.join('\n')}`);
+    }
+    await this.backups.create();
+    await writeFileAtomic(this.configPath, text);
+    await this.loadConfig();
+  }
+
+  async listConfigBackups() {
+    return this.backups.list();
+  }
+
+  // What restoring a backup would change: '-' lines are in the current file,
+  // '+' lines in the backup
+  async previewConfigBackup(name) {
+    const backupText = await this.backups.read(name);
+    const currentText = (await this.readConfigText()) || '';
+    return { name, diff: diffLines(currentText, backupText) };
+  }
+
+  async restoreConfigBackup(name) {
+    const backupText = await this.backups.read(name);
+    await this.backups.create();
+    await writeFileAtomic(this.configPath, backupText);
+    console.log(`Restored ${this.configPath} from ${name}`);
+    await this.loadConfig();
+  }
+
+  async setBackupCount(keep) {
+    this.configSettings.backups = { ...this.configSettings.backups, keep };
+    this.backups.setKeep(keep);
+    await this.saveConfig();
+    await this.backups.prune();
+  }
+
+  // Remember the servers as they are before a change, for undoConfigChange
+  recordUndo(label) {
+    this.undoStack.push({ label, servers: JSON.parse(JSON.stringify(this.config)) });
+    if (this.undoStack.length > MAX_UNDO_STEPS) this.undoStack.shift();
+  }
+
+  getUndoLabel() {
+    const last = this.undoStack[this.undoStack.length - 1];
+    return last ? last.label : null;
+  }
+
+  // Revert the last add/update/remove/toggle and save. Returns its label,
+  // or null if there is nothing to undo.
+  async undoConfigChange() {
+    const last = this.undoStack.pop();
+    if (!last) return null;
+    this.config = last.servers;
+    Object.values(this.config).forEach(applyServerDefaults);
+    await this.saveConfig();
+    return last.label;
+  }
+
+  // Schema errors that stop commands being run for a server
+  getServerErrors(serverName) {
+    return validateServer(this.config[serverName], serverName).filter(p => p.level === 'error');
+  }
+
+  invalidConfigResult(errors) {
+    return {
+      success: false,
+      invalidConfig: true,
+      field: errors[0].field,
+      error: errors.map(e => e.message).join('\n')
+    };
+  }
+
+  // Keys are read lazily on first connection; this only drops the cached
+  // copies so that a replaced key file (or a new passphrase) takes effect.
+  async loadSSHKey() {
+    this.keyring.forget();
+  }
+
+  // Called with (keyPath, { attempt, error }) whenever an encrypted key needs
+  // its passphrase; should resolve with the passphrase or null.
+  setPassphraseProvider(provider) {
+    this.keyring.setPassphraseProvider(provider);
+  }
+
+  // Called with { host, port, keyType, fingerprint } the first time an
+  // unknown host is contacted; should resolve true to trust its key.
+  setHostKeyPrompt(prompt) {
+    this.hostKeys.setConfirmNewHost(prompt);
+  }
+
+  // Told how SSH commands, queue_state requests and server actions went, as
+  // they finish (see metricsExporter.js)
+  setMetrics(metrics) {
+    this.metrics = metrics;
+  }
+
+  // The changed host key (if any) that made a connection with these options
+  // fail, checking every hop of a jump host chain. Null without options.
+  findChangedHostKey(options) {
+    for (let hop = options; hop; hop = hop.via) {
+      const changed = this.hostKeys.getChangedKey(hop.host, hop.port);
+      if (changed) return changed;
+    }
+    return null;
+  }
+
+  hostKeyChangedResult(changed) {
+    const where = changed.port === 22 ? changed.host : `${changed.host}:${changed.port}`;
+    return {
+      success: false,
+      hostKeyChanged: true,
+      error: `Host key for ${where} has changed (now ${changed.keyType} ${changed.fingerprint})`
+    };
   }
 
   setConfigPath(newPath) {
     this.configPath = newPath;
+    this.backups.setPath(newPath);
   }
 
   setSshKeyPath(newPath) {
     this.sshKeyPath = newPath;
+    this.keyring.forget();
   }
   addServer(serverName, serverConfig) {
-    this.config[serverName] = serverConfig;
+    this.recordUndo(`add ${serverName}`);
+    this.config[serverName] = applyServerDefaults(serverConfig);
   }
 
   removeServer(serverName) {
+    this.recordUndo(`remove ${serverName}`);
     delete this.config[serverName];
   }
 
   updateServer(serverName, serverConfig) {
+    this.recordUndo(`edit ${serverName}`);
     this.config[serverName] = { ...this.config[serverName], ...serverConfig };
   }
 
   toggleServerActive(serverName) {
     if (this.config[serverName]) {
+      this.recordUndo(`${this.config[serverName].active ? 'deactivate' : 'activate'} ${serverName}`);
       this.config[serverName].active = !this.config[serverName].active;
     }
   }
 
-  async executeCommand(serverName, command, timeout = 0) {
-    return new Promise((resolve) => {
-      const serverConfig = this.config[serverName];
-      if (!serverConfig) {
-        resolve({ success: false, sshDown: true });
-        return;
+  // Effective connection parameters for one host entry ({ host, port,
+  // username, identity_file }). Explicit fields win over ~/.ssh/config, which
+  // wins over the app defaults, as with options given on the ssh command line.
+  async resolveEndpoint(entry, defaultUsername) {
+    const sshConfig = await this.sshClientConfig.resolve(entry.host, entry.username);
+    let identityFiles = [this.sshKeyPath];
+    if (entry.identity_file) {
+      identityFiles = [entry.identity_file];
+    } else if (sshConfig.identityFiles.length) {
+      identityFiles = sshConfig.identityFiles;
+    }
+    return {
+      alias: entry.host,
+      host: sshConfig.hostname || entry.host,
+      port: entry.port || sshConfig.port || 22,
+      username: entry.username || sshConfig.user || defaultUsername || os.userInfo().username,
+      identityFiles,
+      proxyJump: sshConfig.proxyJump
+    };
+  }
+
+  // Resolve a server and its jump hosts (first hop first). A `jump_host` in
+  // launchers.json replaces any ProxyJump from ~/.ssh/config; the first hop's
+  // own ProxyJump, if any, is followed as well.
+  async resolveConnection(serverConfig) {
+    const target = await this.resolveEndpoint(serverConfig);
+    const hops = serverConfig.jump_host ? jumpHostChain(serverConfig.jump_host) : (target.proxyJump || []);
+    return { ...target, jumps: await this.resolveJumps(hops, target.username, 0) };
+  }
+
+  async resolveJumps(hops, defaultUsername, depth) {
+    const chain = [];
+    for (const hop of hops) {
+      const endpoint = await this.resolveEndpoint(hop, defaultUsername);
+      if (chain.length === 0 && endpoint.proxyJump && depth < MAX_PROXY_JUMP_DEPTH) {
+        chain.push(...await this.resolveJumps(endpoint.proxyJump, defaultUsername, depth + 1));
       }
+      chain.push(endpoint);
+    }
+    return chain;
+  }
 
-      debugLog(`${serverName} -> ${serverConfig.host}: ${command}`);
+  // ssh2 connect options for a server entry. Jump hosts are returned as a
+  // nested `via` chain, outermost hop last, for the connection pool to tunnel
+  // through.
+  async getConnectOptions(serverConfig) {
+    const connection = await this.resolveConnection(serverConfig);
+    let via;
+    for (const hop of connection.jumps) {
+      via = await this.endpointOptions(hop, via);
+    }
+    return this.endpointOptions(connection, via);
+  }
 
-      const conn = new Client();
-      let timer;
-      let settled = false;
-      const cleanup = () => {
-        if (timer) {
-          clearTimeout(timer);
-          timer = null;
-        }
-      };
+  async endpointOptions(endpoint, via) {
+    return {
+      host: endpoint.host,
+      port: endpoint.port,
+      username: endpoint.username,
+      hostVerifier: this.hostKeys.verifier(endpoint.host, endpoint.port),
+      authHandler: await this.keyring.authHandler(endpoint.username, endpoint.identityFiles),
+      ...(via && { via })
+    };
+  }
 
-      conn.on('ready', () => {
-        debugLog(`${serverName}: connection ready`);
-        cleanup();
-        debugLog(`${serverName}: executing \"${command}\"`);
-        conn.exec(command, (err, stream) => {
-          if (err) {
-            conn.end();
-            if (!settled) {
-              settled = true;
-              resolve({ success: false, sshDown: true });
-            }
-            return;
-          }
+  // Effective connection parameters of every server, for display
+  async getConnectionInfo() {
+    const info = {};
+    for (const [serverName, serverConfig] of Object.entries(this.config)) {
+      try {
+        const { alias, host, port, username, identityFiles, jumps } = await this.resolveConnection(serverConfig);
+        info[serverName] = {
+          alias,
+          host,
+          port,
+          username,
+          identityFiles,
+          jumps: jumps.map(hop => ({ host: hop.host, port: hop.port, username: hop.username }))
+        };
+      } catch (error) {
+        console.error(`Error resolving connection for ${serverName}:`, error.message);
+      }
+    }
+    return info;
+  }
 
-          let output = '';
-          stream.on('close', (code, signal) => {
-            conn.end();
-            debugLog(`${serverName}: command finished with code ${code}`);
-            if (!settled) {
-              settled = true;
-              resolve({ success: true, output, code, signal });
-            }
-            debugLog(`${serverName}: output length ${output.length}`);
-          }).on('data', (data) => {
-            output += data;
-          }).stderr.on('data', (data) => {
-            output += data;
-          });
-        });
-      }).on('error', (err) => {
-        cleanup();
+  async executeCommand(serverName, command, timeout = 0) {
+    const serverConfig = this.config[serverName];
+    if (!serverConfig) {
+      return { success: false, sshDown: true };
+    }
+    const errors = this.getServerErrors(serverName);
+    if (errors.length) {
+      return this.invalidConfigResult(errors);
+    }
+
+    debugLog(`${serverName} -> ${serverConfig.host}: ${command}`);
+    // Resolving ssh_config, keys and jump hosts can fail too; that is
+    // reported like a connection that could not be made
+    let options;
+    let started = null;
+    try {
+      options = await this.getConnectOptions(serverConfig);
+      started = Date.now();
+      const { output, code, signal } = await this.pool.exec(options, command, { timeout });
+      this.reportCommand(serverName, started);
+      debugLog(`${serverName}: command finished with code ${code}`);
+      debugLog(`${serverName}: output length ${output.length}`);
+      return { success: true, output, code, signal };
+    } catch (err) {
+      if (started) this.reportCommand(serverName, started);
+      const changed = this.reportFailure(serverConfig.host, options, err);
+      if (changed) {
+        return this.hostKeyChangedResult(changed);
+      }
+      if (err.timeout) {
+        console.warn(`SSH connection timed out for ${serverName}`);
+        debugLog(`${serverName}: timeout after ${timeout}ms`);
+      } else {
         debugLog(`${serverName}: connection error`, err.message);
         console.error(`SSH connection error for ${serverName}:`, err);
-        if (!settled) {
-          settled = true;
-          resolve({ success: false, sshDown: true });
-        }
-      });
+      }
+      return { success: false, sshDown: true };
+    }
+  }
 
-      debugLog(`${serverName}: connecting to ${serverConfig.host}`);
-      conn.connect({
-        host: serverConfig.host,
-        port: 22,
-        username: serverConfig.username,
-        privateKey: this.sshKey
-      });
+  reportCommand(serverName, started) {
+    if (this.metrics) this.metrics.sshCommand(serverName, (Date.now() - started) / 1000);
+  }
 
-      if (timeout > 0) {
-        timer = setTimeout(() => {
-          console.warn(`SSH connection timed out for ${serverName}`);
-          debugLog(`${serverName}: timeout after ${timeout}ms`);
-          conn.destroy();
-          cleanup();
-          if (!settled) {
-            settled = true;
-            resolve({ success: false, sshDown: true });
-          }
-        }, timeout);
-      }
-    });
+  // Count a command, shell, log stream or SFTP session that could not be
+  // opened on `host`. Returns the changed host key behind it, if any.
+  reportFailure(host, options, err) {
+    const changed = this.findChangedHostKey(options);
+    if (this.metrics) this.metrics.sshFailure(host, changed ? 'host-key-changed' : (err.timeout ? 'timeout' : 'connect'));
+    return changed;
   }
 
-  async startServer(serverName) {
-    const serverConfig = this.config[serverName];
-    const screenLogPath = path.join('.afl', `${serverConfig.screen_name}.screenlog`);
-    let startCommand;
+  reportAction(serverName, action, result) {
+    if (this.metrics) this.metrics.serverAction(serverName, action, result);
+    return result;
+  }
 
-    if (serverConfig.server_module) {
-      let command = `python -m ${serverConfig.server_module}`;
-      if (serverConfig.conda_env) {
-        command = `conda activate ${serverConfig.conda_env};${command}`;
-      }
-      startCommand = `screen -d -m -L -Logfile $\{HOME}/${screenLogPath} -S ${serverConfig.screen_name} ${serverConfig.shell} -ci "${command}"`;
-    } else if (serverConfig.server_script) {
-      startCommand = `screen -d -m -L -Logfile $\{HOME}/${screenLogPath} -S ${serverConfig.screen_name} ${serverConfig.server_script}`;
-    } else {
-      return { success: false, error: 'Neither server_module nor server_script specified in config' };
+  // Build a remote command from the server definition and run it. Invalid
+  // definitions are reported instead of being sent to the host.
+  async runBuiltCommand(serverName, build) {
+    const serverConfig = this.config[serverName];
+    if (!serverConfig) {
+      return { success: false, error: `Unknown server ${serverName}` };
     }
+    let command;
+    try {
+      command = build(serverConfig);
+    } catch (error) {
+      if (!(error instanceof InvalidServerConfigError)) throw error;
+      console.error(`Invalid definition for ${serverName}: ${error.message}`);
+      return { success: false, invalidConfig: true, field: error.field, error: error.message };
+    }
+    return this.executeCommand(serverName, command);
+  }
 
-    return this.executeCommand(serverName, startCommand);
+  async startServer(serverName) {
+    return this.reportAction(serverName, 'start', await this.launchServer(serverName));
   }
 
   async stopServer(serverName) {
-    const serverConfig = this.config[serverName];
-    const stopCommand = `screen -X -S ${serverConfig.screen_name} quit`;
-    return this.executeCommand(serverName, stopCommand);
+    return this.reportAction(serverName, 'stop', await this.runBuiltCommand(serverName, buildStopCommand));
   }
 
+  // Counted as one restart, not as a stop and a start
   async restartServer(serverName) {
-    const stopResult = await this.stopServer(serverName);
-    if (!stopResult.success && !stopResult.sshDown) {
-      return stopResult;
-    }
-    return this.startServer(serverName);
+    const stopResult = await this.runBuiltCommand(serverName, buildStopCommand);
+    const result = !stopResult.success && !stopResult.sshDown
+      ? stopResult
+      : await this.launchServer(serverName);
+    return this.reportAction(serverName, 'restart', result);
+  }
+
+  async launchServer(serverName) {
+    const { keep, rotateOnStart } = this.logSettings();
+    // Each run gets a log of its own; the subshell keeps the rotation's `cd`
+    // from changing the server's working directory
+    return this.runBuiltCommand(serverName, serverConfig => (rotateOnStart
+      ? `(${buildLogRotateCommand(serverConfig, keep)}); ${buildStartCommand(serverConfig)}`
+      : buildStartCommand(serverConfig)));
   }
 
   async getServerStatus(serverName) {
     const serverConfig = this.config[serverName];
-
-    debugLog(`Checking status for ${serverName} on ${serverConfig.host}`);
-    
-    // Use the cached screen sessions if they exist for this host and are recent
-    const host = serverConfig.host;
-    const cachedData = this.screenSessionCache && this.screenSessionCache[host];
-    const now = Date.now();
-    
-    if (cachedData && (now - cachedData.timestamp) < 5000) { // Cache valid for 5 seconds
-      return {
-        success: true,
-        status: cachedData.sessions.includes(serverConfig.screen_name)
-      };
+    const errors = this.getServerErrors(serverName);
+    if (errors.length) {
+      return this.invalidConfigResult(errors);
     }
-    
-    const statusCommand = 'screen -ls';
-    const result = await this.executeCommand(serverName, statusCommand, 500);
 
+    debugLog(`Checking status for ${serverName} on ${serverConfig.host}`);
+    const backend = sessionBackend(serverConfig);
+    const result = await this.listSessions(serverName, backend);
     if (!result.success) {
-      return { success: false, sshDown: true };
-    }
-    
-    // Parse and cache all screen sessions for this host
-    if (!this.screenSessionCache) {
-      this.screenSessionCache = {};
-    }
-    
-    // Extract all session names from the screen -ls output
-    const screenSessions = [];
-    const lines = result.output.split('\n');
-    for (const line of lines) {
-      // Look for lines containing screen session info
-      const match = line.match(/\d+\.([^\s\t]+)/); // Extracts session name
-      if (match && match[1]) {
-        screenSessions.push(match[1]);
-      }
+      return result.hostKeyChanged ? result : { success: false, sshDown: true };
     }
-    
-    // Cache the results
-    this.screenSessionCache[host] = {
-      timestamp: now,
-      sessions: screenSessions
-    };
-
-    debugLog(
-      `${serverName}: sessions on ${host} -> ${screenSessions.join(', ')}`
-    );
-    
     return {
       success: true,
-      status: screenSessions.includes(serverConfig.screen_name)
+      status: result.sessions.includes(backend.sessionName(serverConfig))
     };
   }
 
-  // Get status for all servers on a given host in one call
+  // Sessions a backend runs on the host of `serverName`, with one command
+  // for all of them. Results are kept for 5 seconds, so a full status round
+  // asks each host once per backend.
+  async listSessions(serverName, backend) {
+    const host = this.config[serverName].host;
+    const hostCache = this.sessionCache[host] || (this.sessionCache[host] = {});
+    const cached = hostCache[backend.name];
+    const now = Date.now();
+    if (cached && (now - cached.timestamp) < 5000) {
+      return { success: true, sessions: cached.sessions };
+    }
+
+    const result = await this.executeCommand(serverName, backend.listCommand, 500);
+    if (!result.success) {
+      return result;
+    }
+    const sessions = backend.parseList(result.output);
+    hostCache[backend.name] = { timestamp: now, sessions };
+    debugLog(`${backend.name} sessions on ${host}: ${sessions.join(', ')}`);
+    return { success: true, sessions };
+  }
+
+  // Get status for all servers on a given host: one command per backend in
+  // use there. Resolves with { success, host, running: [server names] }.
   async getBatchServerStatus(host) {
-    // Find a server from this host to execute the command
-    const serverName = Object.keys(this.config).find(name =>
-      this.config[name].host === host
+    const serverNames = Object.keys(this.config).filter(name =>
+      this.config[name].host === host && this.getServerErrors(name).length === 0
     );
-    
-    if (!serverName) {
+    if (!serverNames.length) {
       return { success: false, error: `No server configured for host ${host}` };
     }
-    
-    debugLog(`Batch status for host ${host} using ${serverName}`);
-    const statusCommand = 'screen -ls';
-    const result = await this.executeCommand(serverName, statusCommand, 500);
-    
-    if (!result.success) {
-      return { success: false, sshDown: true, host };
+
+    // The first server using each backend runs its list command
+    const byBackend = new Map();
+    for (const name of serverNames) {
+      const backend = sessionBackend(this.config[name]);
+      if (!byBackend.has(backend)) byBackend.set(backend, []);
+      byBackend.get(backend).push(name);
     }
-    
-    // Extract all session names from the screen -ls output
-    const screenSessions = [];
-    const lines = result.output.split('\n');
-    for (const line of lines) {
-      const match = line.match(/\d+\.([^\s\t]+)/); // Extracts session name
-      if (match && match[1]) {
-        screenSessions.push(match[1]);
+    debugLog(`Batch status for host ${host}: ${[...byBackend.keys()].map(b => b.name).join(', ')}`);
+
+    const running = [];
+    for (const [backend, names] of byBackend) {
+      const result = await this.listSessions(names[0], backend);
+      if (!result.success) {
+        return result.hostKeyChanged ? { ...result, host } : { success: false, sshDown: true, host };
       }
+      running.push(...names.filter(name => result.sessions.includes(backend.sessionName(this.config[name]))));
     }
-    
-    // Cache the results
-    const now = Date.now();
-    if (!this.screenSessionCache) {
-      this.screenSessionCache = {};
-    }
-    this.screenSessionCache[host] = {
-      timestamp: now,
-      sessions: screenSessions
-    };
-    debugLog(`Host ${host} sessions: ${screenSessions.join(', ')}`);
-    
-    return { success: true, host, sessions: screenSessions };
+    return { success: true, host, running };
   }
   
+  // The server's queue_state (or status_url), which is also how the board
+  // polls it: { ok, state }, where `ok` says it answered and `state` is null
+  // for device servers
+  async fetchQueueState(serverName, timeout = HTTP_TIMEOUT) {
+    const serverConfig = this.config[serverName];
+    if (!serverConfig) return { ok: false, state: null };
+    let url = serverConfig.status_url;
+    if (!url) {
+      const { host } = await this.resolveConnection(serverConfig);
+      url = `http://${host}:${serverConfig.httpPort}/queue_state`;
+    }
+    const started = Date.now();
+    const result = await this.requestQueueState(serverConfig, url, timeout);
+    if (this.metrics) this.metrics.queueState(serverName, (Date.now() - started) / 1000);
+    return result;
+  }
+
+  async requestQueueState(serverConfig, url, timeout) {
+    try {
+      const response = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+      if (!response.ok) return { ok: false, state: null };
+      if (serverConfig.device) return { ok: true, state: null };
+      return { ok: true, state: (await response.text()).trim() };
+    } catch (_) {
+      return { ok: false, state: null };
+    }
+  }
+
   // Group all servers by host for efficient batch checking
   getServersByHost() {
     const hostMap = {};
     
     Object.entries(this.config).forEach(([serverName, serverConfig]) => {
       if (!serverConfig.active) return;
+      // Invalid definitions are reported by the UI instead of polled
+      if (this.getServerErrors(serverName).length) return;
       
       const host = serverConfig.host;
       if (!hostMap[host]) {
@@ -319,16 +738,180 @@ class SSHOperations {
   }
   
   async getServerLog(serverName, lines = 200) {
+    return this.runBuiltCommand(serverName, serverConfig => buildLogCommand(serverConfig, lines));
+  }
+
+  logSettings() {
+    return { ...LOG_DEFAULTS, ...this.configSettings.logs };
+  }
+
+  // The current log (generation 0) and the rotated ones, newest first:
+  // [{ generation, name, size, uncompressedSize, modified }]
+  async listLogs(serverName) {
+    const result = await this.runBuiltCommand(serverName, buildLogListCommand);
+    if (!result.success) return result;
+    const files = result.output.split('\n')
+      .map(line => line.trim().split(' '))
+      .filter(parts => parts.length === 4)
+      .map(([name, size, uncompressedSize, modified]) => {
+        const rotated = name.match(/\.(\d+)\.gz$/);
+        return {
+          generation: rotated ? Number(rotated[1]) : 0,
+          name,
+          size: Number(size),
+          uncompressedSize: Number(uncompressedSize),
+          modified: Number(modified) * 1000
+        };
+      })
+      .sort((a, b) => a.generation - b.generation);
+    return { success: true, files };
+  }
+
+  // A page of a log, read on the host: about `length` bytes from byte
+  // `offset` on, widened or cut so that it holds whole lines. Resolves with
+  // { text, start, end, atEnd }, `start`/`end` being byte offsets in the log.
+  async readLogPage(serverName, generation, offset, length = LOG_PAGE_SIZE) {
+    // Read from the byte before `offset` to tell whether a line starts there
+    const from = Math.max(offset - 1, 0);
+    const wanted = length + (offset - from);
+    const result = await this.runBuiltCommand(serverName, serverConfig =>
+      buildLogReadCommand(serverConfig, generation, from, wanted));
+    if (!result.success) return result;
+    if (result.code !== 0) {
+      return { success: false, error: result.output.trim() || `No such log: ${serverName} #${generation}` };
+    }
+
+    let text = result.output;
+    let start = from;
+    const atEnd = Buffer.byteLength(text) < wanted;
+    if (offset > 0) {
+      const newline = text.indexOf('\n');
+      if (newline !== -1) {
+        start += Buffer.byteLength(text.slice(0, newline + 1));
+        text = text.slice(newline + 1);
+      }
+    }
+    if (!atEnd) {
+      const newline = text.lastIndexOf('\n');
+      if (newline !== -1) text = text.slice(0, newline + 1);
+    }
+    return { success: true, text, start, end: start + Buffer.byteLength(text), atEnd };
+  }
+
+  // Search a log on the host with grep -E. Resolves with
+  // { matches: [{ line, offset, text }], truncated }
+  async grepLog(serverName, generation, pattern, { ignoreCase = false } = {}) {
+    const result = await this.runBuiltCommand(serverName, serverConfig =>
+      buildLogGrepCommand(serverConfig, generation, pattern, { ignoreCase, max: LOG_GREP_MAX }));
+    if (!result.success) return result;
+    // grep exits with 1 when nothing matches and 2 on errors
+    if (result.code !== 0 && result.code !== 1) {
+      return { success: false, error: result.output.trim() || `grep exited with code ${result.code}` };
+    }
+    const matches = [];
+    for (const line of result.output.split('\n')) {
+      const match = line.match(/^(\d+):(\d+):(.*)$/);
+      if (match) matches.push({ line: Number(match[1]), offset: Number(match[2]), text: match[3].replace(/\r$/, '') });
+    }
+    return { success: true, matches, truncated: matches.length >= LOG_GREP_MAX };
+  }
+
+  // Start a new log now, keeping the current one as generation 1
+  async rotateLog(serverName) {
+    const { keep } = this.logSettings();
+    const result = await this.runBuiltCommand(serverName, serverConfig => buildLogRotateCommand(serverConfig, keep));
+    if (result.success && result.code !== 0) {
+      return { success: false, error: result.output.trim() || `rotation exited with code ${result.code}` };
+    }
+    if (result.success) console.log(`Rotated log of ${serverName}, keeping ${keep}`);
+    return result;
+  }
+
+  // Copy a whole log to `localPath` over SFTP. `onProgress(transferred, total)`
+  // is called as it goes.
+  async downloadLog(serverName, generation, localPath, onProgress = () => {}) {
+    const serverConfig = this.config[serverName];
+    if (!serverConfig) {
+      return { success: false, error: `Unknown server ${serverName}` };
+    }
+    const errors = this.getServerErrors(serverName);
+    if (errors.length) {
+      return this.invalidConfigResult(errors);
+    }
+    let remotePath;
+    try {
+      // Relative paths are taken from the home directory
+      remotePath = `.afl/${logFileName(serverConfig, generation)}`;
+    } catch (error) {
+      if (!(error instanceof InvalidServerConfigError)) throw error;
+      return { success: false, invalidConfig: true, field: error.field, error: error.message };
+    }
+    const options = await this.getConnectOptions(serverConfig);
+    let session;
+    try {
+      session = await this.pool.sftp(options);
+    } catch (err) {
+      const changed = this.reportFailure(serverConfig.host, options, err);
+      if (changed) return this.hostKeyChangedResult(changed);
+      console.error(`Connection error downloading ${remotePath} from ${serverConfig.host}:`, err.message);
+      return { success: false, sshDown: true };
+    }
+    console.log(`Downloading ${remotePath} from ${serverConfig.host} to ${localPath}`);
+    return new Promise((resolve) => {
+      session.sftp.fastGet(remotePath, localPath, {
+        step: (transferred, chunk, total) => onProgress(transferred, total)
+      }, (err) => {
+        session.release();
+        if (err) {
+          console.error(`Failed to download ${remotePath} from ${serverConfig.host}:`, err.message);
+          resolve({ success: false, error: err.message });
+        } else {
+          console.log(`Downloaded ${remotePath} from ${serverConfig.host}`);
+          resolve({ success: true, path: localPath });
+        }
+      });
+    });
+  }
+
+  // Follow the server's log: the last `lines` lines, then whatever is
+  // appended. Resolves with `{ stream, release }` like openShell.
+  async openLogStream(serverName, lines = 200) {
     const serverConfig = this.config[serverName];
-    const logPath = path.join('.afl', `${serverConfig.screen_name}.screenlog`);
-    const logCommand = `tail -n ${lines} $\{HOME}/${logPath}`;
-    return this.executeCommand(serverName, logCommand);
+    if (!serverConfig) {
+      throw new Error(`Unknown server ${serverName}`);
+    }
+    const errors = this.getServerErrors(serverName);
+    if (errors.length) {
+      throw new Error(this.invalidConfigResult(errors).error);
+    }
+    const command = buildLogFollowCommand(serverConfig, lines);
+    const options = await this.getConnectOptions(serverConfig);
+    try {
+      return await this.pool.execStream(options, command, { pty: true });
+    } catch (err) {
+      const changed = this.reportFailure(serverConfig.host, options, err);
+      throw changed ? new Error(this.hostKeyChangedResult(changed).error) : err;
+    }
   }
 
-  async joinServer(serverName) {
+  // Open an interactive shell on the server's pooled connection. Resolves with
+  // `{ stream, release }`; call `release()` once the stream has closed.
+  async openShell(serverName) {
     const serverConfig = this.config[serverName];
-    const joinCommand = `screen -x ${serverConfig.screen_name}`;
-    return this.executeCommand(serverName, joinCommand);
+    if (!serverConfig) {
+      throw new Error(`Unknown server ${serverName}`);
+    }
+    const options = await this.getConnectOptions(serverConfig);
+    try {
+      return await this.pool.shell(options, { term: 'xterm' });
+    } catch (err) {
+      const changed = this.reportFailure(serverConfig.host, options, err);
+      throw changed ? new Error(this.hostKeyChangedResult(changed).error) : err;
+    }
+  }
+
+  async joinServer(serverName) {
+    return this.runBuiltCommand(serverName, buildAttachCommand);
   }
 
   getServerForHost(host) {
@@ -341,35 +924,26 @@ class SSHOperations {
     const server = this.getServerForHost(host);
     if (!server) return { success: false, error: `No server for host ${host}` };
     console.log(`Reading remote file ${remotePath} from ${host}`);
+    const options = await this.getConnectOptions(server);
+    let session;
+    try {
+      session = await this.pool.sftp(options);
+    } catch (err) {
+      const changed = this.reportFailure(host, options, err);
+      if (changed) return this.hostKeyChangedResult(changed);
+      console.error(`Connection error reading ${remotePath} on ${host}:`, err.message);
+      return { success: false, error: err.message };
+    }
     return new Promise((resolve) => {
-      const conn = new Client();
-      conn.on('ready', () => {
-        conn.sftp((err, sftp) => {
-          if (err) {
-            conn.end();
-            console.error(`SFTP error reading ${remotePath} on ${host}:`, err.message);
-            resolve({ success: false, error: err.message });
-            return;
-          }
-          sftp.readFile(remotePath, 'utf8', (err, data) => {
-            conn.end();
-            if (err) {
-              console.error(`Failed to read ${remotePath} on ${host}:`, err.message);
-              resolve({ success: false, error: err.message });
-            } else {
-              console.log(`Successfully read ${remotePath} from ${host}`);
-              resolve({ success: true, data });
-            }
-          });
-        });
-      }).on('error', (err) => {
-        console.error(`Connection error reading ${remotePath} on ${host}:`, err.message);
-        resolve({ success: false, error: err.message });
-      }).connect({
-        host: server.host,
-        port: 22,
-        username: server.username,
-        privateKey: this.sshKey
+      session.sftp.readFile(remotePath, 'utf8', (err, data) => {
+        session.release();
+        if (err) {
+          console.error(`Failed to read ${remotePath} on ${host}:`, err.message);
+          resolve({ success: false, error: err.message });
+        } else {
+          console.log(`Successfully read ${remotePath} from ${host}`);
+          resolve({ success: true, data });
+        }
       });
     });
   }
@@ -378,38 +952,30 @@ class SSHOperations {
     const server = this.getServerForHost(host);
     if (!server) return { success: false, error: `No server for host ${host}` };
     console.log(`Writing remote file ${remotePath} to ${host}`);
+    const options = await this.getConnectOptions(server);
+    let session;
+    try {
+      session = await this.pool.sftp(options);
+    } catch (err) {
+      const changed = this.reportFailure(host, options, err);
+      if (changed) return this.hostKeyChangedResult(changed);
+      console.error(`Connection error writing ${remotePath} on ${host}:`, err.message);
+      return { success: false, error: err.message };
+    }
+    const { sftp, release } = session;
     return new Promise((resolve) => {
-      const conn = new Client();
-      conn.on('ready', () => {
-        conn.sftp((err, sftp) => {
+      const dir = path.posix.dirname(remotePath);
+      sftp.mkdir(dir, { mode: 0o755 }, () => {
+        sftp.writeFile(remotePath, content, 'utf8', (err) => {
+          release();
           if (err) {
-            conn.end();
-            console.error(`SFTP error writing ${remotePath} on ${host}:`, err.message);
+            console.error(`Failed to write ${remotePath} on ${host}:`, err.message);
             resolve({ success: false, error: err.message });
-            return;
+          } else {
+            console.log(`Successfully wrote ${remotePath} to ${host}`);
+            resolve({ success: true });
           }
-          const dir = path.posix.dirname(remotePath);
-          sftp.mkdir(dir, { mode: 0o755 }, () => {
-            sftp.writeFile(remotePath, content, 'utf8', (err2) => {
-              conn.end();
-              if (err2) {
-                console.error(`Failed to write ${remotePath} on ${host}:`, err2.message);
-                resolve({ success: false, error: err2.message });
-              } else {
-                console.log(`Successfully wrote ${remotePath} to ${host}`);
-                resolve({ success: true });
-              }
-            });
-          });
         });
-      }).on('error', (err) => {
-        console.error(`Connection error writing ${remotePath} on ${host}:`, err.message);
-        resolve({ success: false, error: err.message });
-      }).connect({
-        host: server.host,
-        port: 22,
-        username: server.username,
-        privateKey: this.sshKey
       });
     });
   }
@@ -417,7 +983,8 @@ class SSHOperations {
   async getRemoteAflConfig(host) {
     const server = this.getServerForHost(host);
     if (!server) return { success: false, error: `No server for host ${host}` };
-    const remotePath = `/home/${server.username}/.afl/config.json`;
+    const { username } = await this.resolveEndpoint(server);
+    const remotePath = `/home/${username}/.afl/config.json`;
     const res = await this.readRemoteFile(host, remotePath);
     if (!res.success) return res;
     try {
@@ -433,7 +1000,8 @@ class SSHOperations {
   async saveRemoteAflConfig(host, cfgObj) {
     const server = this.getServerForHost(host);
     if (!server) return { success: false, error: `No server for host ${host}` };
-    const remotePath = `/home/${server.username}/.afl/config.json`;
+    const { username } = await this.resolveEndpoint(server);
+    const remotePath = `/home/${username}/.afl/config.json`;
     console.log(`Saving AFL config to ${remotePath} on ${host}`);
     let existing = {};
     const read = await this.readRemoteFile(host, remotePath);
@@ -453,6 +1021,12 @@ class SSHOperations {
     }
     return res;
   }
+
+  // Close all pooled connections (on app shutdown)
+  close() {
+    this.pool.closeAll();
+  }
 }
 
 module.exports = SSHOperations;
+module.exports.ConfigConflictError = ConfigConflictError;
@@ -0,0 +1,243 @@
+const { EventEmitter } = require('events');
+
+// Named groups of servers that are started and stopped together, from the
+// `profiles` section of launchers.json:
+//   "profiles": {
+//     "platform": {
+//       "servers": {
+//         "robot":  { "ready": "http" },
+//         "loader": { "depends_on": ["robot"], "ready": { "queue": "ready" } },
+//         "sample": { "depends_on": ["robot", "loader"], "ready": "screen", "timeout": 120000 }
+//       }
+//     }
+//   }
+// A server is started only once everything it depends on is ready:
+//   "screen"              - its session is running (whatever its backend)
+//   "http"                - its queue_state (or status_url) answers (the default)
+//   { "queue": "ready" }  - queue_state reports that state (or one of a list)
+// Stopping goes through the same order backwards.
+
+const DEFAULT_READY_TIMEOUT = 120 * 1000;
+const POLL_INTERVAL = 1000;
+
+// Servers of a profile, dependencies first. Ties keep the order in which the
+// servers are listed. Throws on a dependency that is not in the profile or
+// on a cycle.
+function profileOrder(profile) {
+  const servers = (profile && profile.servers) || {};
+  const names = Object.keys(servers);
+  const order = [];
+  const state = new Map(); // name -> 'visiting' | 'done'
+  const visit = (name, path) => {
+    if (state.get(name) === 'done') return;
+    if (state.get(name) === 'visiting') {
+      throw new Error(`dependency cycle: ${[...path.slice(path.indexOf(name)), name].join(' -> ')}`);
+    }
+    state.set(name, 'visiting');
+    for (const dependency of servers[name].depends_on || []) {
+      if (!servers[dependency]) {
+        throw new Error(`"${name}" depends on "${dependency}", which is not in the profile`);
+      }
+      visit(dependency, [...path, name]);
+    }
+    state.set(name, 'done');
+    order.push(name);
+  };
+  names.forEach(name => visit(name, []));
+  return order;
+}
+
+// "screen" | "http" | { queue } -> { type, states }
+function readiness(ready = 'http') {
+  if (ready === 'screen' || ready === 'http') return { type: ready };
+  const states = Array.isArray(ready.queue) ? ready.queue : [ready.queue];
+  return { type: 'queue', states: states.map(state => state.toLowerCase()) };
+}
+
+function describeReadiness(ready) {
+  const { type, states } = readiness(ready);
+  if (type === 'screen') return 'session running';
+  if (type === 'http') return 'HTTP server answering';
+  return `queue ${states.join(' or ')}`;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Runs one profile start or stop at a time. Progress is emitted as 'progress'
+// with a snapshot of the run:
+//   { id, profile, action, status, error, steps: [{ server, state, message }] }
+// status: running | done | failed | cancelled
+// step state: pending | starting | waiting | ready | stopping | stopped | failed | skipped
+class ProfileRunner extends EventEmitter {
+  // `beforeStart(name)` / `beforeStop(name)` are called before each server
+  // is started or stopped (e.g. to tell the watchdog)
+  constructor({ sshOps, beforeStart = () => {}, beforeStop = () => {} }) {
+    super();
+    this.sshOps = sshOps;
+    this.beforeStart = beforeStart;
+    this.beforeStop = beforeStop;
+    this.run = null;
+    this.runId = 0;
+  }
+
+  profiles() {
+    return this.sshOps.configSettings.profiles || {};
+  }
+
+  isRunning() {
+    return !!(this.run && this.run.status === 'running');
+  }
+
+  // Returns the new run right away; it continues in the background
+  start(profileName) {
+    return this.begin(profileName, 'start');
+  }
+
+  stop(profileName) {
+    return this.begin(profileName, 'stop');
+  }
+
+  cancel() {
+    if (this.isRunning()) this.run.cancelled = true;
+  }
+
+  begin(profileName, action) {
+    if (this.isRunning()) {
+      throw new Error(`Profile "${this.run.profile}" is still being ${this.run.action === 'start' ? 'started' : 'stopped'}`);
+    }
+    const profile = this.profiles()[profileName];
+    if (!profile) throw new Error(`Unknown profile "${profileName}"`);
+    let order = profileOrder(profile);
+    if (action === 'stop') order = order.reverse();
+    const unknown = order.find(name => !this.sshOps.config[name]);
+    if (unknown) throw new Error(`Profile "${profileName}" names unknown server "${unknown}"`);
+
+    this.run = {
+      id: ++this.runId,
+      profile: profileName,
+      action,
+      status: 'running',
+      error: null,
+      startedAt: Date.now(),
+      finishedAt: null,
+      cancelled: false,
+      steps: order.map(server => ({ server, state: 'pending', message: '' }))
+    };
+    const run = this.run;
+    this.emitProgress();
+    const work = action === 'start' ? this.startAll(run, profile) : this.stopAll(run);
+    work.catch((error) => {
+      console.error(`Error running profile ${profileName}:`, error);
+      run.error = error.message;
+      run.status = 'failed';
+    }).finally(() => {
+      run.finishedAt = Date.now();
+      console.log(`Profile ${profileName} ${action}: ${run.status}`);
+      this.emitProgress();
+    });
+    return this.snapshot();
+  }
+
+  snapshot() {
+    if (!this.run) return null;
+    const { cancelled, ...run } = this.run;
+    return { ...run, steps: run.steps.map(step => ({ ...step })) };
+  }
+
+  emitProgress() {
+    this.emit('progress', this.snapshot());
+  }
+
+  setStep(step, state, message = '') {
+    step.state = state;
+    step.message = message;
+    this.emitProgress();
+  }
+
+  async startAll(run, profile) {
+    const unavailable = new Set(); // failed or skipped
+    for (const step of run.steps) {
+      if (run.cancelled) {
+        this.setStep(step, 'skipped', 'cancelled');
+        continue;
+      }
+      const settings = profile.servers[step.server];
+      const blocked = (settings.depends_on || []).filter(name => unavailable.has(name));
+      if (blocked.length) {
+        unavailable.add(step.server);
+        this.setStep(step, 'skipped', `waiting on ${blocked.join(', ')}, which did not come up`);
+        continue;
+      }
+
+      if (await this.isReady(step.server, settings.ready)) {
+        this.setStep(step, 'ready', 'already running');
+        continue;
+      }
+      this.setStep(step, 'starting');
+      this.beforeStart(step.server);
+      const result = await this.sshOps.startServer(step.server);
+      if (!result.success) {
+        unavailable.add(step.server);
+        this.setStep(step, 'failed', result.error || (result.sshDown ? 'SSH down' : 'start failed'));
+        continue;
+      }
+
+      const timeout = settings.timeout || DEFAULT_READY_TIMEOUT;
+      this.setStep(step, 'waiting', `until ${describeReadiness(settings.ready)}`);
+      const deadline = Date.now() + timeout;
+      let ready = false;
+      while (!run.cancelled && Date.now() < deadline) {
+        if (await this.isReady(step.server, settings.ready)) {
+          ready = true;
+          break;
+        }
+        await sleep(POLL_INTERVAL);
+      }
+      if (ready) {
+        this.setStep(step, 'ready');
+      } else {
+        unavailable.add(step.server);
+        this.setStep(step, 'failed', run.cancelled
+          ? 'cancelled'
+          : `not ready after ${Math.round(timeout / 1000)} s (${describeReadiness(settings.ready)})`);
+      }
+    }
+    run.status = run.cancelled ? 'cancelled' : (unavailable.size ? 'failed' : 'done');
+  }
+
+  async stopAll(run) {
+    let failed = false;
+    for (const step of run.steps) {
+      if (run.cancelled) {
+        this.setStep(step, 'skipped', 'cancelled');
+        continue;
+      }
+      this.setStep(step, 'stopping');
+      this.beforeStop(step.server);
+      const result = await this.sshOps.stopServer(step.server);
+      if (result.success) {
+        this.setStep(step, 'stopped');
+      } else {
+        // Keep going: what depends on it has been stopped already
+        failed = true;
+        this.setStep(step, 'failed', result.error || (result.sshDown ? 'SSH down' : 'stop failed'));
+      }
+    }
+    run.status = run.cancelled ? 'cancelled' : (failed ? 'failed' : 'done');
+  }
+
+  async isReady(serverName, ready) {
+    const { type, states } = readiness(ready);
+    if (type === 'screen') {
+      const result = await this.sshOps.getServerStatus(serverName);
+      return !!(result.success && result.status);
+    }
+    const queue = await this.sshOps.fetchQueueState(serverName);
+    if (!queue.ok) return false;
+    return type === 'http' || states.includes((queue.state || '').toLowerCase());
+  }
+}
+
+module.exports = ProfileRunner;
+module.exports.profileOrder = profileOrder;
+module.exports.describeReadiness = describeReadiness;
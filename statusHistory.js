@@ -0,0 +1,161 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Record of server status transitions, kept in an append-only JSON Lines
+// file so that outages stay visible after the server has recovered. Each
+// line is either a status change
+//   { "time": <ms>, "server": "robot", "screen": "active", "queue": "ready" }
+// or an app start/stop marker
+//   { "time": <ms>, "event": "start" }
+// Only changes are written; the state in between is implied. While the app is
+// not running nothing is known, so markers reset every server to 'unknown'.
+//
+// screen: active | inactive | ssh-down | host-key-changed | config-error
+// queue:  ready | active | paused | up (device servers) | unreachable | ...
+
+// Timeline states, from a (screen, queue) pair
+function classifyStatus({ screen, queue }) {
+  if (!screen) return 'unknown';
+  if (screen === 'config-error') return 'unknown';
+  if (screen === 'ssh-down' || screen === 'host-key-changed') return 'ssh-down';
+  if (screen !== 'active') return 'down';
+  if (queue === 'unreachable') return 'degraded';
+  if (queue === 'paused') return 'paused';
+  return 'up';
+}
+
+// States that count towards uptime
+const UP_STATES = new Set(['up', 'paused']);
+
+class StatusHistory {
+  constructor({ filePath = path.join(os.homedir(), '.afl', 'status-history.jsonl') } = {}) {
+    this.filePath = filePath;
+    this.entries = [];
+    this.current = new Map(); // server -> { screen, queue } as last recorded
+    this.writing = Promise.resolve();
+  }
+
+  // Read the existing history and mark the start of this session
+  async load() {
+    let text = '';
+    try {
+      text = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error reading status history:', error.message);
+      }
+    }
+    this.entries = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        this.entries.push(JSON.parse(line));
+      } catch (_) {
+        // a line cut short by a crash; skip it
+      }
+    }
+    // Lines written while quitting may land out of order
+    this.entries.sort((a, b) => a.time - b.time);
+    this.append({ time: Date.now(), event: 'start' });
+  }
+
+  // Note the status of a server; only changes are stored. Returns the new
+  // entry, or null if nothing changed.
+  record(server, { screen, queue }) {
+    const last = this.current.get(server);
+    if (last && last.screen === screen && last.queue === queue) return null;
+    this.current.set(server, { screen, queue });
+    const entry = { time: Date.now(), server, screen, queue };
+    this.append(entry);
+    return entry;
+  }
+
+  // The server's latest status entry since the app started, or null
+  latest(server) {
+    for (let i = this.entries.length - 1; i >= 0; i--) {
+      const entry = this.entries[i];
+      if (entry.event) return null;
+      if (entry.server === server) return entry;
+    }
+    return null;
+  }
+
+  append(entry) {
+    if (entry.event) this.current.clear();
+    this.entries.push(entry);
+    const line = `${JSON.stringify(entry)}\n`;
+    this.writing = this.writing
+      .then(() => fs.mkdir(path.dirname(this.filePath), { recursive: true }))
+      .then(() => fs.appendFile(this.filePath, line))
+      .catch((error) => console.error('Error writing status history:', error.message));
+    return this.writing;
+  }
+
+  // Mark the end of the session. Synchronous so it can run while quitting.
+  close() {
+    const entry = { time: Date.now(), event: 'stop' };
+    this.entries.push(entry);
+    try {
+      fsSync.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      console.error('Error writing status history:', error.message);
+    }
+  }
+
+  // Status changes between `since` and `until` (ms), optionally for one
+  // server, oldest first. Start/stop markers are included.
+  query({ server = null, since = 0, until = Infinity } = {}) {
+    return this.entries.filter(entry =>
+      entry.time >= since && entry.time <= until &&
+      (entry.event || !server || entry.server === server)
+    );
+  }
+
+  // The server's state over [since, until] as contiguous segments
+  // [{ start, end, state, screen, queue }]
+  timeline(server, since, until = Date.now()) {
+    const segments = [];
+    let status = {};
+    let start = since;
+    const close = (end) => {
+      if (end <= start) return;
+      const state = classifyStatus(status);
+      const previous = segments[segments.length - 1];
+      if (previous && previous.state === state && previous.screen === status.screen && previous.queue === status.queue) {
+        previous.end = end;
+      } else {
+        segments.push({ start, end, state, screen: status.screen, queue: status.queue });
+      }
+    };
+
+    for (const entry of this.entries) {
+      if (entry.time > until) break;
+      if (!entry.event && entry.server !== server) continue;
+      if (entry.time > since) {
+        close(entry.time);
+        start = entry.time;
+      }
+      status = entry.event ? {} : { screen: entry.screen, queue: entry.queue };
+    }
+    close(until);
+    return segments;
+  }
+
+  // Share of the known time in [since, until] that the server was up
+  uptime(server, since, until = Date.now()) {
+    let up = 0;
+    let known = 0;
+    for (const segment of this.timeline(server, since, until)) {
+      if (segment.state === 'unknown') continue;
+      const length = segment.end - segment.start;
+      known += length;
+      if (UP_STATES.has(segment.state)) up += length;
+    }
+    return { up, known, ratio: known ? up / known : null };
+  }
+}
+
+module.exports = StatusHistory;
+module.exports.classifyStatus = classifyStatus;
@@ -0,0 +1,69 @@
+// Line-based diff for showing two versions of a (small) text file side by
+// side, e.g. launchers.json on disk against the copy held by the app.
+
+// Above this many line pairs the middle section is shown as a plain
+// remove/add block instead of being aligned line by line
+const MAX_LCS_CELLS = 4000000;
+
+// Returns [{ type: 'same' | 'remove' | 'add', text }], where 'remove' lines
+// are only in `before` and 'add' lines only in `after`
+function diffLines(before, after) {
+  const a = before.split(/\r?\n/);
+  const b = after.split(/\r?\n/);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const result = a.slice(0, start).map(text => ({ type: 'same', text }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if (midA.length * midB.length > MAX_LCS_CELLS) {
+    result.push(...midA.map(text => ({ type: 'remove', text })));
+    result.push(...midB.map(text => ({ type: 'add', text })));
+  } else {
+    result.push(...alignLines(midA, midB));
+  }
+
+  result.push(...a.slice(endA).map(text => ({ type: 'same', text })));
+  return result;
+}
+
+// Longest-common-subsequence alignment of two line arrays
+function alignLines(a, b) {
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      result.push({ type: 'remove', text: a[i++] });
+    } else {
+      result.push({ type: 'add', text: b[j++] });
+    }
+  }
+  while (i < a.length) result.push({ type: 'remove', text: a[i++] });
+  while (j < b.length) result.push({ type: 'add', text: b[j++] });
+  return result;
+}
+
+module.exports = { diffLines };
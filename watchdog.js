@@ -0,0 +1,264 @@
+const { EventEmitter } = require('events');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// Restarts servers that have crashed, for servers that opt in with a
+// `watchdog` entry in launchers.json:
+//   "watchdog": true
+//   "watchdog": { "grace": 60000, "backoff": 10000, "maxBackoff": 600000, "maxRestartsPerHour": 5 }
+//
+// It is fed the same status changes as the history (see statusHistory.js).
+// A missing screen session is restarted straight away; a running session
+// whose HTTP server does not answer gets `grace` ms first (it may still be
+// starting up). If the server is still down after a restart, the next one
+// waits `backoff` ms, doubling each time up to `maxBackoff`. Once
+// `maxRestartsPerHour` restarts within an hour have not helped, the server
+// is in a crash loop: the watchdog leaves it alone until it is seen healthy
+// again or someone starts it by hand.
+//
+// Every action is appended to a JSON Lines file together with the last lines
+// of the server's log, captured just before the restart.
+
+const WATCHDOG_DEFAULTS = {
+  grace: 60 * 1000,
+  backoff: 10 * 1000,
+  maxBackoff: 10 * 60 * 1000,
+  maxRestartsPerHour: 5
+};
+
+const HOUR = 60 * 60 * 1000;
+// Healthy for this long and the backoff starts over
+const STABLE_TIME = 10 * 60 * 1000;
+const LOG_LINES = 50;
+
+// The effective policy of a server definition, or null if it has none
+function watchdogPolicy(serverConfig) {
+  const value = serverConfig && serverConfig.watchdog;
+  if (value === true) return { ...WATCHDOG_DEFAULTS };
+  if (!value || typeof value !== 'object' || value.enabled === false) return null;
+  const { enabled, ...settings } = value;
+  return { ...WATCHDOG_DEFAULTS, ...settings };
+}
+
+// What is wrong with a server that the watchdog can fix, or null
+function failureReason({ screen, queue }) {
+  if (screen === 'inactive') return 'screen session missing';
+  if (screen === 'active' && queue === 'unreachable') return 'HTTP server unreachable';
+  return null;
+}
+
+function backoffDelay(policy, attempts) {
+  if (attempts === 0) return 0;
+  return Math.min(policy.backoff * 2 ** (attempts - 1), policy.maxBackoff);
+}
+
+class Watchdog extends EventEmitter {
+  // `getServer(name)` returns the server definition; `sshOps` provides
+  // startServer, restartServer and getServerLog
+  constructor({ sshOps, getServer, filePath = path.join(os.homedir(), '.afl', 'watchdog.jsonl') }) {
+    super();
+    this.sshOps = sshOps;
+    this.getServer = getServer;
+    this.filePath = filePath;
+    this.servers = new Map(); // server -> state, see serverState()
+    this.writing = Promise.resolve();
+  }
+
+  serverState(serverName) {
+    let state = this.servers.get(serverName);
+    if (!state) {
+      state = {
+        status: null,
+        timer: null,
+        busy: false,
+        attempts: 0, // restarts since the server was last stable
+        restarts: [], // times of restarts in the last hour
+        crashLoop: false,
+        stopped: false, // stopped by hand; do not bring it back
+        healthySince: null,
+        lastAction: null
+      };
+      this.servers.set(serverName, state);
+    }
+    return state;
+  }
+
+  // Feed a status change of a server
+  update(serverName, status) {
+    const state = this.serverState(serverName);
+    state.status = status;
+    const reason = failureReason(status);
+    if (!reason) {
+      clearTimeout(state.timer);
+      state.timer = null;
+      if (status.screen === 'active') {
+        state.stopped = false;
+        if (!state.healthySince) state.healthySince = Date.now();
+        if (state.crashLoop) {
+          state.crashLoop = false;
+          this.emit('state', this.describe(serverName));
+        }
+      }
+      return;
+    }
+
+    const policy = watchdogPolicy(this.getServer(serverName));
+    if (!policy || state.stopped || state.crashLoop || state.timer || state.busy) return;
+    if (state.healthySince && Date.now() - state.healthySince >= STABLE_TIME) state.attempts = 0;
+    state.healthySince = null;
+
+    const delay = backoffDelay(policy, state.attempts);
+    this.schedule(serverName, status.screen === 'inactive' ? delay : Math.max(policy.grace, delay));
+  }
+
+  schedule(serverName, delay) {
+    const state = this.serverState(serverName);
+    clearTimeout(state.timer);
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      this.check(serverName).catch((error) => {
+        console.error(`Watchdog error for ${serverName}:`, error);
+      });
+    }, delay);
+  }
+
+  // Restart the server if it is still down and allowed to be restarted
+  async check(serverName) {
+    const state = this.serverState(serverName);
+    const server = this.getServer(serverName);
+    const policy = watchdogPolicy(server);
+    const reason = state.status && failureReason(state.status);
+    if (!policy || !server.active || !reason || state.stopped || state.crashLoop) return;
+
+    const now = Date.now();
+    state.restarts = state.restarts.filter(time => time > now - HOUR);
+    if (state.restarts.length >= policy.maxRestartsPerHour) {
+      state.crashLoop = true;
+      console.warn(`Watchdog: ${serverName} is in a crash loop (${state.restarts.length} restarts in the last hour); giving up`);
+      await this.record(serverName, {
+        action: 'crash-loop',
+        reason,
+        attempt: state.attempts,
+        message: `${state.restarts.length} restarts in the last hour did not help`
+      });
+      return;
+    }
+
+    state.busy = true;
+    try {
+      const logResult = await this.sshOps.getServerLog(serverName, LOG_LINES);
+      const log = logResult.success ? logResult.output.split('\n').slice(-LOG_LINES) : [];
+      // A hung server still has its session, which has to go first
+      const result = state.status.screen === 'inactive'
+        ? await this.sshOps.startServer(serverName)
+        : await this.sshOps.restartServer(serverName);
+      state.attempts += 1;
+      state.restarts.push(Date.now());
+      const success = !!result.success;
+      console.warn(`Watchdog: restarted ${serverName} (${reason}), attempt ${state.attempts}${success ? '' : ' failed'}`);
+      await this.record(serverName, {
+        action: 'restart',
+        reason,
+        attempt: state.attempts,
+        success,
+        error: success ? undefined : (result.error || (result.sshDown ? 'SSH down' : 'start failed')),
+        log
+      });
+    } finally {
+      state.busy = false;
+    }
+
+    // Look again once it has had time to come up
+    this.schedule(serverName, Math.max(policy.grace, backoffDelay(policy, state.attempts)));
+  }
+
+  async record(serverName, details) {
+    const entry = { time: Date.now(), server: serverName, ...details };
+    this.serverState(serverName).lastAction = entry;
+    this.emit('action', entry);
+    this.emit('state', this.describe(serverName));
+    const line = `${JSON.stringify(entry)}\n`;
+    this.writing = this.writing
+      .then(() => fs.mkdir(path.dirname(this.filePath), { recursive: true }))
+      .then(() => fs.appendFile(this.filePath, line))
+      .catch((error) => console.error('Error writing watchdog log:', error.message));
+    return this.writing;
+  }
+
+  // Recorded actions between `since` and `until`, optionally for one server,
+  // oldest first
+  async history({ server = null, since = 0, until = Infinity } = {}) {
+    let text = '';
+    try {
+      text = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('Error reading watchdog log:', error.message);
+    }
+    const entries = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.time >= since && entry.time <= until && (!server || entry.server === server)) {
+          entries.push(entry);
+        }
+      } catch (_) {
+        // a line cut short by a crash; skip it
+      }
+    }
+    return entries;
+  }
+
+  describe(serverName) {
+    const state = this.serverState(serverName);
+    const now = Date.now();
+    return {
+      server: serverName,
+      enabled: !!watchdogPolicy(this.getServer(serverName)),
+      crashLoop: state.crashLoop,
+      restartsLastHour: state.restarts.filter(time => time > now - HOUR).length,
+      lastAction: state.lastAction
+    };
+  }
+
+  // The server was stopped by hand: leave it down
+  suspend(serverName) {
+    const state = this.serverState(serverName);
+    clearTimeout(state.timer);
+    state.timer = null;
+    state.stopped = true;
+  }
+
+  // The server was started by hand: start over, out of any crash loop
+  reset(serverName) {
+    const state = this.serverState(serverName);
+    const wasCrashLoop = state.crashLoop;
+    clearTimeout(state.timer);
+    state.timer = null;
+    state.stopped = false;
+    state.crashLoop = false;
+    state.attempts = 0;
+    state.restarts = [];
+    if (wasCrashLoop) this.emit('state', this.describe(serverName));
+    // Status changes are only reported when they happen, so if this start
+    // does not work there may be no further update to act on
+    const policy = watchdogPolicy(this.getServer(serverName));
+    if (policy && state.status && failureReason(state.status)) this.schedule(serverName, policy.grace);
+  }
+
+  forget(serverName) {
+    const state = this.servers.get(serverName);
+    if (!state) return;
+    clearTimeout(state.timer);
+    this.servers.delete(serverName);
+  }
+
+  stop() {
+    Array.from(this.servers.keys()).forEach(name => this.forget(name));
+  }
+}
+
+module.exports = Watchdog;
+module.exports.watchdogPolicy = watchdogPolicy;
+module.exports.WATCHDOG_DEFAULTS = WATCHDOG_DEFAULTS;
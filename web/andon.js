@@ -0,0 +1,82 @@
+// Read-only board for displays that do not run the app. It gets the servers
+// and their status from the display API's WebSocket (/api/live): a snapshot
+// on connecting, then every status change. The connection is retried while
+// the app is not reachable.
+
+const RECONNECT_DELAY = 5000;
+const STATE_LABELS = {
+  up: 'up',
+  paused: 'paused',
+  degraded: 'HTTP unreachable',
+  down: 'down',
+  'ssh-down': 'SSH down',
+  unknown: 'unknown'
+};
+
+let servers = [];
+
+function formatSince(time) {
+  if (!time) return '';
+  const minutes = Math.round((Date.now() - time) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `for ${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `for ${hours} h ${minutes % 60} min`;
+  return `for ${Math.floor(hours / 24)} d ${hours % 24} h`;
+}
+
+function render() {
+  const board = document.getElementById('board');
+  board.innerHTML = '';
+  servers.forEach((server) => {
+    const { status } = server;
+    const tile = document.createElement('div');
+    tile.className = `tile state-${status.state}${server.active ? '' : ' inactive'}`;
+
+    const name = document.createElement('div');
+    name.className = 'tile-name';
+    name.textContent = `${server.icon ? `${server.icon} ` : ''}${server.name}`;
+
+    const state = document.createElement('div');
+    state.className = 'tile-state';
+    state.textContent = STATE_LABELS[status.state] || status.state;
+
+    const detail = document.createElement('div');
+    detail.className = 'tile-detail';
+    const queue = status.queue && status.queue !== 'unreachable' && !server.device ? `queue ${status.queue} · ` : '';
+    detail.textContent = `${queue}${server.host} · ${formatSince(status.since)}`;
+
+    tile.append(name, state, detail);
+    board.appendChild(tile);
+  });
+}
+
+function setConnected(connected) {
+  const element = document.getElementById('connection');
+  element.textContent = connected ? 'live' : 'reconnecting…';
+  element.classList.toggle('offline', !connected);
+}
+
+function connect() {
+  const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+  const socket = new WebSocket(`${protocol}//${location.host}/api/live`);
+  socket.onopen = () => setConnected(true);
+  socket.onmessage = (event) => {
+    const message = JSON.parse(event.data);
+    if (message.type === 'snapshot') {
+      servers = message.servers;
+    } else if (message.type === 'status') {
+      const server = servers.find(item => item.name === message.server);
+      if (server) server.status = message.status;
+    }
+    render();
+  };
+  socket.onclose = () => {
+    setConnected(false);
+    setTimeout(connect, RECONNECT_DELAY);
+  };
+}
+
+connect();
+// Keep the "for 5 min" texts current
+setInterval(render, 30 * 1000);
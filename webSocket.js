@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// The server side of a WebSocket (RFC 6455), as far as the display API needs
+// it: the server sends text messages, and of what a client sends only
+// ping and close are acted on. A client that stops reading is dropped once
+// MAX_BUFFERED bytes are waiting for it. Events: 'message' (text), 'close'.
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+// Clients only send control frames and short messages
+const MAX_FRAME = 64 * 1024;
+const PING_INTERVAL = 30 * 1000;
+const MAX_BUFFERED = 1024 * 1024;
+
+const OPCODES = { text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+function frame(opcode, payload = Buffer.alloc(0)) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 0x10000) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+class WebSocketConnection extends EventEmitter {
+  constructor(socket, head) {
+    super();
+    this.socket = socket;
+    this.buffer = head && head.length ? Buffer.from(head) : Buffer.alloc(0);
+    this.closed = false;
+    socket.setNoDelay(true);
+    socket.on('data', (chunk) => {
+      this.buffer = Buffer.concat([this.buffer, chunk]);
+      this.readFrames();
+    });
+    socket.on('error', () => this.terminate());
+    socket.on('close', () => this.terminate());
+    this.pinger = setInterval(() => this.write(OPCODES.ping), PING_INTERVAL);
+    if (this.buffer.length) this.readFrames();
+  }
+
+  send(text) {
+    this.write(OPCODES.text, Buffer.from(text, 'utf8'));
+  }
+
+  close(code = 1000) {
+    if (this.closed) return;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    this.write(OPCODES.close, payload);
+    this.socket.end();
+    this.terminate();
+  }
+
+  write(opcode, payload) {
+    if (this.closed || !this.socket.writable) return;
+    if (this.socket.writableLength > MAX_BUFFERED) {
+      this.terminate();
+      return;
+    }
+    this.socket.write(frame(opcode, payload));
+  }
+
+  terminate() {
+    if (this.closed) return;
+    this.closed = true;
+    clearInterval(this.pinger);
+    this.socket.destroy();
+    this.emit('close');
+  }
+
+  readFrames() {
+    while (!this.closed && this.buffer.length >= 2) {
+      const opcode = this.buffer[0] & 0x0f;
+      const masked = (this.buffer[1] & 0x80) !== 0;
+      let length = this.buffer[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (this.buffer.length < 4) return;
+        length = this.buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this.buffer.length < 10) return;
+        const long = this.buffer.readBigUInt64BE(2);
+        length = long > BigInt(MAX_FRAME) ? Infinity : Number(long);
+        offset = 10;
+      }
+      // Frames from a client must be masked
+      if (!masked || length > MAX_FRAME) {
+        this.close(1002);
+        return;
+      }
+      if (this.buffer.length < offset + 4 + length) return;
+      const mask = this.buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+      this.buffer = this.buffer.subarray(offset + 4 + length);
+
+      if (opcode === OPCODES.close) {
+        this.close();
+      } else if (opcode === OPCODES.ping) {
+        this.write(OPCODES.pong, payload);
+      } else if (opcode === OPCODES.text) {
+        this.emit('message', payload.toString('utf8'));
+      }
+    }
+  }
+}
+
+// Complete the handshake of an HTTP 'upgrade' request. Returns the
+// connection, or null after answering 400 if it is not a WebSocket request.
+function acceptWebSocket(request, socket, head) {
+  const key = request.headers['sec-websocket-key'];
+  if ((request.headers.upgrade || '').toLowerCase() !== 'websocket' || !key ||
+      request.headers['sec-websocket-version'] !== '13') {
+    socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+    return null;
+  }
+  const accept = crypto.createHash('sha1').update(key + GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+  return new WebSocketConnection(socket, head);
+}
+
+module.exports = { acceptWebSocket, WebSocketConnection };